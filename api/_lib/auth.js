@@ -0,0 +1,257 @@
+/**
+ * NeoClip 340 - Sessions and Supabase Auth token verification
+ *
+ * Identity comes from a session token, never from a userId/deviceId in
+ * the request:
+ * - Anonymous sessions: POST /api/user with the install's device ID.
+ *   Only issued while that device's account is still anonymous.
+ * - Registered sessions: POST /api/auth with a Supabase Auth access token
+ *   (email/password or OAuth), verified here.
+ *
+ * Session tokens are random and opaque. Only their SHA-256 hash is stored
+ * in user_sessions.session_token, so a database leak does not leak live
+ * sessions. Clients send them as `Authorization: Bearer <token>`.
+ */
+
+import { dbSelectOne, dbInsert, dbUpdate, eq } from './supabase.js';
+import { makeRequest } from './http.js';
+import { safeEqual } from './signature.js';
+import { getClientIp, sendError } from './middleware.js';
+
+const SESSION_PREFIX = 'ncs_';
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;  // 30 days
+const ACTIVITY_UPDATE_MS = 5 * 60 * 1000;         // Touch last_activity_at at most this often
+const JWKS_CACHE_MS = 10 * 60 * 1000;
+const CLOCK_SKEW_SEC = 30;
+
+let jwksCache = { keys: null, fetchedAt: 0 };
+
+// ============================================
+// Base64url / hashing helpers
+// ============================================
+
+function base64UrlDecode(value) {
+  return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function base64UrlEncode(bytes) {
+  return Buffer.from(bytes).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+async function sha256Hex(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return Buffer.from(digest).toString('hex');
+}
+
+// ============================================
+// Supabase JWT verification
+// ============================================
+
+async function loadJwks(force = false) {
+  if (!force && jwksCache.keys && Date.now() - jwksCache.fetchedAt < JWKS_CACHE_MS) {
+    return jwksCache.keys;
+  }
+
+  const baseUrl = (process.env.SUPABASE_URL || '').replace(/\/$/, '');
+  if (!baseUrl) return [];
+
+  const { ok, data } = await makeRequest(`${baseUrl}/auth/v1/.well-known/jwks.json`, { method: 'GET' }, 5000);
+  jwksCache = { keys: ok && Array.isArray(data.keys) ? data.keys : [], fetchedAt: Date.now() };
+  return jwksCache.keys;
+}
+
+async function verifySignature(header, signingInput, signature) {
+  const data = new TextEncoder().encode(signingInput);
+
+  // Legacy projects: symmetric HS256 with the project's JWT secret
+  if (header.alg === 'HS256') {
+    const secret = process.env.SUPABASE_JWT_SECRET;
+    if (!secret) return false;
+    const key = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(secret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+    const expected = base64UrlEncode(new Uint8Array(await crypto.subtle.sign('HMAC', key, data)));
+    return safeEqual(expected, base64UrlEncode(signature));
+  }
+
+  // Asymmetric signing keys, published as JWKS
+  const algorithms = {
+    ES256: { import: { name: 'ECDSA', namedCurve: 'P-256' }, verify: { name: 'ECDSA', hash: 'SHA-256' } },
+    RS256: { import: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, verify: { name: 'RSASSA-PKCS1-v1_5' } }
+  };
+  const algorithm = algorithms[header.alg];
+  if (!algorithm) return false;
+
+  let jwk = (await loadJwks()).find(k => k.kid === header.kid);
+  if (!jwk) {
+    // Keys may have rotated since we cached them
+    jwk = (await loadJwks(true)).find(k => k.kid === header.kid);
+  }
+  if (!jwk) return false;
+
+  const key = await crypto.subtle.importKey('jwk', jwk, algorithm.import, false, ['verify']);
+  return crypto.subtle.verify(algorithm.verify, key, signature, data);
+}
+
+/**
+ * Whether Supabase Auth has confirmed the token owner's email.
+ * Asks GET /auth/v1/user rather than trusting claims: users can write
+ * their own user_metadata, and email_confirmed_at is not in the token.
+ */
+async function isEmailConfirmed(token, sub) {
+  const baseUrl = (process.env.SUPABASE_URL || '').replace(/\/$/, '');
+  const key = process.env.SUPABASE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!baseUrl || !key) return false;
+
+  const { ok, data } = await makeRequest(`${baseUrl}/auth/v1/user`, {
+    method: 'GET',
+    headers: { 'apikey': key, 'Authorization': `Bearer ${token}` }
+  }, 5000);
+  return ok && data.id === sub && !!data.email_confirmed_at;
+}
+
+/**
+ * Verify a Supabase Auth access token.
+ * Returns { sub, email, emailVerified, provider } or null. Never throws.
+ * emailVerified comes from Supabase Auth itself (isEmailConfirmed), since
+ * an account with the same verified email is linked to this identity.
+ */
+export async function verifySupabaseToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  try {
+    const header = JSON.parse(base64UrlDecode(parts[0]).toString('utf8'));
+    const claims = JSON.parse(base64UrlDecode(parts[1]).toString('utf8'));
+
+    const valid = await verifySignature(header, `${parts[0]}.${parts[1]}`, base64UrlDecode(parts[2]));
+    if (!valid) return null;
+
+    const now = Date.now() / 1000;
+    if (typeof claims.exp !== 'number' || claims.exp < now - CLOCK_SKEW_SEC) return null;
+    if (typeof claims.nbf === 'number' && claims.nbf > now + CLOCK_SKEW_SEC) return null;
+
+    const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audience.includes('authenticated')) return null;
+
+    const baseUrl = (process.env.SUPABASE_URL || '').replace(/\/$/, '');
+    // Tokens without an issuer are not Supabase Auth's
+    if (baseUrl && claims.iss !== `${baseUrl}/auth/v1`) return null;
+
+    if (!claims.sub) return null;
+
+    return {
+      sub: claims.sub,
+      email: claims.email || null,
+      emailVerified: claims.email ? await isEmailConfirmed(token, claims.sub) : false,
+      provider: claims.app_metadata?.provider || 'email'
+    };
+  } catch (error) {
+    console.warn('[Auth] Token verification error:', error.message);
+    return null;
+  }
+}
+
+// ============================================
+// Sessions
+// ============================================
+
+function clientInfo(req) {
+  return {
+    ip_address: getClientIp(req),
+    user_agent: (req.headers?.['user-agent'] || '').slice(0, 500) || null
+  };
+}
+
+/**
+ * Issue a new session for a user. The raw token is only returned here.
+ */
+export async function createSession(userId, req, { method = 'anonymous', deviceInfo = null } = {}) {
+  const token = SESSION_PREFIX + base64UrlEncode(crypto.getRandomValues(new Uint8Array(32)));
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString();
+
+  await dbInsert('user_sessions', {
+    user_id: userId,
+    session_token: await sha256Hex(token),
+    auth_method: method,
+    device_info: deviceInfo,
+    ...clientInfo(req),
+    expires_at: expiresAt,
+    last_activity_at: new Date().toISOString(),
+    is_active: true
+  });
+
+  return { token, expiresAt, method };
+}
+
+/**
+ * Read the session token from the Authorization header.
+ * EventSource cannot set headers, so callers may allow ?access_token=.
+ */
+export function getSessionToken(req, query = {}, { allowQueryToken = false } = {}) {
+  const header = req.headers?.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (match && match[1].startsWith(SESSION_PREFIX)) return match[1];
+  if (allowQueryToken && typeof query.access_token === 'string' && query.access_token.startsWith(SESSION_PREFIX)) {
+    return query.access_token;
+  }
+  return null;
+}
+
+/**
+ * Resolve the session for a request: { session, user } or null
+ */
+export async function getSession(req, query = {}, options = {}) {
+  const token = getSessionToken(req, query, options);
+  if (!token) return null;
+
+  const session = await dbSelectOne(
+    'user_sessions',
+    `session_token=${eq(await sha256Hex(token))}&is_active=is.true&select=*`
+  );
+  if (!session || new Date(session.expires_at).getTime() <= Date.now()) return null;
+
+  const user = await dbSelectOne('users', `id=${eq(session.user_id)}&select=*`);
+  if (!user || user.is_active === false) return null;
+
+  const lastActivity = new Date(session.last_activity_at || 0).getTime();
+  if (Date.now() - lastActivity > ACTIVITY_UPDATE_MS) {
+    dbUpdate('user_sessions', `id=${eq(session.id)}`, { last_activity_at: new Date().toISOString() })
+      .catch(error => console.warn('[Auth] Failed to touch session:', error.message));
+  }
+
+  return { session, user };
+}
+
+/**
+ * Resolve the session or answer 401. Usage:
+ *   const auth = await requireSession(req, res);
+ *   if (!auth) return;
+ */
+export async function requireSession(req, res, query = {}, options = {}) {
+  const auth = await getSession(req, query, options);
+  if (!auth) {
+    sendError(res, 401, 'Authentication required', {
+      message: 'Send a session token: Authorization: Bearer <token> (POST /api/user or /api/auth)'
+    });
+    return null;
+  }
+  return auth;
+}
+
+export async function revokeSession(sessionId) {
+  await dbUpdate('user_sessions', `id=${eq(sessionId)}`, { is_active: false, revoked_at: new Date().toISOString() });
+}
+
+export async function revokeUserSessions(userId) {
+  await dbUpdate('user_sessions', `user_id=${eq(userId)}&is_active=is.true`, {
+    is_active: false,
+    revoked_at: new Date().toISOString()
+  });
+}
@@ -0,0 +1,101 @@
+/**
+ * NeoClip 340 - Free-tier branding
+ *
+ * Providers hand back clean videos (piapi.js prefers the unwatermarked
+ * `video_raw` output), so branding is ours to add. For tiers with
+ * `branded: true` in api/_lib/config.js, brandVideo() re-encodes the clip
+ * with:
+ *   - a "NeoClip AI" watermark in the bottom-right corner
+ *   - a 5 second end card ("Made with NeoClip AI" + APP_URL's host)
+ *
+ * The end card is sized to the clip (scale2ref), so no probe is needed.
+ * Audio, when the clip has any, is carried over and ends before the card.
+ *
+ * drawtext renders with fontconfig's default sans font; set
+ * BRAND_FONT_PATH to a .ttf when the ffmpeg build has no fontconfig.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { isFfmpegAvailable, runFfmpeg, withTempDir } from './ffmpeg.js';
+
+const WATERMARK_TEXT = 'NeoClip AI';
+const END_CARD_TITLE = 'Made with NeoClip AI';
+const END_CARD_SECONDS = 5;
+const END_CARD_COLOR = '0x0a0a0f';
+const OUTPUT_FPS = 30;
+const BRANDING_TIMEOUT_MS = 3 * 60 * 1000;
+
+function endCardLink() {
+  try {
+    return new URL(process.env.APP_URL || 'https://neoclip340.vercel.app').host;
+  } catch {
+    return 'neoclip340.vercel.app';
+  }
+}
+
+// Quoting inside a filtergraph has several escaping levels - keep drawtext
+// input to characters that need none
+function plainText(text) {
+  return text.replace(/[^\w .\/-]/g, '');
+}
+
+function drawtext(text, options) {
+  const font = process.env.BRAND_FONT_PATH ? `fontfile='${plainText(process.env.BRAND_FONT_PATH)}':` : '';
+  return `drawtext=${font}text='${plainText(text)}':${options}`;
+}
+
+function filterGraph() {
+  const watermark = drawtext(WATERMARK_TEXT,
+    'fontcolor=white@0.7:fontsize=h/18:x=w-tw-h/30:y=h-th-h/30:shadowcolor=black@0.6:shadowx=2:shadowy=2');
+  const title = drawtext(END_CARD_TITLE, 'fontcolor=white:fontsize=h/14:x=(w-tw)/2:y=h/2-th');
+  const link = drawtext(endCardLink(), 'fontcolor=0x00ff88:fontsize=h/22:x=(w-tw)/2:y=h/2+th');
+
+  return [
+    `[0:v]fps=${OUTPUT_FPS},setsar=1,${watermark}[marked]`,
+    '[1:v][marked]scale2ref[cardbase][main]',
+    `[cardbase]setsar=1,${title},${link},fade=t=in:st=0:d=0.5[card]`,
+    '[main][card]concat=n=2:v=1:a=0[v]'
+  ].join(';');
+}
+
+async function render(input, output) {
+  return runFfmpeg([
+    '-i', input,
+    '-f', 'lavfi', '-t', String(END_CARD_SECONDS), '-i', `color=c=${END_CARD_COLOR}:s=16x16:r=${OUTPUT_FPS}`,
+    '-filter_complex', filterGraph(),
+    '-map', '[v]',
+    // Optional: most providers return silent clips
+    '-map', '0:a?',
+    '-c:a', 'aac',
+    '-b:a', '128k',
+    '-c:v', 'libx264',
+    '-preset', 'veryfast',
+    '-crf', '23',
+    '-pix_fmt', 'yuv420p',
+    '-movflags', '+faststart',
+    output
+  ], { timeoutMs: BRANDING_TIMEOUT_MS });
+}
+
+/**
+ * Watermark a clip and append the end card. Resolves to
+ * { buffer, contentType, extension } (always MP4), or null when ffmpeg is
+ * unavailable. Throws if rendering fails.
+ */
+export async function brandVideo(videoBuffer, extension = 'mp4') {
+  if (!(await isFfmpegAvailable())) return null;
+
+  return withTempDir(async (dir) => {
+    const input = join(dir, `input.${extension}`);
+    const output = join(dir, 'branded.mp4');
+    await writeFile(input, videoBuffer);
+
+    const result = await render(input, output);
+    if (!result.ok) throw new Error(`Branding failed: ${result.error}`);
+
+    const buffer = await readFile(output);
+    if (!buffer.length) throw new Error('Branding failed: no output');
+    return { buffer, contentType: 'video/mp4', extension: 'mp4' };
+  });
+}
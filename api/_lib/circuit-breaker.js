@@ -0,0 +1,95 @@
+/**
+ * NeoClip 340 - Circuit breakers (one per provider)
+ *
+ * After CIRCUIT_FAILURE_THRESHOLD transient failures in a row (timeouts,
+ * network errors, 5xx) a provider's circuit opens: calls fail fast with
+ * errorType 'circuit_open' and generation fails over to the next provider
+ * instead of waiting on one that is down. After CIRCUIT_COOLDOWN_MS a
+ * single probe request is let through (half-open); its outcome closes or
+ * re-opens the circuit.
+ *
+ * State is per serverless instance - a cold instance starts closed.
+ */
+
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_COOLDOWN_MS = 30000;
+
+const breakers = new Map();
+
+export function createCircuitBreaker(name, {
+  failureThreshold = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD, 10) || DEFAULT_FAILURE_THRESHOLD,
+  cooldownMs = parseInt(process.env.CIRCUIT_COOLDOWN_MS, 10) || DEFAULT_COOLDOWN_MS
+} = {}) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let probing = false;
+  let lastError = null;
+
+  return {
+    name,
+
+    get state() {
+      return state;
+    },
+
+    /**
+     * May a request go out now? In half-open state only one probe at a time.
+     */
+    canRequest() {
+      if (state === 'open' && Date.now() - openedAt >= cooldownMs) {
+        state = 'half_open';
+        probing = false;
+      }
+      if (state === 'closed') return true;
+      if (state === 'half_open' && !probing) {
+        probing = true;
+        return true;
+      }
+      return false;
+    },
+
+    recordSuccess() {
+      if (state !== 'closed') console.log(`[Circuit] ${name} closed`);
+      state = 'closed';
+      failures = 0;
+      probing = false;
+    },
+
+    recordFailure(errorType) {
+      failures += 1;
+      probing = false;
+      lastError = errorType || null;
+      if (state === 'half_open' || failures >= failureThreshold) {
+        if (state !== 'open') {
+          console.warn(`[Circuit] ${name} open after ${failures} failure(s) (${lastError})`);
+        }
+        state = 'open';
+        openedAt = Date.now();
+      }
+    },
+
+    /**
+     * Milliseconds until an open circuit allows a probe (0 otherwise)
+     */
+    retryAfterMs() {
+      return state === 'open' ? Math.max(cooldownMs - (Date.now() - openedAt), 0) : 0;
+    },
+
+    snapshot() {
+      return { name, state, failures, lastError, retryAfterMs: this.retryAfterMs() };
+    }
+  };
+}
+
+/**
+ * The shared breaker for `name` (a provider id), created on first use
+ */
+export function getCircuitBreaker(name) {
+  if (!breakers.has(name)) breakers.set(name, createCircuitBreaker(name));
+  return breakers.get(name);
+}
+
+export function listCircuitBreakers() {
+  return [...breakers.values()].map(breaker => breaker.snapshot());
+}
@@ -0,0 +1,92 @@
+/**
+ * NeoClip 340 - Shared configuration
+ *
+ * The one place for values several endpoints depend on:
+ *   - TIERS: monthly clip limits, option limits, batch and storyboard
+ *     sizes, provider chains and branding per tier (matches PRICING in
+ *     app/App.js). users.js, options.js, storyboard.js, providers/index.js
+ *     and video-archive.js read from here, so a tier change is one edit.
+ *   - CORS policy for every route (api/_lib/middleware.js).
+ */
+
+export const TIERS = {
+  free: {
+    monthlyLimit: 10,
+    maxDuration: 10,
+    maxResolution: '768p',
+    // Takes per batch request (api/_lib/options.js validateBatch)
+    maxBatch: 2,
+    // Shots per storyboard (api/_lib/storyboard.js validateStoryboard)
+    maxShots: 3,
+    // Wan-2.1, Luma as backup
+    providers: ['wan', 'luma'],
+    // Watermark + end card (api/_lib/branding.js)
+    branded: true
+  },
+  basic: {
+    monthlyLimit: 120,
+    maxDuration: 15,
+    maxResolution: '1080p',
+    maxBatch: 4,
+    maxShots: 6,
+    // HD models
+    providers: ['kling', 'hailuo', 'luma'],
+    branded: false
+  },
+  pro: {
+    monthlyLimit: 300,
+    maxDuration: 30,
+    maxResolution: '1080p',
+    maxBatch: 4,
+    maxShots: 6,
+    // Luma Dream
+    providers: ['luma', 'kling', 'hailuo'],
+    branded: false
+  }
+};
+
+export const FREE_TIER_LIMIT = TIERS.free.monthlyLimit;
+
+// { free: 10, basic: 120, pro: 300 } - passed to consume_generation_quota()
+export const TIER_LIMITS = Object.fromEntries(
+  Object.entries(TIERS).map(([tier, { monthlyLimit }]) => [tier, monthlyLimit])
+);
+
+/**
+ * Map client tier names onto the tiers in public.users
+ * (the web client still sends 'paid' for Pro)
+ */
+export function normalizeTier(tier) {
+  if (tier === 'paid') return 'pro';
+  return TIERS[tier] ? tier : 'free';
+}
+
+export function getTierConfig(tier) {
+  return TIERS[normalizeTier(tier)];
+}
+
+export function getTierLimit(tier) {
+  return TIER_LIMITS[tier] ?? FREE_TIER_LIMIT;
+}
+
+// ============================================
+// CORS
+// ============================================
+
+export const CORS_ALLOWED_HEADERS = 'Content-Type, Authorization';
+
+// Response headers browser clients may read (rate limits, request IDs)
+export const CORS_EXPOSED_HEADERS = 'X-Request-Id, Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining';
+
+/**
+ * Origins allowed to call the API from a browser: CORS_ALLOWED_ORIGINS,
+ * comma-separated (e.g. https://neoclip.app,http://localhost:3000).
+ * Unset or '*' allows any origin.
+ */
+export function getAllowedOrigins() {
+  const origins = (process.env.CORS_ALLOWED_ORIGINS || '*')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+  return origins.length ? origins : ['*'];
+}
@@ -0,0 +1,97 @@
+/**
+ * NeoClip 340 - ffmpeg runner
+ *
+ * Server-side video processing (branding, poster frames, previews) shells
+ * out to an ffmpeg binary: FFMPEG_PATH, or `ffmpeg` on PATH. It runs in
+ * the job worker (worker/index.js), on a host that has ffmpeg - not in
+ * the Vercel functions.
+ *
+ * runFfmpeg() never throws - it resolves to { ok, code, error, missing },
+ * where `missing` means the binary could not be started.
+ */
+
+import { spawn } from 'node:child_process';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const STDERR_LIMIT = 2000;
+
+let availability;
+
+export function getFfmpegPath() {
+  return process.env.FFMPEG_PATH || 'ffmpeg';
+}
+
+/**
+ * Run ffmpeg with `args` (input/output options and files). Always
+ * overwrites outputs and logs errors only.
+ */
+export function runFfmpeg(args, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  return new Promise(resolve => {
+    let stderr = '';
+    let settled = false;
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      resolve(result);
+    };
+
+    let child;
+    try {
+      child = spawn(getFfmpegPath(), ['-hide_banner', '-loglevel', 'error', '-y', ...args], {
+        stdio: ['ignore', 'ignore', 'pipe']
+      });
+    } catch (error) {
+      resolve({ ok: false, code: null, error: error.message, missing: true });
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      finish({ ok: false, code: null, error: `ffmpeg timed out after ${timeoutMs}ms`, missing: false });
+    }, timeoutMs);
+
+    child.stderr.on('data', chunk => {
+      // Keep the tail - the last lines name the failure
+      stderr = (stderr + chunk).slice(-STDERR_LIMIT);
+    });
+
+    child.on('error', error => {
+      finish({ ok: false, code: null, error: error.message, missing: error.code === 'ENOENT' });
+    });
+
+    child.on('close', code => {
+      finish(code === 0
+        ? { ok: true, code, error: null, missing: false }
+        : { ok: false, code, error: stderr.trim() || `ffmpeg exited with code ${code}`, missing: false });
+    });
+  });
+}
+
+/**
+ * Is an ffmpeg binary available? Checked once per instance.
+ */
+export async function isFfmpegAvailable() {
+  if (availability === undefined) {
+    const { ok, error } = await runFfmpeg(['-version'], { timeoutMs: 5000 });
+    availability = ok;
+    if (!ok) console.warn(`[FFmpeg] ${getFfmpegPath()} unavailable - video processing skipped:`, error);
+  }
+  return availability;
+}
+
+/**
+ * Run fn(dir) with a scratch directory under the OS temp dir, removed
+ * afterwards (Vercel's /tmp is small and survives warm invocations)
+ */
+export async function withTempDir(fn) {
+  const dir = await mkdtemp(join(tmpdir(), 'neoclip-'));
+  try {
+    return await fn(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true }).catch(() => {});
+  }
+}
@@ -0,0 +1,379 @@
+/**
+ * NeoClip 340 - Generation records (public.generations)
+ *
+ * A row is written when a provider task is created and updated once the
+ * task reaches a final state, so a user's library survives clearing the
+ * browser. Provider task IDs (task_id) remain the public generationId.
+ *
+ * Final state normally arrives via api/webhook.js; api/poll.js only asks
+ * the provider itself when the row has not been checked recently.
+ * Completed videos are then post-processed by the job worker
+ * (api/_lib/pipeline.js): copied to our own storage, branded and
+ * thumbnailed, with each step's status in postprocess_steps.
+ *
+ * Batch requests create one row per take sharing a group_id; the user
+ * then keeps or discards each take (kept), and discarded takes drop out
+ * of the library.
+ *
+ * Storyboards (api/_lib/storyboard.js) are a composite row (kind
+ * 'storyboard') plus one row per shot pointing at it (composite_id);
+ * shots stay out of the library.
+ */
+
+import { dbSelect, dbSelectOne, dbInsert, dbUpdate, eq, inList } from './supabase.js';
+import { getTierConfig } from './config.js';
+import { getStorageBackend } from './storage.js';
+
+export const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const MAX_PAGE_SIZE = 50;
+
+const PENDING_POSTPROCESS = ['queued', 'running'];
+
+// A branded copy not stored this long after completion is not coming
+const BRANDING_TIMEOUT_MS = 60 * 60 * 1000;
+
+// Rows never finalized (lost webhook, provider gone) stop counting as
+// running on the provider after this long
+const ACTIVE_WINDOW_MS = 30 * 60 * 1000;
+
+/**
+ * Columns for the options a provider actually used (api/_lib/options.js)
+ */
+function optionColumns(options) {
+  if (!options) return {};
+  return {
+    duration: options.duration,
+    length: options.duration,
+    resolution: options.resolution,
+    aspect_ratio: options.aspectRatio ?? null,
+    loop: options.loop,
+    seed: options.seed,
+    negative_prompt: options.negativePrompt,
+    style: options.style ?? null,
+    expand_prompt: options.expandPrompt ?? true
+  };
+}
+
+/**
+ * Record a newly created provider task
+ */
+export async function createGeneration({ userId, taskId, prompt, enhancedPrompt, tier, provider, model, cost, imageUrl, endImageUrl, parentId, groupId, groupIndex, kind = 'clip', storyboard, compositeId, shotIndex, options, quotaSource = 'tier' }) {
+  const now = new Date().toISOString();
+  const [row] = await dbInsert('generations', {
+    ...optionColumns(options),
+    user_id: userId,
+    task_id: taskId,
+    prompt,
+    enhanced_prompt: enhancedPrompt || null,
+    tier,
+    provider,
+    model,
+    cost,
+    cost_usd: cost,
+    image_url: imageUrl || null,
+    end_image_url: endImageUrl || null,
+    parent_id: parentId || null,
+    group_id: groupId || null,
+    group_index: groupId ? groupIndex : null,
+    kind,
+    storyboard: storyboard || null,
+    composite_id: compositeId || null,
+    shot_index: compositeId ? shotIndex : null,
+    quota_source: quotaSource,
+    status: 'processing',
+    started_at: now
+  });
+  return row;
+}
+
+export async function findGenerationByTask(taskId) {
+  return dbSelectOne('generations', `task_id=${eq(taskId)}&select=*`);
+}
+
+export async function findGenerationById(id) {
+  return dbSelectOne('generations', `id=${eq(id)}&select=*`);
+}
+
+/**
+ * Store a task's final outcome. Only rows that are not already final are
+ * touched, so a late or repeated update cannot flip a finished generation.
+ * Returns the updated row, or null if nothing changed.
+ */
+export async function finalizeGeneration(taskId, { status, videoUrl, error }) {
+  const patch = { status };
+  if (status === 'completed') {
+    patch.video_url = videoUrl;
+    patch.completed_at = new Date().toISOString();
+  }
+  if (error) patch.error = String(error).slice(0, 1000);
+
+  const rows = await dbUpdate(
+    'generations',
+    `task_id=${eq(taskId)}&status=not.in.(${FINAL_STATUSES.join(',')})`,
+    patch
+  );
+  return Array.isArray(rows) && rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Mark a user's in-flight generation cancelled. Returns the updated row, or
+ * null if it had already reached a final state (so a cancel is applied,
+ * and refunded, at most once).
+ */
+export async function cancelGeneration(taskId, userId) {
+  const rows = await dbUpdate(
+    'generations',
+    `task_id=${eq(taskId)}&user_id=${eq(userId)}&status=not.in.(${FINAL_STATUSES.join(',')})`,
+    { status: 'cancelled', cancelled_at: new Date().toISOString(), error: 'Cancelled by user' }
+  );
+  return Array.isArray(rows) && rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Clips currently rendering on a provider across all users, counted up
+ * to `max` (storyboard composites are not provider tasks themselves)
+ */
+export async function countActiveGenerations(max) {
+  const since = new Date(Date.now() - ACTIVE_WINDOW_MS).toISOString();
+  const rows = await dbSelect(
+    'generations',
+    `status=in.(pending,queued,processing)&kind=eq.clip&created_at=gte.${encodeURIComponent(since)}&select=id&limit=${max}`
+  );
+  return Array.isArray(rows) ? rows.length : 0;
+}
+
+/**
+ * Record an in-flight status and/or that we just asked the provider
+ * directly (last_checked_at). Final rows are left alone.
+ */
+export async function markGenerationProgress(taskId, { status, checked = false }) {
+  const patch = {};
+  if (status) patch.status = status;
+  if (checked) patch.last_checked_at = new Date().toISOString();
+  if (Object.keys(patch).length === 0) return null;
+
+  const rows = await dbUpdate(
+    'generations',
+    `task_id=${eq(taskId)}&status=not.in.(${FINAL_STATUSES.join(',')})`,
+    patch
+  );
+  return Array.isArray(rows) && rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Record where the video now lives, its size and SHA-256, and whether it
+ * was branded
+ */
+export async function markVideoStored(taskId, { backend, key, url, bytes, sha256, branded = false }) {
+  const rows = await dbUpdate('generations', `task_id=${eq(taskId)}`, {
+    storage_backend: backend,
+    storage_key: key,
+    storage_url: url,
+    video_bytes: bytes,
+    video_sha256: sha256,
+    branded,
+    stored_at: new Date().toISOString()
+  });
+  return Array.isArray(rows) && rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Record the stored poster frame and (optional) preview
+ */
+export async function markThumbnailsStored(taskId, { thumbnailKey, thumbnailUrl, previewKey = null, previewUrl = null }) {
+  const rows = await dbUpdate('generations', `task_id=${eq(taskId)}`, {
+    thumbnail_key: thumbnailKey,
+    thumbnail_url: thumbnailUrl,
+    preview_key: previewKey,
+    preview_url: previewUrl
+  });
+  return Array.isArray(rows) && rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Update the post-processing status and/or per-step results
+ * ({ [step]: { status, attempts, error, at } })
+ */
+export async function updatePostprocess(taskId, { status, steps }) {
+  const patch = {};
+  if (status !== undefined) patch.postprocess_status = status;
+  if (steps !== undefined) patch.postprocess_steps = steps;
+
+  const rows = await dbUpdate('generations', `task_id=${eq(taskId)}`, patch);
+  return Array.isArray(rows) && rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Replace a composite's `storyboard` column (shot summaries and stage)
+ */
+export async function updateStoryboard(taskId, storyboard) {
+  const rows = await dbUpdate('generations', `task_id=${eq(taskId)}`, { storyboard });
+  return Array.isArray(rows) && rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * The shots started so far for a storyboard composite (by row id), in
+ * shot order
+ */
+export async function listCompositeShots(compositeId) {
+  return dbSelect(
+    'generations',
+    `composite_id=${eq(compositeId)}&select=*&order=shot_index.asc`
+  );
+}
+
+/**
+ * A completed clip of a branded tier without a stored branded copy. Its
+ * provider URL (or an unbranded stored copy) is the clean original, so
+ * no video is served for it - whatever state post-processing is in.
+ */
+export function lacksBrandedCopy(row) {
+  return !!(
+    row?.status === 'completed'
+    && getTierConfig(row.tier).branded
+    && !(row.storage_key && row.branded)
+  );
+}
+
+/**
+ * lacksBrandedCopy() and the copy may still come: post-processing is
+ * queued or running, or not queued yet while storage is configured
+ * (the next status check queues it), and the clip completed less than
+ * BRANDING_TIMEOUT_MS ago. Otherwise branding has failed.
+ */
+export function isAwaitingBranding(row) {
+  if (!lacksBrandedCopy(row)) return false;
+  const completed = new Date(row.completed_at || row.created_at).getTime();
+  if (Date.now() - completed > BRANDING_TIMEOUT_MS) return false;
+  if (PENDING_POSTPROCESS.includes(row.postprocess_status)) return true;
+  return !row.postprocess_status && !!getStorageBackend();
+}
+
+/**
+ * Fail a completed generation that never got its branded copy. Only a
+ * row still completed without one is touched, so this happens (and is
+ * refunded) at most once. Returns the updated row, or null if nothing
+ * changed.
+ */
+export async function failUnbrandedGeneration(taskId, error) {
+  const rows = await dbUpdate(
+    'generations',
+    `task_id=${eq(taskId)}&status=eq.completed&or=(storage_key.is.null,branded.is.false)`,
+    { status: 'failed', error: String(error).slice(0, 1000) }
+  );
+  return Array.isArray(rows) && rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Newest-first page of a user's generations.
+ * Fetches one extra row to know whether another page exists.
+ */
+export async function listGenerations(userId, { limit = 20, offset = 0 } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_PAGE_SIZE);
+  const start = Math.max(parseInt(offset) || 0, 0);
+
+  // Discarded batch takes and storyboard shots are hidden; undecided
+  // takes still show
+  const rows = await dbSelect(
+    'generations',
+    `user_id=${eq(userId)}&kept=not.is.false&composite_id=is.null&select=*&order=created_at.desc&limit=${pageSize + 1}&offset=${start}`
+  );
+
+  return {
+    generations: rows.slice(0, pageSize),
+    pagination: {
+      limit: pageSize,
+      offset: start,
+      hasMore: rows.length > pageSize,
+      nextOffset: rows.length > pageSize ? start + pageSize : null
+    }
+  };
+}
+
+/**
+ * Every take of one of the user's batches, in request order
+ */
+export async function listGroupGenerations(userId, groupId) {
+  return dbSelect(
+    'generations',
+    `user_id=${eq(userId)}&group_id=${eq(groupId)}&select=*&order=group_index.asc`
+  );
+}
+
+/**
+ * Keep or discard takes of one of the user's batches. Returns the
+ * updated rows.
+ */
+export async function setTakesKept(userId, groupId, taskIds, kept) {
+  if (taskIds.length === 0) return [];
+  const rows = await dbUpdate(
+    'generations',
+    `user_id=${eq(userId)}&group_id=${eq(groupId)}&task_id=${inList(taskIds)}`,
+    { kept }
+  );
+  return Array.isArray(rows) ? rows : [];
+}
+
+/**
+ * Shape a public.generations row for API responses. `playback`
+ * ({ url, expiresAt, thumbnailUrl, previewUrl }, see
+ * api/_lib/video-archive.js) replaces the provider URL once the video is
+ * in our storage.
+ */
+export function toClientGeneration(row, playback = null) {
+  return {
+    id: row.id,
+    generationId: row.task_id,
+    taskId: row.task_id,
+    prompt: row.prompt,
+    enhancedPrompt: row.enhanced_prompt || null,
+    status: row.status,
+    // A branded tier only ever gets its branded copy
+    videoUrl: lacksBrandedCopy(row) ? null : playback?.url || (row.branded ? null : row.video_url),
+    videoUrlExpiresAt: playback?.expiresAt || null,
+    videoSize: row.video_bytes ?? null,
+    videoSha256: row.video_sha256 || null,
+    storedAt: row.stored_at || null,
+    branded: !!row.branded,
+    postprocess: row.postprocess_status
+      ? { status: row.postprocess_status, steps: row.postprocess_steps || {} }
+      : null,
+    // Stored thumbnails are private like the video - signed or nothing
+    thumbnailUrl: row.thumbnail_key ? playback?.thumbnailUrl || null : row.thumbnail_url,
+    previewUrl: playback?.previewUrl || null,
+    imageUrl: row.image_url,
+    endImageUrl: row.end_image_url,
+    parentId: row.parent_id,
+    groupId: row.group_id || null,
+    groupIndex: row.group_index ?? null,
+    kept: row.kept ?? null,
+    aspectRatio: row.aspect_ratio || null,
+    kind: row.kind || 'clip',
+    storyboard: row.storyboard
+      ? {
+        transition: row.storyboard.transition,
+        chainFrames: !!row.storyboard.chainFrames,
+        stage: FINAL_STATUSES.includes(row.status) ? null : row.storyboard.stage || null,
+        shots: (row.storyboard.shots || []).map(shot => ({
+          prompt: shot.prompt,
+          status: shot.status || 'pending',
+          error: shot.error || null
+        }))
+      }
+      : null,
+    tier: row.tier,
+    provider: row.provider,
+    model: row.model,
+    duration: row.duration,
+    resolution: row.resolution,
+    loop: row.loop,
+    seed: row.seed,
+    negativePrompt: row.negative_prompt,
+    style: row.style || null,
+    expandPrompt: row.expand_prompt ?? true,
+    error: row.error,
+    createdAt: row.created_at,
+    completedAt: row.completed_at
+  };
+}
@@ -0,0 +1,226 @@
+/**
+ * NeoClip 340 - Shared HTTP client
+ *
+ * makeRequest() is a thin wrapper around native fetch with a timeout.
+ * Never throws - always resolves to
+ * { status, data, ok, error, errorType, text }, where errorType classifies
+ * a failure (see ERROR_TYPES).
+ *
+ * requestWithRetry() adds exponential backoff with jitter for transient
+ * failures and an optional per-provider circuit breaker
+ * (api/_lib/circuit-breaker.js). Provider calls go through it.
+ *
+ * downloadBuffer() fetches binary bodies (videos) with a size cap.
+ */
+
+export const ERROR_TYPES = {
+  auth: 'auth',                   // 401/403 - our credentials
+  quota: 'quota',                 // 402/429, or out of credits
+  timeout: 'timeout',             // no answer within timeoutMs
+  network: 'network',             // DNS, connection reset, ...
+  provider: 'provider_error',     // 5xx
+  invalidInput: 'invalid_input',  // any other 4xx - the request itself
+  circuitOpen: 'circuit_open'     // not sent: the provider is failing
+};
+
+const TRANSIENT_TYPES = [ERROR_TYPES.timeout, ERROR_TYPES.network, ERROR_TYPES.provider];
+
+// Providers often report exhausted credit as a plain 400
+const QUOTA_RE = /insufficient|quota|credit|balance|billing/i;
+
+/**
+ * Classify a failed response. Returns null for successful ones.
+ */
+export function classifyResponse({ ok, status, error, timedOut = false }) {
+  if (ok) return null;
+  if (timedOut) return ERROR_TYPES.timeout;
+  if (!status) return ERROR_TYPES.network;
+  if (status === 401 || status === 403) return ERROR_TYPES.auth;
+  if (status === 402 || status === 429) return ERROR_TYPES.quota;
+  if (status >= 500) return ERROR_TYPES.provider;
+  if (QUOTA_RE.test(typeof error === 'string' ? error : JSON.stringify(error || ''))) {
+    return ERROR_TYPES.quota;
+  }
+  return ERROR_TYPES.invalidInput;
+}
+
+/**
+ * Worth retrying: the same request may succeed in a moment
+ */
+export function isTransient(result) {
+  return TRANSIENT_TYPES.includes(result.errorType) || result.status === 429;
+}
+
+/**
+ * Make HTTP request with timeout
+ */
+export async function makeRequest(url, options = {}, timeoutMs = 30000) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, {
+      ...options,
+      signal: controller.signal,
+      headers: {
+        'Content-Type': 'application/json',
+        ...options.headers
+      }
+    });
+
+    const text = await response.text();
+    let data = {};
+    try {
+      if (text) data = JSON.parse(text);
+    } catch (e) {
+      console.warn('Response not JSON:', text.slice(0, 200));
+    }
+
+    const error = !response.ok ? (data.error || data.message || `HTTP ${response.status}`) : null;
+    return {
+      status: response.status,
+      data,
+      ok: response.ok,
+      text,
+      error,
+      errorType: classifyResponse({ ok: response.ok, status: response.status, error })
+    };
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      return { status: 408, data: {}, ok: false, text: '', error: 'Request timeout', errorType: ERROR_TYPES.timeout };
+    }
+    return { status: 0, data: {}, ok: false, text: '', error: error.message, errorType: ERROR_TYPES.network };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Download a binary body (e.g. a finished video) with a timeout and a size
+ * cap. Never throws - resolves to
+ * { ok, status, buffer, contentType, error, errorType }.
+ */
+export async function downloadBuffer(url, { timeoutMs = 30000, maxBytes = 100 * 1024 * 1024 } = {}) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    const contentType = response.headers.get('content-type') || null;
+
+    if (!response.ok) {
+      await response.body?.cancel();
+      const error = `HTTP ${response.status}`;
+      return {
+        ok: false,
+        status: response.status,
+        buffer: null,
+        contentType,
+        error,
+        errorType: classifyResponse({ ok: false, status: response.status, error })
+      };
+    }
+
+    const declared = parseInt(response.headers.get('content-length'), 10);
+    if (declared > maxBytes) {
+      await response.body?.cancel();
+      return tooLarge(response.status, contentType, maxBytes);
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        controller.abort();
+        return tooLarge(response.status, contentType, maxBytes);
+      }
+      chunks.push(chunk);
+    }
+
+    return { ok: true, status: response.status, buffer: Buffer.concat(chunks), contentType, error: null, errorType: null };
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      return { ok: false, status: 408, buffer: null, contentType: null, error: 'Download timeout', errorType: ERROR_TYPES.timeout };
+    }
+    return { ok: false, status: 0, buffer: null, contentType: null, error: error.message, errorType: ERROR_TYPES.network };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+function tooLarge(status, contentType, maxBytes) {
+  return {
+    ok: false,
+    status,
+    buffer: null,
+    contentType,
+    error: `File larger than ${Math.round(maxBytes / 1024 / 1024)} MB`,
+    errorType: ERROR_TYPES.invalidInput
+  };
+}
+
+/**
+ * Exponential backoff with "equal jitter": half the step is fixed, half
+ * random, so concurrent callers spread out without retrying instantly
+ */
+export function backoffDelay(attempt, baseDelayMs = 500, maxDelayMs = 5000) {
+  const step = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(step / 2 + Math.random() * (step / 2));
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * makeRequest() with retries for transient failures (timeout, network,
+ * 5xx, 429). Other failures return at once. Resolves to the last
+ * response plus `attempts`.
+ *
+ * Options:
+ *   timeoutMs       per attempt (default 30000)
+ *   retries         extra attempts after the first (default 2)
+ *   baseDelayMs / maxDelayMs   backoff bounds
+ *   breaker         circuit breaker to consult and update
+ *   retryTimeouts   false for non-idempotent calls (e.g. creating a task),
+ *                   where a timed-out request may still have gone through
+ */
+export async function requestWithRetry(url, options = {}, {
+  timeoutMs = 30000,
+  retries = 2,
+  baseDelayMs = 500,
+  maxDelayMs = 5000,
+  breaker = null,
+  retryTimeouts = true
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    if (breaker && !breaker.canRequest()) {
+      return {
+        status: 503,
+        data: {},
+        ok: false,
+        text: '',
+        error: `${breaker.name} is temporarily unavailable after repeated failures`,
+        errorType: ERROR_TYPES.circuitOpen,
+        attempts: attempt
+      };
+    }
+
+    const result = await makeRequest(url, options, timeoutMs);
+    const transient = !result.ok && isTransient(result);
+
+    // Any real answer (even a 4xx) shows the provider is up
+    if (breaker) {
+      if (transient) breaker.recordFailure(result.errorType);
+      else breaker.recordSuccess();
+    }
+
+    const retryable = transient && (retryTimeouts || result.errorType !== ERROR_TYPES.timeout);
+    if (!retryable || attempt >= retries) {
+      return { ...result, attempts: attempt + 1 };
+    }
+
+    const delay = backoffDelay(attempt, baseDelayMs, maxDelayMs);
+    console.warn(`[HTTP] ${result.errorType} (${result.error}) - retry ${attempt + 1}/${retries} in ${delay}ms`);
+    await sleep(delay);
+  }
+}
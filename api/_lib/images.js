@@ -0,0 +1,88 @@
+/**
+ * NeoClip 340 - Image inputs for image-to-video
+ *
+ * Uploads are checked twice: the declared Content-Type must be allowed and
+ * the file's magic bytes must agree with it. Size stays under Vercel's
+ * 4.5 MB request body limit.
+ */
+
+export const MAX_IMAGE_BYTES = 4 * 1024 * 1024;
+
+// Content-Type -> file extension
+export const ALLOWED_IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+const MAX_IMAGE_URL_LENGTH = 2048;
+
+/**
+ * Detect the real image type from the first bytes of the file
+ */
+export function detectImageType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
+
+/**
+ * Validate an uploaded image. Returns { ok, contentType, extension } or
+ * { ok: false, status, error }.
+ */
+export function validateImageUpload(buffer, declaredType) {
+  const declared = String(declaredType || '').split(';')[0].trim().toLowerCase();
+
+  if (!ALLOWED_IMAGE_TYPES[declared]) {
+    return {
+      ok: false,
+      status: 415,
+      error: `Unsupported image type. Allowed: ${Object.keys(ALLOWED_IMAGE_TYPES).join(', ')}`
+    };
+  }
+
+  if (!buffer || buffer.length === 0) {
+    return { ok: false, status: 400, error: 'Image body is empty' };
+  }
+
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    return { ok: false, status: 413, error: `Image too large (max ${MAX_IMAGE_BYTES / 1024 / 1024} MB)` };
+  }
+
+  if (detectImageType(buffer) !== declared) {
+    return { ok: false, status: 415, error: 'File content does not match its image type' };
+  }
+
+  return { ok: true, contentType: declared, extension: ALLOWED_IMAGE_TYPES[declared] };
+}
+
+/**
+ * Check an image URL passed to /api/generate. Providers fetch it
+ * themselves, so it must be a public https URL.
+ * Returns an error message, or null when the value is acceptable.
+ */
+export function checkImageUrl(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+
+  if (typeof value !== 'string' || value.length > MAX_IMAGE_URL_LENGTH) {
+    return `${field} must be a URL string`;
+  }
+
+  try {
+    const url = new URL(value);
+    if (url.protocol !== 'https:') return `${field} must use https`;
+  } catch {
+    return `${field} is not a valid URL`;
+  }
+
+  return null;
+}
@@ -0,0 +1,135 @@
+/**
+ * NeoClip 340 - Durable job queue (public.jobs)
+ *
+ * Work that does not fit a 60s function - downloading, transcoding,
+ * watermarking and thumbnailing finished videos, driving storyboards - is
+ * queued here and run by the worker (worker/index.js).
+ *
+ * Lifecycle:
+ *   queued  -> running (claim_jobs(): FOR UPDATE SKIP LOCKED, attempts + 1)
+ *   running -> completed
+ *   running -> queued with run_at pushed back (retry with backoff), or
+ *              dead once attempts reach max_attempts (dead letter - kept
+ *              for inspection, requeue by hand; see README)
+ *   running -> queued with run_at pushed back, attempt not counted
+ *              (deferJob: the job is waiting on something, not failing)
+ * A running job whose lock is older than the lock timeout (crashed
+ * worker) is claimed again by the next worker.
+ *
+ * enqueue_job() keeps at most one queued/running job per (type, task_id).
+ */
+
+import { dbRpc, dbUpdate, eq } from './supabase.js';
+
+export const JOB_TYPES = {
+  postprocess: 'postprocess',
+  storyboard: 'storyboard'
+};
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_LOCK_SECONDS = 10 * 60;
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 15 * 60 * 1000;
+
+function maxAttempts() {
+  return parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS;
+}
+
+/**
+ * Queue a job for a generation. Returns the new job, or null if one is
+ * already queued or running for it.
+ */
+export async function enqueueJob(type, taskId, payload = {}) {
+  const rows = await dbRpc('enqueue_job', {
+    p_type: type,
+    p_task_id: taskId,
+    p_payload: payload,
+    p_max_attempts: maxAttempts()
+  });
+  return Array.isArray(rows) && rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Run a queued job now instead of at its scheduled run_at. Returns
+ * whether there was one to move.
+ */
+export async function wakeJob(type, taskId) {
+  const rows = await dbUpdate(
+    'jobs',
+    `type=${eq(type)}&task_id=${eq(taskId)}&status=eq.queued`,
+    { run_at: new Date().toISOString() }
+  );
+  return Array.isArray(rows) && rows.length > 0;
+}
+
+/**
+ * Lock up to `limit` due jobs for `workerId`
+ */
+export async function claimJobs(workerId, { limit = 1, lockSeconds = DEFAULT_LOCK_SECONDS } = {}) {
+  const rows = await dbRpc('claim_jobs', {
+    p_worker: workerId,
+    p_limit: limit,
+    p_lock_seconds: lockSeconds
+  });
+  return Array.isArray(rows) ? rows : [];
+}
+
+// Only the worker holding the lock may settle a job - a reclaimed job's
+// original worker must not overwrite the new attempt
+function lockFilter(job) {
+  return `id=${eq(job.id)}&status=eq.running&locked_by=${eq(job.locked_by)}`;
+}
+
+export async function completeJob(job) {
+  await dbUpdate('jobs', lockFilter(job), {
+    status: 'completed',
+    completed_at: new Date().toISOString(),
+    locked_by: null,
+    locked_at: null,
+    last_error: null
+  });
+}
+
+/**
+ * Delay before retry N (1-based): 30s, 1m, 2m, ... capped at 15m
+ */
+export function retryDelayMs(attempts) {
+  return Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0));
+}
+
+/**
+ * Record a failed attempt: back to the queue with a delay, or dead once
+ * max_attempts is used up. Returns { dead, runAt }.
+ */
+export async function failJob(job, error) {
+  const dead = job.attempts >= job.max_attempts;
+  const runAt = dead ? null : new Date(Date.now() + retryDelayMs(job.attempts)).toISOString();
+
+  await dbUpdate('jobs', lockFilter(job), {
+    status: dead ? 'dead' : 'queued',
+    ...(runAt && { run_at: runAt }),
+    locked_by: null,
+    locked_at: null,
+    last_error: String(error?.message || error).slice(0, 1000)
+  });
+
+  return { dead, runAt };
+}
+
+/**
+ * Put a job back to wait: it runs again after `delayMs`, and the claim
+ * that started this run does not count as an attempt. Returns { runAt }.
+ */
+export async function deferJob(job, delayMs) {
+  const runAt = new Date(Date.now() + delayMs).toISOString();
+
+  await dbUpdate('jobs', lockFilter(job), {
+    status: 'queued',
+    run_at: runAt,
+    attempts: Math.max(job.attempts - 1, 0),
+    locked_by: null,
+    locked_at: null
+  });
+
+  return { runAt };
+}
@@ -0,0 +1,202 @@
+/**
+ * NeoClip 340 - Route middleware
+ *
+ * withRoute() wraps a Vercel handler with what every endpoint repeats:
+ *   1. Request ID - X-Request-Id on every response (a sane incoming
+ *      X-Request-Id or Vercel's x-vercel-id is reused), and `requestId`
+ *      in every error body
+ *   2. CORS - policy from api/_lib/config.js (CORS_ALLOWED_ORIGINS);
+ *      OPTIONS preflights are answered here
+ *   3. Method guard - 405 with an Allow header
+ *   4. JSON body - parsed into ctx.body (400 on malformed JSON); skipped
+ *      with `json: false` for raw bodies (uploads, signed webhooks)
+ *   5. Error envelope - uncaught errors become
+ *      500 { success: false, error, message, requestId } and are logged
+ *      with the request ID
+ *
+ * Usage:
+ *   export default withRoute({ name: 'Poll', methods: ['GET'], error: 'Poll failed' },
+ *     async (req, res, { query, body, requestId }) => { ... });
+ *
+ * Handlers answer errors with sendError() so every failure has the same
+ * shape: { success: false, error, ...details, requestId }.
+ */
+
+import {
+  CORS_ALLOWED_HEADERS,
+  CORS_EXPOSED_HEADERS,
+  getAllowedOrigins
+} from './config.js';
+
+const REQUEST_ID_RE = /^[\w.:-]{8,128}$/;
+const BODY_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// ============================================
+// Request helpers
+// ============================================
+
+/**
+ * Parse query parameters using ONLY the WHATWG URL API (DEP0169 - no
+ * req.query / url.parse)
+ */
+export function getQueryParams(req) {
+  try {
+    const host = req.headers?.host || req.headers?.['x-forwarded-host'] || 'localhost';
+    const protocol = req.headers?.['x-forwarded-proto'] || 'https';
+    const url = new URL(req.url || '/', `${protocol}://${host}`);
+    return Object.fromEntries(url.searchParams);
+  } catch (err) {
+    console.error('URL parsing error:', err.message);
+    return {};
+  }
+}
+
+/**
+ * The caller's IP: first X-Forwarded-For entry, then X-Real-IP, then the
+ * socket. Null if none is known.
+ */
+export function getClientIp(req) {
+  const forwarded = req.headers?.['x-forwarded-for'];
+  const first = (Array.isArray(forwarded) ? forwarded[0] : forwarded || '').split(',')[0].trim();
+  return first || req.headers?.['x-real-ip'] || req.socket?.remoteAddress || null;
+}
+
+/**
+ * The JSON request body as an object. Vercel usually parses it already;
+ * strings and buffers (other runtimes, wrong Content-Type) are parsed here.
+ * Returns { ok: true, body } or { ok: false, error }.
+ */
+export function readJsonBody(req) {
+  let body;
+  try {
+    // Vercel's lazy parser throws on malformed JSON
+    body = req.body;
+  } catch {
+    return { ok: false, error: 'Invalid JSON body' };
+  }
+
+  if (body === undefined || body === null || body === '') return { ok: true, body: {} };
+  if (Buffer.isBuffer(body)) body = body.toString('utf8');
+
+  if (typeof body === 'string') {
+    try {
+      body = JSON.parse(body);
+    } catch {
+      return { ok: false, error: 'Invalid JSON body' };
+    }
+  }
+
+  if (typeof body !== 'object' || Array.isArray(body)) {
+    return { ok: false, error: 'Request body must be a JSON object' };
+  }
+  return { ok: true, body };
+}
+
+function resolveRequestId(req) {
+  const incoming = req.headers?.['x-request-id'] || req.headers?.['x-vercel-id'];
+  if (typeof incoming === 'string' && REQUEST_ID_RE.test(incoming)) return incoming;
+  return `req_${crypto.randomUUID().replace(/-/g, '')}`;
+}
+
+// ============================================
+// Responses
+// ============================================
+
+/**
+ * Send the standard error envelope:
+ *   { success: false, error, ...details, requestId }
+ * `error` is a short summary; put the human-readable text in
+ * details.message.
+ */
+export function sendError(res, status, error, details = {}) {
+  return res.status(status).json({
+    success: false,
+    error,
+    ...details,
+    requestId: res.getHeader?.('X-Request-Id') || null
+  });
+}
+
+/**
+ * Apply the CORS policy. With an allow-list, only listed origins are
+ * echoed back; other browsers' requests are refused by the browser itself.
+ */
+export function applyCors(req, res, { methods, headers = CORS_ALLOWED_HEADERS }) {
+  const allowed = getAllowedOrigins();
+  const origin = (req.headers?.origin || '').replace(/\/$/, '');
+
+  if (allowed.includes('*')) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+  } else {
+    res.setHeader('Vary', 'Origin');
+    if (origin && allowed.includes(origin)) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    }
+  }
+
+  res.setHeader('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(', '));
+  res.setHeader('Access-Control-Allow-Headers', headers);
+  res.setHeader('Access-Control-Expose-Headers', CORS_EXPOSED_HEADERS);
+}
+
+// ============================================
+// Route wrapper
+// ============================================
+
+/**
+ * Options:
+ *   name      log prefix, e.g. 'Poll'
+ *   methods   allowed methods (OPTIONS is implied when cors is on)
+ *   cors      false for server-to-server endpoints (default true)
+ *   headers   Access-Control-Allow-Headers override
+ *   json      false to leave the body unread (default true)
+ *   error     `error` summary for uncaught failures (default 'Request failed')
+ *
+ * The handler gets (req, res, { requestId, query, body }).
+ */
+export function withRoute({
+  name,
+  methods,
+  cors = true,
+  headers,
+  json = true,
+  error: failure = 'Request failed'
+}, handler) {
+  return async function route(req, res) {
+    const requestId = resolveRequestId(req);
+    res.setHeader('X-Request-Id', requestId);
+
+    if (cors) {
+      applyCors(req, res, { methods, headers });
+      if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+      }
+    }
+
+    if (!methods.includes(req.method)) {
+      res.setHeader('Allow', methods.join(', '));
+      return sendError(res, 405, 'Method not allowed', {
+        message: `Use ${methods.join(' or ')}.`,
+        allowedMethods: methods
+      });
+    }
+
+    let body = {};
+    if (json && BODY_METHODS.includes(req.method)) {
+      const parsed = readJsonBody(req);
+      if (!parsed.ok) return sendError(res, 400, parsed.error);
+      body = parsed.body;
+    }
+
+    try {
+      return await handler(req, res, { requestId, query: getQueryParams(req), body });
+    } catch (error) {
+      console.error(`[${name}] Error (${requestId}):`, error);
+      if (res.headersSent) {
+        // A streaming response (SSE) already started - just close it
+        return res.end();
+      }
+      return sendError(res, 500, failure, { message: error.message });
+    }
+  };
+}
@@ -0,0 +1,302 @@
+/**
+ * NeoClip 340 - Prompt moderation
+ *
+ * Runs before a prompt reaches any provider (api/generate.js):
+ *   1. Rules - built-in categories plus MODERATION_BLOCKLIST (comma-separated
+ *      terms) and MODERATION_RULES (JSON array of
+ *      { id, pattern, flags, action: 'reject'|'rewrite', replacement, category }).
+ *   2. PII - emails, phone numbers, card and ID numbers are redacted
+ *      (MODERATION_PII=redact, default), rejected (reject) or ignored (off).
+ *   3. Classifier - optional external check. MODERATION_CLASSIFIER_URL gets
+ *      POST { prompt, userId, tier } and answers
+ *      { flagged, categories?, prompt? } (prompt = rewritten text).
+ *      Code can install its own with setClassifier(fn). A failing classifier
+ *      is skipped unless MODERATION_FAIL_CLOSED=true.
+ *
+ * moderatePrompt() resolves to { ok: true, prompt, rewritten, flags } or
+ * { ok: false, status, code, category, message }.
+ */
+
+import { makeRequest } from './http.js';
+import { dbInsert } from './supabase.js';
+
+export const MODERATION_CODES = {
+  blocked: 'PROMPT_BLOCKED',
+  pii: 'PROMPT_PII',
+  flagged: 'PROMPT_FLAGGED',
+  unavailable: 'MODERATION_UNAVAILABLE'
+};
+
+// Built-in rules. `all` requires every pattern to match (anywhere in the prompt).
+const DEFAULT_RULES = [
+  {
+    id: 'minors-sexual',
+    category: 'sexual_minors',
+    action: 'reject',
+    all: [
+      /\b(child|children|kid|kids|minor|minors|underage|teen|teens|teenager|schoolgirl|schoolboy|toddler|preteen|loli|shota)\b/i,
+      /\b(nude|naked|sex|sexual|sexy|erotic|porn\w*|undress\w*|lingerie|nsfw|topless|fetish)\b/i
+    ]
+  },
+  {
+    id: 'sexual-explicit',
+    category: 'sexual',
+    action: 'reject',
+    pattern: /\b(porn\w*|nsfw|hentai|explicit sex|sex act|nude|nudity|naked|genitals?|erotic|intercourse|blowjob|masturbat\w*)\b/i
+  },
+  {
+    id: 'graphic-violence',
+    category: 'violence',
+    action: 'reject',
+    pattern: /\b(gore|gory|dismember\w*|decapitat\w*|behead\w*|disembowel\w*|mutilat\w*|torture porn)\b/i
+  },
+  {
+    id: 'self-harm',
+    category: 'self_harm',
+    action: 'reject',
+    pattern: /\b(self[- ]harm|suicide|kill (myself|yourself|himself|herself)|slit(ting)? (my |her |his )?wrists?)\b/i
+  },
+  {
+    id: 'deepfake',
+    category: 'impersonation',
+    action: 'reject',
+    pattern: /\b(deep ?fakes?|face ?swap)\b/i
+  },
+  {
+    id: 'extremism',
+    category: 'extremism',
+    action: 'reject',
+    pattern: /\b(terrorist attack|mass shooting|school shooting|isis propaganda|nazi propaganda|white power)\b/i
+  }
+];
+
+const PII_PATTERNS = [
+  { type: 'email', pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, replacement: '[email]' },
+  { type: 'card', pattern: /\b\d(?:[ -]?\d){12,18}\b/g, replacement: '[card]', check: luhnValid },
+  { type: 'id_number', pattern: /\b\d{3}-\d{2}-\d{4}\b/g, replacement: '[id number]' },
+  { type: 'phone', pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)|\d{2,4})[\s.-]\d{3,4}[\s.-]\d{3,4}\b/g, replacement: '[phone]' }
+];
+
+// Zero-width characters used to split words past the rules
+const INVISIBLE_RE = /[\u200B-\u200D\u2060\uFEFF\u00AD]/g;
+
+function luhnValid(match) {
+  const digits = match.replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function parseConfiguredRules() {
+  const rules = [];
+
+  const blocklist = (process.env.MODERATION_BLOCKLIST || '')
+    .split(',')
+    .map(term => term.trim())
+    .filter(Boolean);
+  if (blocklist.length) {
+    rules.push({
+      id: 'blocklist',
+      category: 'blocklist',
+      action: 'reject',
+      pattern: new RegExp(`\\b(${blocklist.map(escapeRegex).join('|')})\\b`, 'i')
+    });
+  }
+
+  if (process.env.MODERATION_RULES) {
+    try {
+      const custom = JSON.parse(process.env.MODERATION_RULES);
+      for (const rule of Array.isArray(custom) ? custom : []) {
+        if (!rule?.pattern) continue;
+        const flags = (rule.flags || 'i').replace(/[^gimsuy]/g, '');
+        rules.push({
+          id: rule.id || `custom-${rules.length}`,
+          category: rule.category || 'custom',
+          action: rule.action === 'rewrite' ? 'rewrite' : 'reject',
+          replacement: rule.replacement ?? '',
+          pattern: new RegExp(rule.pattern, rule.action === 'rewrite' && !flags.includes('g') ? `${flags}g` : flags)
+        });
+      }
+    } catch (error) {
+      console.error('[Moderation] Ignoring invalid MODERATION_RULES:', error.message);
+    }
+  }
+
+  return rules;
+}
+
+let cachedRules = null;
+
+function getRules() {
+  if (!cachedRules) cachedRules = [...DEFAULT_RULES, ...parseConfiguredRules()];
+  return cachedRules;
+}
+
+function ruleMatches(rule, text) {
+  if (rule.all) return rule.all.every(pattern => pattern.test(text));
+  rule.pattern.lastIndex = 0;
+  return rule.pattern.test(text);
+}
+
+/**
+ * Replace PII with placeholders. Returns { text, found: ['email', ...] }.
+ */
+export function redactPii(text) {
+  const found = [];
+  let result = text;
+  for (const { type, pattern, replacement, check } of PII_PATTERNS) {
+    result = result.replace(pattern, match => {
+      if (check && !check(match)) return match;
+      if (!found.includes(type)) found.push(type);
+      return replacement;
+    });
+  }
+  return { text: result, found };
+}
+
+// ============================================
+// External classifier hook
+// ============================================
+
+let classifier = null;
+
+/**
+ * Install a classifier: async ({ prompt, userId, tier }) =>
+ * { flagged, categories?, prompt? }. Pass null to go back to
+ * MODERATION_CLASSIFIER_URL (or none).
+ */
+export function setClassifier(fn) {
+  classifier = fn;
+}
+
+async function urlClassifier({ prompt, userId, tier }) {
+  const headers = {};
+  if (process.env.MODERATION_CLASSIFIER_TOKEN) {
+    headers.Authorization = `Bearer ${process.env.MODERATION_CLASSIFIER_TOKEN}`;
+  }
+  const timeoutMs = parseInt(process.env.MODERATION_CLASSIFIER_TIMEOUT_MS, 10) || 3000;
+
+  const { ok, data, error } = await makeRequest(process.env.MODERATION_CLASSIFIER_URL, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ prompt, userId, tier })
+  }, timeoutMs);
+
+  if (!ok || typeof data?.flagged !== 'boolean') {
+    throw new Error(`Classifier request failed: ${error || 'unexpected response'}`);
+  }
+  return data;
+}
+
+function getClassifier() {
+  if (classifier) return classifier;
+  return process.env.MODERATION_CLASSIFIER_URL ? urlClassifier : null;
+}
+
+// ============================================
+// Moderation
+// ============================================
+
+function reject(status, code, category, message, rule) {
+  return { ok: false, status, code, category, message, rule: rule || null };
+}
+
+/**
+ * Moderate a trimmed prompt. `context` ({ userId, tier }) is passed to the
+ * classifier.
+ */
+export async function moderatePrompt(prompt, context = {}) {
+  let text = prompt.normalize('NFKC').replace(INVISIBLE_RE, '');
+  const flags = [];
+
+  for (const rule of getRules()) {
+    if (!ruleMatches(rule, text)) continue;
+    if (rule.action === 'reject') {
+      return reject(422, MODERATION_CODES.blocked, rule.category,
+        "This prompt isn't allowed. Please describe something else.", rule.id);
+    }
+    text = text.replace(rule.pattern, rule.replacement).replace(/\s{2,}/g, ' ').trim();
+    flags.push(rule.id);
+  }
+
+  const piiMode = process.env.MODERATION_PII || 'redact';
+  if (piiMode !== 'off') {
+    const redacted = redactPii(text);
+    if (redacted.found.length) {
+      if (piiMode === 'reject') {
+        return reject(422, MODERATION_CODES.pii, 'pii',
+          'Please remove personal information (emails, phone or card numbers) from your prompt.',
+          redacted.found.join(','));
+      }
+      text = redacted.text;
+      flags.push(...redacted.found.map(type => `pii:${type}`));
+    }
+  }
+
+  const classify = getClassifier();
+  if (classify) {
+    try {
+      const verdict = await classify({ prompt: text, userId: context.userId, tier: context.tier });
+      if (verdict?.flagged) {
+        return reject(422, MODERATION_CODES.flagged, verdict.categories?.[0] || 'classifier',
+          "This prompt isn't allowed. Please describe something else.", 'classifier');
+      }
+      if (typeof verdict?.prompt === 'string' && verdict.prompt.trim() && verdict.prompt.trim() !== text) {
+        text = verdict.prompt.trim().slice(0, 500);
+        flags.push('classifier:rewrite');
+      }
+    } catch (error) {
+      console.warn('[Moderation] Classifier unavailable:', error.message);
+      if (process.env.MODERATION_FAIL_CLOSED === 'true') {
+        return reject(503, MODERATION_CODES.unavailable, 'unavailable',
+          'Prompt checks are temporarily unavailable. Please try again shortly.', 'classifier');
+      }
+    }
+  }
+
+  if (!text) {
+    return reject(422, MODERATION_CODES.blocked, 'empty', 'Nothing is left of this prompt after moderation.');
+  }
+
+  return { ok: true, prompt: text, rewritten: flags.length > 0, flags };
+}
+
+const IP_RE = /^(\d{1,3}\.){3}\d{1,3}$|^[0-9a-f:]+$/i;
+
+/**
+ * Record a rejected or rewritten prompt in app_events for abuse review.
+ * The stored prompt is PII-redacted. Never throws.
+ */
+export async function logModerationEvent(result, { userId, prompt, ip, userAgent } = {}) {
+  if (result.ok && !result.rewritten) return;
+
+  try {
+    await dbInsert('app_events', {
+      user_id: userId || null,
+      event_type: result.ok ? 'prompt_rewritten' : 'prompt_rejected',
+      event_data: result.ok
+        ? { flags: result.flags, prompt: redactPii(prompt || '').text }
+        : {
+          code: result.code,
+          category: result.category,
+          rule: result.rule,
+          prompt: redactPii(prompt || '').text
+        },
+      ip_address: ip && IP_RE.test(ip) ? ip : null,
+      user_agent: (userAgent || '').slice(0, 500) || null
+    });
+  } catch (error) {
+    console.error('[Moderation] Failed to log event:', error.message);
+  }
+}
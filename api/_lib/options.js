@@ -0,0 +1,199 @@
+/**
+ * NeoClip 340 - Generation options schema
+ *
+ * validateOptions() turns the raw /api/generate body into
+ * { duration, resolution, aspectRatio, model, loop, seed, negativePrompt,
+ *   style, expandPrompt }:
+ * - malformed values are rejected (400)
+ * - valid values beyond the user's tier are clamped to the tier's limits,
+ *   with a note in `adjustments`
+ *
+ * Providers then map these onto what the model actually supports (see
+ * resolveOptions in providers/piapi.js) and the final values are echoed
+ * back and stored on the generation.
+ */
+
+import { TIERS, getTierConfig } from './config.js';
+import { STYLE_PRESETS } from './prompt-styles.js';
+
+// Ordered low -> high
+export const RESOLUTIONS = ['480p', '540p', '720p', '768p', '1080p'];
+
+export const ASPECT_RATIOS = ['16:9', '9:16', '1:1', '4:3', '3:4', '21:9'];
+export const DEFAULT_ASPECT_RATIO = '16:9';
+export const MIN_BATCH = 2;
+export const MAX_BATCH = 4;
+
+export const MIN_DURATION = 3;
+export const DEFAULT_DURATION = 5;
+export const MAX_SEED = 2147483647;
+const MAX_NEGATIVE_PROMPT = 500;
+
+// Pro may pick any model; other tiers only the ones in their chain
+function allowedModels(tier) {
+  return tier === 'pro'
+    ? [...new Set(Object.values(TIERS).flatMap(config => config.providers))]
+    : getTierConfig(tier).providers;
+}
+
+/**
+ * Validate and clamp generation options for a tier.
+ * Returns { ok: true, options, adjustments } or { ok: false, error }.
+ * `length` is accepted as an alias for `duration` (older clients).
+ */
+export function validateOptions(body, tier) {
+  const limits = getTierConfig(tier);
+  const adjustments = [];
+
+  // Duration (seconds)
+  const rawDuration = body.duration ?? body.length;
+  let duration = DEFAULT_DURATION;
+  if (rawDuration !== undefined && rawDuration !== null && rawDuration !== '') {
+    duration = Number(rawDuration);
+    if (!Number.isFinite(duration) || duration <= 0) {
+      return { ok: false, error: 'duration must be a positive number of seconds' };
+    }
+    duration = Math.round(duration);
+    if (duration < MIN_DURATION) {
+      adjustments.push(`duration raised to the ${MIN_DURATION}s minimum`);
+      duration = MIN_DURATION;
+    }
+    if (duration > limits.maxDuration) {
+      adjustments.push(`duration limited to ${limits.maxDuration}s on the ${tier} tier`);
+      duration = limits.maxDuration;
+    }
+  }
+
+  // Resolution
+  let resolution = limits.maxResolution;
+  if (body.resolution !== undefined && body.resolution !== null && body.resolution !== '') {
+    resolution = String(body.resolution).toLowerCase();
+    if (!RESOLUTIONS.includes(resolution)) {
+      return { ok: false, error: `resolution must be one of: ${RESOLUTIONS.join(', ')}` };
+    }
+    if (RESOLUTIONS.indexOf(resolution) > RESOLUTIONS.indexOf(limits.maxResolution)) {
+      adjustments.push(`resolution limited to ${limits.maxResolution} on the ${tier} tier`);
+      resolution = limits.maxResolution;
+    }
+  }
+
+  // Aspect ratio
+  let aspectRatio = DEFAULT_ASPECT_RATIO;
+  if (body.aspectRatio !== undefined && body.aspectRatio !== null && body.aspectRatio !== '') {
+    aspectRatio = String(body.aspectRatio);
+    if (!ASPECT_RATIOS.includes(aspectRatio)) {
+      return { ok: false, error: `aspectRatio must be one of: ${ASPECT_RATIOS.join(', ')}` };
+    }
+  }
+
+  // Model (provider id) - preferred first in the chain
+  let model = null;
+  if (body.model !== undefined && body.model !== null && body.model !== '') {
+    const requested = String(body.model).toLowerCase();
+    if (!allowedModels('pro').includes(requested)) {
+      return { ok: false, error: `model must be one of: ${allowedModels('pro').join(', ')}` };
+    }
+    if (allowedModels(tier).includes(requested)) {
+      model = requested;
+    } else {
+      adjustments.push(`model ${requested} is not available on the ${tier} tier`);
+    }
+  }
+
+  // Loop
+  if (body.loop !== undefined && typeof body.loop !== 'boolean') {
+    return { ok: false, error: 'loop must be true or false' };
+  }
+  const loop = body.loop === true;
+
+  // Seed
+  let seed = null;
+  if (body.seed !== undefined && body.seed !== null && body.seed !== '') {
+    seed = Number(body.seed);
+    if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+      return { ok: false, error: `seed must be an integer between 0 and ${MAX_SEED}` };
+    }
+  }
+
+  // Negative prompt
+  let negativePrompt = null;
+  if (body.negativePrompt !== undefined && body.negativePrompt !== null) {
+    if (typeof body.negativePrompt !== 'string') {
+      return { ok: false, error: 'negativePrompt must be a string' };
+    }
+    negativePrompt = body.negativePrompt.trim().slice(0, MAX_NEGATIVE_PROMPT) || null;
+  }
+
+  // Style preset (api/_lib/prompt-styles.js)
+  let style = null;
+  if (body.style !== undefined && body.style !== null && body.style !== '') {
+    style = String(body.style).toLowerCase();
+    if (!STYLE_PRESETS[style]) {
+      return { ok: false, error: `style must be one of: ${Object.keys(STYLE_PRESETS).join(', ')}` };
+    }
+  }
+
+  // Prompt expansion - on unless explicitly turned off
+  if (body.expandPrompt !== undefined && typeof body.expandPrompt !== 'boolean') {
+    return { ok: false, error: 'expandPrompt must be true or false' };
+  }
+  const expandPrompt = body.expandPrompt !== false;
+
+  return {
+    ok: true,
+    options: { duration, resolution, aspectRatio, model, loop, seed, negativePrompt, style, expandPrompt },
+    adjustments
+  };
+}
+
+/**
+ * Validate body.batch - several takes of one prompt, created as a group:
+ *   { count: 2-4 }                  takes differ by seed
+ *   { aspectRatios: ['16:9', ...] } one take per aspect ratio
+ * Returns { ok: true, takes, adjustments } (takes: [{ aspectRatio, seed }],
+ * null without a batch) or { ok: false, error }. More takes than the
+ * tier allows are dropped, with a note in `adjustments`.
+ */
+export function validateBatch(body, tier, options) {
+  const { batch } = body;
+  if (batch === undefined || batch === null) return { ok: true, takes: null, adjustments: [] };
+  if (typeof batch !== 'object' || Array.isArray(batch)) {
+    return { ok: false, error: 'batch must be an object: { count } or { aspectRatios }' };
+  }
+
+  const limit = getTierConfig(tier).maxBatch;
+  const adjustments = [];
+  let aspectRatios = null;
+  let count;
+
+  if (batch.aspectRatios !== undefined) {
+    if (!Array.isArray(batch.aspectRatios) || batch.aspectRatios.some(ratio => !ASPECT_RATIOS.includes(ratio))) {
+      return { ok: false, error: `batch.aspectRatios must list values from: ${ASPECT_RATIOS.join(', ')}` };
+    }
+    aspectRatios = [...new Set(batch.aspectRatios)];
+    count = aspectRatios.length;
+  } else {
+    count = Number(batch.count);
+    if (!Number.isInteger(count)) {
+      return { ok: false, error: `batch.count must be an integer from ${MIN_BATCH} to ${MAX_BATCH}` };
+    }
+  }
+
+  if (count < MIN_BATCH || count > MAX_BATCH) {
+    return { ok: false, error: `a batch has ${MIN_BATCH} to ${MAX_BATCH} takes` };
+  }
+  if (count > limit) {
+    adjustments.push(`batch limited to ${limit} takes on the ${tier} tier`);
+    count = limit;
+  }
+
+  // Seeded models (Wan) get consecutive seeds from the requested one;
+  // the others vary from take to take on their own
+  const baseSeed = options.seed ?? Math.floor(Math.random() * (MAX_SEED - MAX_BATCH));
+  const takes = Array.from({ length: count }, (_, i) => ({
+    aspectRatio: aspectRatios ? aspectRatios[i] : null,
+    seed: (baseSeed + i) % (MAX_SEED + 1)
+  }));
+
+  return { ok: true, takes, adjustments };
+}
@@ -0,0 +1,226 @@
+/**
+ * NeoClip 340 - Post-processing pipeline for completed generations
+ *
+ * A completed generation gets one `postprocess` job (api/_lib/jobs.js),
+ * which the worker (worker/index.js) runs through POSTPROCESS_STEPS in
+ * order (default: download,watermark,upload,thumbnails):
+ *   download    provider file -> memory
+ *   watermark   tiers with `branded: true` (api/_lib/config.js) get the
+ *               watermark and end card (api/_lib/branding.js)
+ *   upload      store the file (api/_lib/video-archive.js) - for branded
+ *               tiers the branded copy is the only one kept
+ *   thumbnails  poster frame + animated preview (api/_lib/thumbnails.js)
+ *
+ * Steps whose result is already on the row are skipped, so a retried job
+ * resumes where the last attempt failed. Progress is written to the
+ * generation: postprocess_status (queued/running/completed/failed) and
+ * postprocess_steps ({ [step]: { status, attempts, error, at } }).
+ *
+ * A branded tier's generation whose branded copy is not coming (job
+ * dead-lettered, timed out, or no storage) is failed and refunded by
+ * settleBranding().
+ */
+
+import { getStorageBackend } from './storage.js';
+import { isFfmpegAvailable } from './ffmpeg.js';
+import { brandVideo } from './branding.js';
+import { getTierConfig } from './config.js';
+import { enqueueJob, JOB_TYPES } from './jobs.js';
+import { refundQuota } from './users.js';
+import {
+  findGenerationByTask,
+  updatePostprocess,
+  failUnbrandedGeneration,
+  isAwaitingBranding,
+  lacksBrandedCopy
+} from './generations.js';
+import {
+  downloadOriginalVideo,
+  downloadStoredVideo,
+  storeVideo,
+  storeThumbnails
+} from './video-archive.js';
+
+const DEFAULT_STEPS = ['download', 'watermark', 'upload', 'thumbnails'];
+
+function requireVideo(ctx, step) {
+  if (!ctx.video) throw new Error(`${step} needs the download step to run first`);
+  return ctx.video;
+}
+
+/**
+ * skip(ctx) returns why a step is not needed (or null); run(ctx) does it.
+ * ctx: { row, video, branded } - video is { buffer, contentType, extension }
+ */
+const STEPS = {
+  download: {
+    skip: ({ row }) => (row.storage_key ? 'already stored' : null),
+    async run(ctx) {
+      ctx.video = await downloadOriginalVideo(ctx.row);
+    }
+  },
+
+  watermark: {
+    skip: ({ row }) => {
+      if (row.storage_key) return 'already stored';
+      return getTierConfig(row.tier).branded ? null : 'tier is not branded';
+    },
+    async run(ctx) {
+      const branded = await brandVideo(requireVideo(ctx, 'watermark').buffer, ctx.video.extension);
+      // Never store a branded tier's clip clean just because ffmpeg is missing
+      if (!branded) throw new Error('ffmpeg is unavailable');
+      ctx.video = branded;
+      ctx.branded = true;
+    }
+  },
+
+  upload: {
+    skip: ({ row }) => (row.storage_key ? 'already stored' : null),
+    async run(ctx) {
+      ctx.row = await storeVideo(ctx.row, requireVideo(ctx, 'upload'), { branded: ctx.branded }) || ctx.row;
+    }
+  },
+
+  thumbnails: {
+    skip: async ({ row }) => {
+      if (row.thumbnail_key) return 'already stored';
+      return (await isFfmpegAvailable()) ? null : 'ffmpeg is unavailable';
+    },
+    async run(ctx) {
+      // On a retry the upload was done by an earlier attempt
+      const video = ctx.video || (ctx.row.storage_key ? await downloadStoredVideo(ctx.row) : null);
+      if (!video) throw new Error('thumbnails need the upload or download step to run first');
+      ctx.row = await storeThumbnails(ctx.row, video) || ctx.row;
+    }
+  }
+};
+
+/**
+ * Step names from POSTPROCESS_STEPS (comma-separated), unknown ones dropped
+ */
+export function getPipelineSteps() {
+  const configured = process.env.POSTPROCESS_STEPS
+    ? process.env.POSTPROCESS_STEPS.split(',').map(step => step.trim()).filter(Boolean)
+    : DEFAULT_STEPS;
+
+  return configured.filter(step => {
+    if (STEPS[step]) return true;
+    console.warn(`[Pipeline] Unknown step "${step}" in POSTPROCESS_STEPS - ignored`);
+    return false;
+  });
+}
+
+/**
+ * Completed, not a discarded batch take or a storyboard shot (only the
+ * stitched video is kept), and never queued for post-processing (e.g.
+ * finished before the queue existed, or the enqueue failed)
+ */
+export function needsPostprocess(row) {
+  return !!(row?.status === 'completed' && row.video_url && row.kept !== false &&
+    !row.composite_id && !row.postprocess_status && getStorageBackend());
+}
+
+/**
+ * Queue post-processing for a completed generation. Returns the row with
+ * postprocess_status set, or the row unchanged when nothing was queued.
+ * Never throws - a missed enqueue is picked up by the next status check.
+ */
+export async function queuePostprocess(row) {
+  if (!needsPostprocess(row)) return row;
+  try {
+    const job = await enqueueJob(JOB_TYPES.postprocess, row.task_id);
+    if (!job) return row;
+    return (await updatePostprocess(row.task_id, { status: 'queued' })) || row;
+  } catch (error) {
+    console.error(`[Pipeline] Failed to queue ${row.task_id}:`, error.message);
+    return row;
+  }
+}
+
+/**
+ * Fail a branded tier's completed generation whose branded copy is not
+ * coming (see isAwaitingBranding()) and give back its quota - once,
+ * whichever status check or worker sees it first. Returns the row as it
+ * now stands. Never throws - the next status check tries again.
+ */
+export async function settleBranding(row) {
+  if (!lacksBrandedCopy(row) || isAwaitingBranding(row)) return row;
+
+  const timedOut = row.postprocess_status !== 'failed' && !!getStorageBackend();
+  const reason = timedOut
+    ? 'Video processing timed out - please try again'
+    : 'Video processing failed - please try again';
+  try {
+    const failed = await failUnbrandedGeneration(row.task_id, reason);
+    if (!failed) return row;
+
+    // A storyboard was charged one clip per shot
+    const clips = row.kind === 'storyboard' ? row.storyboard?.shots?.length || 1 : 1;
+    const refunded = row.quota_source
+      ? await refundQuota(row.user_id, clips, { bonus: row.quota_source === 'bonus' })
+      : false;
+    console.warn(`[Pipeline] ${row.task_id} has no branded copy (${reason}) - refunded: ${refunded}`);
+    return failed;
+  } catch (error) {
+    console.error(`[Pipeline] Failed to mark ${row.task_id} failed:`, error.message);
+    return row;
+  }
+}
+
+/**
+ * Run every configured step for the job's generation. Throws on the first
+ * failing step (the worker retries the job).
+ */
+async function runPostprocessJob(job) {
+  const row = await findGenerationByTask(job.task_id);
+  if (row?.status !== 'completed') {
+    console.warn(`[Pipeline] ${job.task_id} is ${row?.status || 'missing'} - nothing to do`);
+    return;
+  }
+
+  const taskId = row.task_id;
+  const steps = { ...(row.postprocess_steps || {}) };
+  const ctx = { row, video: null, branded: false };
+  await updatePostprocess(taskId, { status: 'running' });
+
+  for (const name of getPipelineSteps()) {
+    const step = STEPS[name];
+    const reason = await step.skip(ctx);
+    if (reason) {
+      steps[name] = { ...steps[name], status: 'skipped', reason, error: null, at: new Date().toISOString() };
+      continue;
+    }
+
+    steps[name] = {
+      status: 'running',
+      attempts: (steps[name]?.attempts || 0) + 1,
+      error: null,
+      at: new Date().toISOString()
+    };
+    await updatePostprocess(taskId, { steps });
+
+    try {
+      await step.run(ctx);
+      steps[name] = { ...steps[name], status: 'completed', at: new Date().toISOString() };
+    } catch (error) {
+      steps[name] = { ...steps[name], status: 'failed', error: error.message, at: new Date().toISOString() };
+      await updatePostprocess(taskId, { steps });
+      throw new Error(`${name}: ${error.message}`);
+    }
+  }
+
+  await updatePostprocess(taskId, { status: 'completed', steps });
+}
+
+/**
+ * Job handler for the worker: run(job), and failed(job, { dead }) to
+ * reflect a retry or dead letter on the generation (a dead letter fails
+ * a clip still without its branded copy)
+ */
+export const postprocessHandler = {
+  run: runPostprocessJob,
+  async failed(job, { dead }) {
+    const row = await updatePostprocess(job.task_id, { status: dead ? 'failed' : 'queued' });
+    if (dead && row) await settleBranding(row);
+  }
+};
@@ -0,0 +1,132 @@
+/**
+ * NeoClip 340 - Style presets and prompt enhancement
+ *
+ * A preset is a template the user's prompt is composed into
+ * ("{prompt}" marks where it goes), plus the cues prompt enhancement adds
+ * and a default negative prompt for models that take one.
+ *
+ * enhancePrompt() is what api/generate.js sends to the provider and what
+ * api/prompt.js previews, so the preview is exactly the submitted text.
+ * With expandPrompt on (the default):
+ *   - a chosen preset's cues are appended, skipping any the prompt
+ *     already mentions (without a style nothing is added)
+ *   - models that rewrite prompts themselves (Luma, Hailuo: their
+ *     expand_prompt input) are allowed to
+ * With it off, the prompt goes out as composed, word for word.
+ */
+
+export const MAX_ENHANCED_PROMPT = 1000;
+
+export const STYLE_PRESETS = {
+  cinematic: {
+    name: 'Cinematic',
+    emoji: '🎬',
+    template: 'Cinematic film scene: {prompt}',
+    cues: ['anamorphic lens', 'shallow depth of field', 'dramatic lighting', 'film grain', 'color graded'],
+    negativePrompt: 'cartoon, flat lighting, low quality'
+  },
+  anime: {
+    name: 'Anime',
+    emoji: '🌸',
+    template: 'Anime style animation of {prompt}',
+    cues: ['cel shading', 'vibrant colors', 'clean line art', 'expressive characters'],
+    negativePrompt: 'photorealistic, 3d render, blurry'
+  },
+  product: {
+    name: 'Product shot',
+    emoji: '📦',
+    template: 'Commercial product shot of {prompt}',
+    cues: ['studio lighting', 'clean seamless background', 'slow turntable rotation', 'crisp reflections'],
+    negativePrompt: 'clutter, people, text, watermark'
+  },
+  drone: {
+    name: 'Drone',
+    emoji: '🚁',
+    template: 'Aerial drone footage of {prompt}',
+    cues: ['sweeping flyover', 'wide establishing shot', 'golden hour', 'stable gimbal motion'],
+    negativePrompt: 'shaky camera, low angle, indoor'
+  },
+  timelapse: {
+    name: 'Timelapse',
+    emoji: '⏱️',
+    template: 'Timelapse of {prompt}',
+    cues: ['fast moving clouds', 'shifting light', 'static locked-off camera'],
+    negativePrompt: 'camera shake, slow motion'
+  },
+  vintage: {
+    name: 'Vintage film',
+    emoji: '📼',
+    template: '1970s home movie of {prompt}',
+    cues: ['Super 8 film', 'warm faded colors', 'light leaks', 'soft focus'],
+    negativePrompt: 'modern, digital, sharp, 4k'
+  },
+  claymation: {
+    name: 'Claymation',
+    emoji: '🧸',
+    template: 'Stop-motion claymation of {prompt}',
+    cues: ['handmade clay textures', 'miniature set', 'slightly choppy frame rate'],
+    negativePrompt: 'photorealistic, smooth motion'
+  },
+  neon: {
+    name: 'Neon noir',
+    emoji: '🌃',
+    template: 'Neon-lit cyberpunk scene: {prompt}',
+    cues: ['rain-soaked streets', 'magenta and cyan neon', 'volumetric fog', 'night'],
+    negativePrompt: 'daylight, pastel, flat lighting'
+  }
+};
+
+export function getStylePreset(style) {
+  return (style && STYLE_PRESETS[style]) || null;
+}
+
+/**
+ * Presets for clients (templates included, so they can explain a style)
+ */
+export function listStylePresets() {
+  return Object.entries(STYLE_PRESETS).map(([id, preset]) => ({
+    id,
+    name: preset.name,
+    emoji: preset.emoji,
+    template: preset.template,
+    cues: preset.cues
+  }));
+}
+
+function composeTemplate(template, prompt) {
+  // The prompt fills the template, so a trailing period would land mid-sentence.
+  // A function replacer keeps "$&" and friends in the prompt literal.
+  const cleaned = prompt.replace(/[\s.]+$/, '');
+  return template.replace('{prompt}', () => cleaned);
+}
+
+/**
+ * Build the provider prompt from the user's (moderated) prompt.
+ * options: { style, expandPrompt, negativePrompt } as validated by
+ * api/_lib/options.js. Returns
+ *   { prompt, negativePrompt, style, expandPrompt, addedCues }
+ * where negativePrompt falls back to the preset's.
+ */
+export function enhancePrompt(prompt, { style = null, expandPrompt = true, negativePrompt = null } = {}) {
+  const preset = getStylePreset(style);
+  let enhanced = preset ? composeTemplate(preset.template, prompt) : prompt;
+
+  const addedCues = [];
+  if (preset && expandPrompt) {
+    const lower = enhanced.toLowerCase();
+    for (const cue of preset.cues) {
+      if (!lower.includes(cue.toLowerCase())) addedCues.push(cue);
+    }
+    if (addedCues.length > 0) {
+      enhanced = `${enhanced.replace(/[\s.]+$/, '')}, ${addedCues.join(', ')}`;
+    }
+  }
+
+  return {
+    prompt: enhanced.slice(0, MAX_ENHANCED_PROMPT),
+    negativePrompt: negativePrompt || preset?.negativePrompt || null,
+    style: preset ? style : null,
+    expandPrompt: !!expandPrompt,
+    addedCues
+  };
+}
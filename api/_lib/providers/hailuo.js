@@ -0,0 +1,25 @@
+/**
+ * Hailuo (MiniMax) via PiAPI (~$0.23/video)
+ *
+ * Hailuo picks its own framing - aspect ratio is not configurable.
+ * Image-to-video (i2v-01) takes a start frame only.
+ * expand_prompt (MiniMax's prompt optimizer) follows options.expandPrompt.
+ */
+
+import { createPiapiProvider } from './piapi.js';
+
+export default createPiapiProvider({
+  id: 'hailuo',
+  name: 'Hailuo',
+  model: 'hailuo',
+  taskType: 'video_generation',
+  cost: 0.23,
+  imageInput: { start: true, end: false },
+  capabilities: { durations: [6], resolutions: ['720p'], expandPrompt: true },
+  buildInput: ({ prompt, imageUrl, options }) => ({
+    prompt,
+    model: imageUrl ? 'i2v-01' : 't2v-01',
+    image_url: imageUrl,
+    expand_prompt: options.expandPrompt
+  })
+});
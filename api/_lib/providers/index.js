@@ -0,0 +1,95 @@
+/**
+ * NeoClip 340 - Provider registry and tier routing
+ *
+ * Each tier has an ordered fallback chain (TIERS in api/_lib/config.js).
+ * createWithFailover() walks the chain and returns the first provider that
+ * accepts the task, so a single provider outage never blocks generation.
+ *
+ * Chains can be overridden per tier with env vars, e.g.
+ *   PROVIDER_CHAIN_FREE=luma,wan
+ */
+
+import luma from './luma.js';
+import kling from './kling.js';
+import hailuo from './hailuo.js';
+import wan from './wan.js';
+import { ERROR_TYPES } from '../http.js';
+import { normalizeTier, getTierConfig } from '../config.js';
+
+const PROVIDERS = { luma, kling, hailuo, wan };
+
+export const DEFAULT_PROVIDER = 'luma';
+
+export function getProvider(id) {
+  return PROVIDERS[id] || null;
+}
+
+/**
+ * Find the provider for a PiAPI model name (as echoed in webhook payloads)
+ */
+export function getProviderByModel(model) {
+  return listProviders().find(provider => provider.model === model) || null;
+}
+
+export function listProviders() {
+  return Object.values(PROVIDERS);
+}
+
+/**
+ * Ordered provider list for a tier, honoring PROVIDER_CHAIN_<TIER> overrides
+ */
+export function getProviderChain(tier) {
+  const normalized = normalizeTier(tier);
+  const override = process.env[`PROVIDER_CHAIN_${normalized.toUpperCase()}`];
+  const ids = override
+    ? override.split(',').map(id => id.trim()).filter(Boolean)
+    : getTierConfig(normalized).providers;
+
+  return ids.map(getProvider).filter(Boolean);
+}
+
+/**
+ * Create a task on the first provider in the tier's chain that succeeds.
+ * A requested model (request.options.model) is tried first; providers
+ * whose circuit is open fail fast and are skipped.
+ * Throws with every attempt's error if the whole chain fails; the error's
+ * errorType is 'invalid_input' if any provider rejected the request
+ * itself, otherwise the last provider's failure type.
+ */
+export async function createWithFailover(tier, request) {
+  const preferred = getProvider(request.options?.model);
+  const chain = preferred
+    ? [preferred, ...getProviderChain(tier).filter(provider => provider.id !== preferred.id)]
+    : getProviderChain(tier);
+  const attempts = [];
+
+  for (const provider of chain) {
+    if (!provider.isConfigured()) {
+      attempts.push({ provider: provider.id, error: 'not configured' });
+      continue;
+    }
+
+    if (!provider.supportsRequest(request)) {
+      attempts.push({ provider: provider.id, error: 'image input not supported' });
+      continue;
+    }
+
+    try {
+      const { taskId, options } = await provider.createTask(request);
+      attempts.push({ provider: provider.id, ok: true });
+      return { provider, taskId, options, attempts };
+    } catch (error) {
+      console.warn(`[Providers] ${provider.name} failed, trying next:`, error.message);
+      attempts.push({ provider: provider.id, error: error.message, errorType: error.errorType || null });
+    }
+  }
+
+  const summary = attempts.map(a => `${a.provider}: ${a.error}`).join('; ');
+  const error = new Error(`All providers failed (${summary || 'empty chain'})`);
+  const typed = attempts.filter(a => a.errorType);
+  error.errorType = typed.some(a => a.errorType === ERROR_TYPES.invalidInput)
+    ? ERROR_TYPES.invalidInput
+    : typed[typed.length - 1]?.errorType || null;
+  error.attempts = attempts;
+  throw error;
+}
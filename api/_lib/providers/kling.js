@@ -0,0 +1,38 @@
+/**
+ * Kling 1.6 via PiAPI (~$0.26/video, 5s standard mode)
+ *
+ * 5s or 10s clips; 1080p uses "pro" mode, everything else "std" (720p).
+ *
+ * Image-to-video: image_url is the first frame, image_tail_url the last.
+ * Extension: extend_video adds ~4.5s to a finished Kling task.
+ */
+
+import { createPiapiProvider } from './piapi.js';
+
+export default createPiapiProvider({
+  id: 'kling',
+  name: 'Kling',
+  model: 'kling',
+  taskType: 'video_generation',
+  cost: 0.26,
+  imageInput: { start: true, end: true },
+  capabilities: { durations: [5, 10], resolutions: ['720p', '1080p'], negativePrompt: true },
+  buildInput: ({ prompt, aspectRatio, imageUrl, endImageUrl, options }) => ({
+    prompt,
+    image_url: imageUrl,
+    image_tail_url: endImageUrl,
+    negative_prompt: options.negativePrompt || '',
+    cfg_scale: 0.5,
+    duration: options.duration,
+    aspect_ratio: aspectRatio,
+    mode: options.resolution === '1080p' ? 'pro' : 'std',
+    version: '1.6'
+  }),
+  extend: {
+    taskType: 'extend_video',
+    buildInput: ({ prompt, parentTaskId }) => ({
+      origin_task_id: parentTaskId,
+      prompt
+    })
+  }
+});
@@ -0,0 +1,41 @@
+/**
+ * Luma Dream Machine via PiAPI (~$0.20/video)
+ *
+ * Image-to-video: start/end frames go in as key_frames.
+ * Extension: extend_video continues a finished Luma task (origin_task_id).
+ * expand_prompt (Luma's own prompt rewriting) follows options.expandPrompt.
+ */
+
+import { createPiapiProvider } from './piapi.js';
+
+function keyFrames({ imageUrl, endImageUrl }) {
+  const frames = {};
+  if (imageUrl) frames.frame0 = { type: 'image', url: imageUrl };
+  if (endImageUrl) frames.frame1 = { type: 'image', url: endImageUrl };
+  return Object.keys(frames).length > 0 ? frames : undefined;
+}
+
+export default createPiapiProvider({
+  id: 'luma',
+  name: 'Luma',
+  model: 'luma',
+  taskType: 'video_generation',
+  cost: 0.20,
+  imageInput: { start: true, end: true },
+  capabilities: { durations: [5], resolutions: ['720p'], loop: true, expandPrompt: true },
+  buildInput: (request) => ({
+    prompt: request.prompt,
+    expand_prompt: request.options.expandPrompt,
+    aspect_ratio: request.aspectRatio,
+    loop: request.options.loop || undefined,
+    key_frames: keyFrames(request)
+  }),
+  extend: {
+    taskType: 'extend_video',
+    buildInput: ({ prompt, parentTaskId, options }) => ({
+      prompt,
+      expand_prompt: options?.expandPrompt !== false,
+      origin_task_id: parentTaskId
+    })
+  }
+});
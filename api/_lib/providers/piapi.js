@@ -0,0 +1,377 @@
+/**
+ * NeoClip 340 - PiAPI provider adapter factory
+ *
+ * Every model we use (Luma, Kling, Hailuo, Wan) is hosted on PiAPI and shares
+ * the same task API:
+ *   POST /api/v1/task          - create task
+ *   GET  /api/v1/task/{id}     - poll task
+ *
+ * Only the request `input` and the output shape differ per model, so each
+ * provider is a small config passed to createPiapiProvider().
+ *
+ * When PUBLIC_BASE_URL (or VERCEL_URL) is set, every task registers
+ * /api/webhook as its PiAPI callback and polling becomes a fallback.
+ *
+ * Requests retry transient failures with backoff and share a circuit
+ * breaker per provider (api/_lib/http.js, api/_lib/circuit-breaker.js).
+ * Failures carry an errorType instead of being reported as progress.
+ */
+
+import { requestWithRetry, ERROR_TYPES } from '../http.js';
+import { getCircuitBreaker } from '../circuit-breaker.js';
+import { getSecrets } from '../signature.js';
+
+export const PIAPI_BASE_URL = 'https://api.piapi.ai/api/v1';
+
+export function getPiapiKey() {
+  return process.env.PIAPI_KEY || process.env.PIAPI_API_KEY;
+}
+
+/**
+ * PiAPI webhook_config for task creation, or null when we have no
+ * public URL to receive callbacks on
+ */
+export function getWebhookConfig() {
+  const baseUrl = process.env.PUBLIC_BASE_URL ||
+    (process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : '');
+
+  if (!baseUrl) return null;
+
+  return {
+    endpoint: `${baseUrl.replace(/\/$/, '')}/api/webhook`,
+    // Register the current secret; older ones stay valid in api/webhook.js
+    secret: getSecrets(process.env.WEBHOOK_SECRET)[0] || ''
+  };
+}
+
+function authHeaders(apiKey) {
+  return {
+    'Authorization': `Bearer ${apiKey}`,
+    'X-API-Key': apiKey  // Some PiAPI endpoints use this header
+  };
+}
+
+/**
+ * CRITICAL: Extract video URL from a PiAPI task response
+ *
+ * PiAPI returns nested structure:
+ * {
+ *   "code": 200,
+ *   "data": {
+ *     "status": "completed",
+ *     "output": {
+ *       "video": { "url": "https://..." },
+ *       "video_raw": { "url": "https://..." }
+ *     }
+ *   }
+ * }
+ *
+ * Kling nests its result under output.works[].video instead.
+ */
+export function extractVideoUrl(response) {
+  const output = response?.data?.output || response?.output;
+  const work = output?.works?.[0]?.video;
+
+  // Try all possible paths in order of preference
+  const url = output?.video_raw?.url ||              // Prefer unwatermarked
+              output?.video?.url ||                  // Watermarked fallback
+              work?.resource_without_watermark ||    // Kling
+              work?.resource ||
+              output?.video_url ||                   // Flat structure (Hailuo, Wan)
+              output?.download_url ||
+              response?.data?.video_url ||           // Direct on data
+              response?.video_url;
+
+  console.log('[ExtractURL] Final URL:', url ? url.slice(0, 60) + '...' : 'NOT FOUND');
+  return url;
+}
+
+/**
+ * Parse status from PiAPI response
+ */
+export function parseStatus(response) {
+  const status = (response?.data?.status || response?.status || '').toLowerCase();
+  if (status === 'completed' || status === 'succeeded' || status === 'success') return 'completed';
+  if (status === 'failed' || status === 'error') return 'failed';
+  if (status === 'pending' || status === 'queued' || status === 'staged') return 'queued';
+  return 'processing';
+}
+
+/**
+ * Extract a human readable error from a failed PiAPI task
+ */
+export function extractError(response) {
+  const error = response?.data?.error || response?.error;
+  if (error && typeof error === 'object') {
+    return error.message || error.raw_message || 'Generation failed';
+  }
+  return error || response?.message || 'Generation failed';
+}
+
+/**
+ * Map a PiAPI webhook payload onto our task outcome.
+ *
+ * PiAPI posts the same task object it returns from GET /task/{id},
+ * wrapped with a timestamp:
+ * { "timestamp": 1723018391, "data": { "task_id", "status", "output", "error", ... } }
+ */
+export function parseCallback(payload, extractUrl = extractVideoUrl) {
+  const taskId = payload?.data?.task_id || payload?.task_id;
+  const status = parseStatus(payload);
+
+  const result = {
+    taskId,
+    model: payload?.data?.model,
+    timestamp: payload?.timestamp,
+    status
+  };
+
+  if (status === 'completed') {
+    result.videoUrl = extractUrl(payload);
+    if (!result.videoUrl) {
+      result.status = 'failed';
+      result.error = 'Video completed but URL not found in response';
+    }
+  } else if (status === 'failed') {
+    result.error = extractError(payload);
+  }
+
+  return result;
+}
+
+/**
+ * Build a provider adapter for a PiAPI-hosted model.
+ *
+ * Adapter interface (shared by every provider):
+ *   id, name, cost, capabilities
+ *   isConfigured()              -> boolean
+ *   supportsRequest(request)    -> boolean  (e.g. image inputs)
+ *   resolveOptions(options)     -> options this model will actually use
+ *   supportsExtension()         -> boolean
+ *   createExtensionTask(request)-> { taskId }  (continue request.parentTaskId)
+ *   createTask(request)         -> { taskId, options }  (throws; error.errorType)
+ *   pollTask(taskId)            -> { status, videoUrl?, progress?, error?, errorType? }
+ *   cancelTask(taskId)          -> { cancelled, error? }  (never throws)
+ *   extractVideoUrl(response)   -> string | undefined
+ *   parseCallback(payload)      -> { taskId, status, videoUrl?, error? }
+ */
+export function createPiapiProvider({
+  id,
+  name,
+  model,
+  taskType,
+  cost,
+  buildInput,
+  extractUrl = extractVideoUrl,
+  imageInput = { start: false, end: false },
+  capabilities = {},
+  extend = null
+}) {
+  const caps = {
+    durations: [5],
+    resolutions: ['720p'],
+    loop: false,
+    seed: false,
+    negativePrompt: false,
+    expandPrompt: false,   // model rewrites prompts itself (expand_prompt)
+    ...capabilities
+  };
+
+  const breaker = getCircuitBreaker(id);
+
+  async function submitTask(type, input) {
+    const apiKey = getPiapiKey();
+    if (!apiKey) {
+      const err = new Error('PIAPI_KEY not configured');
+      err.errorType = ERROR_TYPES.auth;
+      throw err;
+    }
+
+    const requestBody = {
+      model,
+      task_type: type,
+      input
+    };
+
+    const webhookConfig = getWebhookConfig();
+    if (webhookConfig) {
+      requestBody.config = { webhook_config: webhookConfig };
+    }
+
+    console.log(`[${name}] Request input:`, JSON.stringify(requestBody.input));
+
+    // A timed-out create may still have started a (billed) task, so only
+    // retry failures that certainly did not; failover covers the rest
+    const { status, data, ok, error, errorType, attempts } = await requestWithRetry(
+      `${PIAPI_BASE_URL}/task`,
+      {
+        method: 'POST',
+        headers: authHeaders(apiKey),
+        body: JSON.stringify(requestBody)
+      },
+      { timeoutMs: 20000, retries: 2, breaker, retryTimeouts: false }
+    );
+
+    console.log(`[${name}] Response status: ${status} (${attempts} attempt(s))`);
+
+    if (!ok) {
+      const err = new Error(`${name} API error (${errorType}): ${typeof error === 'object' ? JSON.stringify(error) : error}`);
+      err.errorType = errorType;
+      err.status = status;
+      throw err;
+    }
+
+    const taskId = data?.data?.task_id || data?.task_id;
+    if (!taskId) {
+      console.error(`[${name}] No task ID in response:`, JSON.stringify(data));
+      throw new Error(`${name} did not return a task ID`);
+    }
+
+    console.log(`[${name}] ✅ Task created:`, taskId);
+    return { taskId };
+  }
+
+  return {
+    id,
+    name,
+    cost,
+    model,
+    imageInput,
+    capabilities: caps,
+
+    isConfigured() {
+      return !!getPiapiKey();
+    },
+
+    supportsRequest({ imageUrl, endImageUrl } = {}) {
+      if (imageUrl && !imageInput.start) return false;
+      if (endImageUrl && !imageInput.end) return false;
+      return true;
+    },
+
+    extractVideoUrl: extractUrl,
+
+    parseCallback(payload) {
+      return parseCallback(payload, extractUrl);
+    },
+
+    /**
+     * Map validated options (api/_lib/options.js) onto this model:
+     * the longest supported duration and highest supported resolution
+     * not above the request; unsupported switches are dropped
+     */
+    resolveOptions(options = {}) {
+      const { durations, resolutions } = caps;
+      const fitting = durations.filter(d => d <= (options.duration ?? durations[0]));
+      // '720p' -> 720
+      const lines = (r) => parseInt(r, 10);
+      const fittingRes = resolutions.filter(r => lines(r) <= lines(options.resolution ?? resolutions[0]));
+
+      return {
+        duration: fitting.length > 0 ? Math.max(...fitting) : Math.min(...durations),
+        resolution: fittingRes.length > 0 ? fittingRes[fittingRes.length - 1] : resolutions[0],
+        aspectRatio: options.aspectRatio ?? null,
+        model: id,
+        loop: caps.loop ? !!options.loop : false,
+        seed: caps.seed ? (options.seed ?? null) : null,
+        negativePrompt: caps.negativePrompt ? (options.negativePrompt ?? null) : null,
+        // Composed into the prompt before it gets here (api/_lib/prompt-styles.js);
+        // expandPrompt also lets models that rewrite prompts do so
+        style: options.style ?? null,
+        expandPrompt: options.expandPrompt !== false
+      };
+    },
+
+    async createTask(request) {
+      const options = this.resolveOptions(request.options);
+      const { taskId } = await submitTask(taskType, buildInput({ ...request, options }));
+      return { taskId, options };
+    },
+
+    supportsExtension() {
+      return !!extend;
+    },
+
+    async createExtensionTask(request) {
+      if (!extend) {
+        throw new Error(`${name} does not support extending videos`);
+      }
+      return submitTask(extend.taskType, extend.buildInput(request));
+    },
+
+    async pollTask(taskId) {
+      const apiKey = getPiapiKey();
+      if (!apiKey) {
+        return { status: 'processing', progress: null, error: 'PIAPI_KEY not configured', errorType: ERROR_TYPES.auth };
+      }
+
+      // Short attempts: api/poll.js has 30s and clients poll again anyway
+      const { status: httpStatus, data, ok, text, error, errorType } = await requestWithRetry(
+        `${PIAPI_BASE_URL}/task/${encodeURIComponent(taskId)}`,
+        { method: 'GET', headers: authHeaders(apiKey) },
+        { timeoutMs: 8000, retries: 1, breaker }
+      );
+
+      console.log(`[${name}] Poll HTTP Status:`, httpStatus);
+      console.log(`[${name}] Poll Response:`, text?.slice(0, 500));
+
+      if (!ok) {
+        const reason = `${name} status check failed (${errorType}): ${typeof error === 'object' ? JSON.stringify(error) : error}`;
+
+        // The provider answered that the request itself is wrong (e.g. unknown task)
+        if (errorType === ERROR_TYPES.invalidInput) {
+          return { status: 'failed', error: reason, errorType };
+        }
+
+        // We could not learn the task's state - it may well still be running.
+        // Report why, with no made-up progress, and let the caller retry.
+        return { status: 'processing', progress: null, error: reason, errorType };
+      }
+
+      const taskStatus = parseStatus(data);
+
+      if (taskStatus === 'completed') {
+        const videoUrl = extractUrl(data);
+        if (videoUrl) {
+          return { status: 'completed', videoUrl, progress: 100 };
+        }
+        // CRITICAL: Completed but no URL = failed
+        console.error(`[${name}] ❌ Completed but no video URL!`, JSON.stringify(data));
+        return { status: 'failed', error: 'Video completed but URL not found in response' };
+      }
+
+      if (taskStatus === 'failed') {
+        return { status: 'failed', error: extractError(data) };
+      }
+
+      return {
+        status: taskStatus,
+        progress: taskStatus === 'queued' ? 15 : 50
+      };
+    },
+
+    /**
+     * Ask PiAPI to stop the task. Only tasks that have not started
+     * rendering can be cancelled; anything else is reported, not thrown.
+     */
+    async cancelTask(taskId) {
+      const apiKey = getPiapiKey();
+      if (!apiKey) {
+        return { cancelled: false, error: 'PIAPI_KEY not configured' };
+      }
+
+      const { status: httpStatus, ok, error, errorType } = await requestWithRetry(
+        `${PIAPI_BASE_URL}/task/${encodeURIComponent(taskId)}`,
+        { method: 'DELETE', headers: authHeaders(apiKey) },
+        { timeoutMs: 10000, retries: 1, breaker }
+      );
+
+      console.log(`[${name}] Cancel HTTP Status:`, httpStatus);
+
+      if (!ok) {
+        return { cancelled: false, error: typeof error === 'object' ? JSON.stringify(error) : error, errorType };
+      }
+      return { cancelled: true };
+    }
+  };
+}
@@ -0,0 +1,22 @@
+/**
+ * Wan 2.1 (Qubico/wanx) via PiAPI (~$0.12/video, 1.3B text-to-video, 480p)
+ *
+ * Text only - image requests fail over to the next provider in the chain.
+ */
+
+import { createPiapiProvider } from './piapi.js';
+
+export default createPiapiProvider({
+  id: 'wan',
+  name: 'Wan-2.1',
+  model: 'Qubico/wanx',
+  taskType: 'txt2video-1.3b',
+  cost: 0.12,
+  capabilities: { durations: [5], resolutions: ['480p'], seed: true, negativePrompt: true },
+  buildInput: ({ prompt, aspectRatio, options }) => ({
+    prompt,
+    negative_prompt: options.negativePrompt || undefined,
+    seed: options.seed ?? undefined,
+    aspect_ratio: aspectRatio
+  })
+});
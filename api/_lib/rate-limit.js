@@ -0,0 +1,339 @@
+/**
+ * NeoClip 340 - Rate limiting
+ *
+ * Sliding-window limits per IP and per user, plus a global cap on
+ * generations in flight, in front of api/generate.js and api/poll.js.
+ * Every generate call spends PiAPI credit, so limits are checked before
+ * quota or provider work.
+ *
+ * The concurrency cap counts clips still rendering on a provider
+ * (public.generations) plus generate requests that are creating theirs
+ * right now (short leases in the store, which cover the gap until the
+ * row exists).
+ *
+ * The store is pluggable (RATE_LIMIT_STORE):
+ *   memory   - per-instance Map; local dev and tests
+ *   postgres - rate_limit_hit() / rate_limit_acquire() in supabase/schema.sql
+ *   redis    - any Upstash-compatible REST endpoint
+ *              (UPSTASH_REDIS_REST_URL + UPSTASH_REDIS_REST_TOKEN)
+ * Default: redis if configured, else postgres if Supabase is, else memory.
+ *
+ * A store error never blocks traffic: that check falls back to the
+ * in-memory store of the current instance.
+ */
+
+import { isSupabaseConfigured, dbRpc } from './supabase.js';
+import { makeRequest } from './http.js';
+import { getClientIp, sendError } from './middleware.js';
+import { countActiveGenerations } from './generations.js';
+
+const MINUTE = 60 * 1000;
+// How often the memory store drops emptied keys
+const MEMORY_SWEEP_MS = MINUTE;
+
+export const RATE_LIMITS = {
+  generate: {
+    ip: { limit: 20, windowMs: MINUTE },
+    user: { limit: 5, windowMs: MINUTE },
+    // Generations rendering or being created across all users; a lease
+    // outlives a crashed function by at most ttlMs
+    concurrency: { limit: parseInt(process.env.RATE_LIMIT_CONCURRENCY, 10) || 25, ttlMs: MINUTE }
+  },
+  poll: {
+    ip: { limit: 120, windowMs: MINUTE },
+    user: { limit: 60, windowMs: MINUTE }
+  },
+  // Prompt previews are cheap but typed live
+  prompt: {
+    ip: { limit: 60, windowMs: MINUTE }
+  }
+};
+
+const CONCURRENCY_RETRY_MS = 5000;
+
+// ============================================
+// Stores: hit(key, windowMs, limit) -> { allowed, hits, retryAfterMs }
+//         acquire(key, token, limit, ttlMs) -> boolean
+//         release(key, token)
+// ============================================
+
+export function createMemoryStore() {
+  // key -> { times, windowMs }
+  const hits = new Map();
+  const leases = new Map();
+  let sweptAt = Date.now();
+
+  // Drop keys whose window has emptied, so every IP and user seen does
+  // not stay in memory for the life of the instance
+  function sweep(now) {
+    if (now - sweptAt < MEMORY_SWEEP_MS) return;
+    sweptAt = now;
+    for (const [key, entry] of hits) {
+      if (entry.times[entry.times.length - 1] <= now - entry.windowMs) hits.delete(key);
+    }
+    for (const [key, active] of leases) {
+      for (const [held, expiresAt] of active) {
+        if (expiresAt <= now) active.delete(held);
+      }
+      if (active.size === 0) leases.delete(key);
+    }
+  }
+
+  return {
+    name: 'memory',
+
+    async hit(key, windowMs, limit) {
+      const now = Date.now();
+      sweep(now);
+      const recent = (hits.get(key)?.times || []).filter(at => at > now - windowMs);
+      if (recent.length >= limit) {
+        hits.set(key, { times: recent, windowMs });
+        return { allowed: false, hits: recent.length, retryAfterMs: recent[0] + windowMs - now };
+      }
+      recent.push(now);
+      hits.set(key, { times: recent, windowMs });
+      return { allowed: true, hits: recent.length, retryAfterMs: 0 };
+    },
+
+    async acquire(key, token, limit, ttlMs) {
+      const now = Date.now();
+      sweep(now);
+      const active = leases.get(key) || new Map();
+      for (const [held, expiresAt] of active) {
+        if (expiresAt <= now) active.delete(held);
+      }
+      if (active.size >= limit) return false;
+      active.set(token, now + ttlMs);
+      leases.set(key, active);
+      return true;
+    },
+
+    async release(key, token) {
+      const active = leases.get(key);
+      active?.delete(token);
+      if (active?.size === 0) leases.delete(key);
+    }
+  };
+}
+
+export function createPostgresStore() {
+  return {
+    name: 'postgres',
+
+    async hit(key, windowMs, limit) {
+      const rows = await dbRpc('rate_limit_hit', { p_key: key, p_window_ms: windowMs, p_limit: limit });
+      const row = Array.isArray(rows) ? rows[0] : rows;
+      return { allowed: !!row?.allowed, hits: row?.hits ?? 0, retryAfterMs: row?.retry_after_ms ?? 0 };
+    },
+
+    async acquire(key, token, limit, ttlMs) {
+      return !!(await dbRpc('rate_limit_acquire', { p_key: key, p_token: token, p_limit: limit, p_ttl_ms: ttlMs }));
+    },
+
+    async release(key, token) {
+      await dbRpc('rate_limit_release', { p_key: key, p_token: token });
+    }
+  };
+}
+
+export function createRedisStore({ url, token }) {
+  const base = url.replace(/\/$/, '');
+
+  // Upstash REST: POST /multi-exec with [["CMD", ...args], ...] runs as MULTI/EXEC
+  async function exec(commands) {
+    const { data, ok, error } = await makeRequest(`${base}/multi-exec`, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${token}` },
+      body: JSON.stringify(commands)
+    }, 3000);
+    if (!ok || !Array.isArray(data)) {
+      throw new Error(`Redis request failed: ${error || 'unexpected response'}`);
+    }
+    return data.map(entry => entry.result);
+  }
+
+  return {
+    name: 'redis',
+
+    // Sorted set of hit timestamps; a rejected hit is removed again
+    async hit(key, windowMs, limit) {
+      const now = Date.now();
+      const member = `${now}-${Math.random().toString(36).slice(2, 10)}`;
+      const [, , count, oldest] = await exec([
+        ['ZREMRANGEBYSCORE', key, '0', String(now - windowMs)],
+        ['ZADD', key, String(now), member],
+        ['ZCARD', key],
+        ['ZRANGE', key, '0', '0', 'WITHSCORES'],
+        ['PEXPIRE', key, String(windowMs)]
+      ]);
+
+      if (count > limit) {
+        await exec([['ZREM', key, member]]);
+        const oldestAt = Number(oldest?.[1]) || now;
+        return { allowed: false, hits: count - 1, retryAfterMs: Math.max(oldestAt + windowMs - now, 1) };
+      }
+      return { allowed: true, hits: count, retryAfterMs: 0 };
+    },
+
+    // Sorted set of lease tokens scored by expiry
+    async acquire(key, leaseToken, limit, ttlMs) {
+      const now = Date.now();
+      const [, , count] = await exec([
+        ['ZREMRANGEBYSCORE', key, '0', String(now)],
+        ['ZADD', key, String(now + ttlMs), leaseToken],
+        ['ZCARD', key],
+        ['PEXPIRE', key, String(ttlMs)]
+      ]);
+      if (count > limit) {
+        await exec([['ZREM', key, leaseToken]]);
+        return false;
+      }
+      return true;
+    },
+
+    async release(key, leaseToken) {
+      await exec([['ZREM', key, leaseToken]]);
+    }
+  };
+}
+
+const memoryStore = createMemoryStore();
+let configuredStore = null;
+
+function chooseStore() {
+  const redis = {
+    url: process.env.UPSTASH_REDIS_REST_URL,
+    token: process.env.UPSTASH_REDIS_REST_TOKEN
+  };
+  const choice = process.env.RATE_LIMIT_STORE
+    || (redis.url && redis.token ? 'redis' : isSupabaseConfigured() ? 'postgres' : 'memory');
+
+  if (choice === 'redis' && redis.url && redis.token) return createRedisStore(redis);
+  if (choice === 'postgres' && isSupabaseConfigured()) return createPostgresStore();
+  return memoryStore;
+}
+
+export function getRateLimitStore() {
+  if (!configuredStore) configuredStore = chooseStore();
+  return configuredStore;
+}
+
+/**
+ * Swap the store (tests, or a custom backend implementing hit/acquire/release)
+ */
+export function setRateLimitStore(store) {
+  configuredStore = store;
+}
+
+async function withFallback(operation, run) {
+  const store = getRateLimitStore();
+  try {
+    return await run(store);
+  } catch (error) {
+    if (store === memoryStore) throw error;
+    console.warn(`[RateLimit] ${store.name} store ${operation} failed, using memory:`, error.message);
+    return run(memoryStore);
+  }
+}
+
+// ============================================
+// Request helpers
+// ============================================
+
+function sendTooManyRequests(res, retryAfterMs, message) {
+  const retryAfter = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+  res.setHeader('Retry-After', String(retryAfter));
+  sendError(res, 429, 'Too many requests', { message, retryAfter });
+}
+
+async function enforceWindow(res, scope, kind, id) {
+  const rule = RATE_LIMITS[scope]?.[kind];
+  if (!rule) return true;
+
+  const key = `rl:${scope}:${kind}:${id}`;
+  const result = await withFallback('hit', store => store.hit(key, rule.windowMs, rule.limit));
+
+  res.setHeader('X-RateLimit-Limit', String(rule.limit));
+  res.setHeader('X-RateLimit-Remaining', String(Math.max(rule.limit - result.hits, 0)));
+
+  if (!result.allowed) {
+    console.warn(`[RateLimit] ${scope}/${kind} limit hit for ${id}`);
+    sendTooManyRequests(res, result.retryAfterMs, `Rate limit exceeded: ${rule.limit} requests per ${rule.windowMs / 1000}s`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Per-IP window - run before authentication. Sends 429 and returns false
+ * when throttled:
+ *   if (!(await limitByIp(req, res, 'generate'))) return;
+ */
+export async function limitByIp(req, res, scope) {
+  return enforceWindow(res, scope, 'ip', getClientIp(req) || 'unknown');
+}
+
+/**
+ * Per-user window - run once the session is known
+ */
+export async function limitByUser(res, scope, userId) {
+  return enforceWindow(res, scope, 'user', userId);
+}
+
+/**
+ * Clips already rendering on providers. A database error never blocks
+ * traffic - the leases still apply.
+ */
+async function countRunning(limit) {
+  if (!isSupabaseConfigured()) return 0;
+  try {
+    return await countActiveGenerations(limit);
+  } catch (error) {
+    console.warn('[RateLimit] Could not count running generations:', error.message);
+    return 0;
+  }
+}
+
+/**
+ * Take a global concurrency slot for `scope` for a request that starts
+ * `clips` generations. Returns a release function, or null after sending
+ * 429 when the cap would be exceeded. Release in a finally block once the
+ * provider tasks are recorded - from then on they count as running.
+ */
+export async function acquireConcurrencySlot(res, scope, { clips = 1 } = {}) {
+  const rule = RATE_LIMITS[scope]?.concurrency;
+  if (!rule) return async () => {};
+
+  const key = `rl:${scope}:concurrency`;
+  const token = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+  let store = getRateLimitStore();
+
+  // Leases left for requests still creating their tasks
+  const available = rule.limit - (await countRunning(rule.limit)) - (clips - 1);
+
+  let acquired = false;
+  if (available > 0) {
+    try {
+      acquired = await store.acquire(key, token, available, rule.ttlMs);
+    } catch (error) {
+      console.warn(`[RateLimit] ${store.name} store acquire failed, using memory:`, error.message);
+      store = memoryStore;
+      acquired = await store.acquire(key, token, available, rule.ttlMs);
+    }
+  }
+
+  if (!acquired) {
+    console.warn(`[RateLimit] ${scope} concurrency cap (${rule.limit}) reached`);
+    sendTooManyRequests(res, CONCURRENCY_RETRY_MS, 'Too many videos are starting right now - please retry in a few seconds');
+    return null;
+  }
+
+  return async () => {
+    try {
+      await store.release(key, token);
+    } catch (error) {
+      // The lease expires on its own after ttlMs
+      console.warn('[RateLimit] Failed to release slot:', error.message);
+    }
+  };
+}
@@ -0,0 +1,153 @@
+/**
+ * NeoClip 340 - Referrals (public.referrals)
+ *
+ * Every account has one stable code (users.referral_code, set by the
+ * set_referral_code() trigger on insert). A new account redeems a code
+ * once; the referral stays pending until the new user's first video
+ * completes, when the reward_referral_on_completion() trigger credits
+ * REFERRAL_BONUS_CLIPS to both sides (users.bonus_clips).
+ *
+ * Fraud checks run at redemption: only fresh registered accounts with a
+ * verified email (guest accounts cost nothing to mint), no self-referral,
+ * no referrer sharing this device or signed in from this IP, and a daily
+ * cap per referrer.
+ */
+
+import { dbSelect, dbSelectOne, dbInsert, dbUpdate, eq } from './supabase.js';
+import { isAnonymousUser } from './users.js';
+
+export const REFERRAL_BONUS_CLIPS = 5;
+
+// Codes can only be redeemed by accounts this new with no finished videos
+const REDEEM_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+// Redemptions per referrer per 24h
+const DAILY_REFERRAL_CAP = 10;
+
+const CODE_RE = /^[A-Z0-9]{4,16}$/;
+
+export function normalizeReferralCode(code) {
+  if (typeof code !== 'string') return null;
+  const normalized = code.trim().toUpperCase();
+  return CODE_RE.test(normalized) ? normalized : null;
+}
+
+function reject(status, error) {
+  return { ok: false, status, error };
+}
+
+/**
+ * Has the referrer ever had a session from this IP?
+ * The device ID is the client's to choose; the IP is not.
+ */
+async function referrerUsedIp(referrerId, ip) {
+  if (!ip) return false;
+  const row = await dbSelectOne('user_sessions', `user_id=${eq(referrerId)}&ip_address=${eq(ip)}&select=id`);
+  return !!row;
+}
+
+/**
+ * Redeem `code` for `user`, whose request came from `ip`.
+ * Returns { ok: true, referral, referrer } or { ok: false, status, error }.
+ */
+export async function redeemReferralCode(user, code, { ip } = {}) {
+  const normalized = normalizeReferralCode(code);
+  if (!normalized) {
+    return reject(400, 'Invalid referral code');
+  }
+
+  if (isAnonymousUser(user) || !user.email_verified) {
+    return reject(403, 'Sign up with a verified email to use a referral code');
+  }
+
+  if (user.referred_by) {
+    return reject(409, 'A referral code was already applied to this account');
+  }
+
+  const age = Date.now() - new Date(user.created_at || Date.now()).getTime();
+  if ((user.total_videos_generated || 0) > 0 || age > REDEEM_WINDOW_MS) {
+    return reject(409, 'Referral codes can only be used by new accounts');
+  }
+
+  const referrer = await dbSelectOne('users', `referral_code=${eq(normalized)}&is_active=is.true&select=*`);
+  if (!referrer) {
+    return reject(404, 'Referral code not found');
+  }
+
+  if (referrer.id === user.id || referrer.merged_into === user.id || user.merged_into === referrer.id) {
+    return reject(400, "You can't use your own referral code");
+  }
+
+  if (referrer.device_id && referrer.device_id === user.device_id) {
+    return reject(403, 'Referral codes cannot be used on the referrer\'s device');
+  }
+
+  if (await referrerUsedIp(referrer.id, ip)) {
+    return reject(403, 'Referral codes cannot be used on the referrer\'s network');
+  }
+
+  const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+  const recent = await dbSelect(
+    'referrals',
+    `referrer_id=${eq(referrer.id)}&created_at=gte.${encodeURIComponent(since)}&select=id&limit=${DAILY_REFERRAL_CAP}`
+  );
+  if (Array.isArray(recent) && recent.length >= DAILY_REFERRAL_CAP) {
+    return reject(429, 'This referral code has reached its daily limit - try again tomorrow');
+  }
+
+  let referral;
+  try {
+    [referral] = await dbInsert('referrals', {
+      referrer_id: referrer.id,
+      referred_id: user.id,
+      referral_code: normalized,
+      status: 'pending',
+      reward_clips: REFERRAL_BONUS_CLIPS
+    });
+  } catch (error) {
+    // Unique index on referred_id: a concurrent redemption won
+    if (error.status === 409) {
+      return reject(409, 'A referral code was already applied to this account');
+    }
+    throw error;
+  }
+
+  await dbUpdate('users', `id=${eq(user.id)}`, { referred_by: referrer.id });
+
+  console.log(`[Referrals] ${user.id} referred by ${referrer.id} (${normalized})`);
+  return { ok: true, referral, referrer };
+}
+
+/**
+ * Referral summary for the account's own code
+ */
+export async function getReferralStats(user) {
+  const rows = await dbSelect(
+    'referrals',
+    `referrer_id=${eq(user.id)}&select=status,reward_clips`
+  );
+  const list = Array.isArray(rows) ? rows : [];
+  const rewarded = list.filter(row => row.status === 'rewarded');
+
+  return {
+    code: user.referral_code,
+    bonusPerReferral: REFERRAL_BONUS_CLIPS,
+    pending: list.filter(row => row.status === 'pending').length,
+    rewarded: rewarded.length,
+    clipsEarned: rewarded.reduce((sum, row) => sum + (row.reward_clips || 0), 0),
+    bonusClips: user.bonus_clips || 0
+  };
+}
+
+/**
+ * Redemption result for API responses
+ */
+export function toClientReferral(result) {
+  if (!result) return null;
+  if (!result.ok) return { redeemed: false, error: result.error };
+  return {
+    redeemed: true,
+    status: result.referral?.status || 'pending',
+    bonusClips: REFERRAL_BONUS_CLIPS,
+    message: `You'll both get ${REFERRAL_BONUS_CLIPS} bonus clips when your first video is ready`
+  };
+}
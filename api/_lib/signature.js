@@ -0,0 +1,127 @@
+/**
+ * NeoClip 340 - Raw body reading and webhook signature helpers
+ *
+ * Signatures are always computed over the exact bytes we received -
+ * never over a re-serialized req.body, which changes key order/spacing.
+ * Every check fails closed: missing headers, stale timestamps or crypto
+ * errors all mean "not verified".
+ */
+
+const DEFAULT_TOLERANCE_SEC = 300;
+
+/**
+ * Read the unparsed request body as a string.
+ * Handlers that call this must not touch req.body first.
+ */
+export async function readRawBody(req, maxBytes = 1024 * 1024) {
+  if (typeof req.rawBody === 'string') return req.rawBody;
+  return (await readRawBuffer(req, maxBytes)).toString('utf8');
+}
+
+/**
+ * Read the unparsed request body as bytes (binary uploads)
+ */
+export async function readRawBuffer(req, maxBytes = 1024 * 1024) {
+  if (Buffer.isBuffer(req.rawBody)) return req.rawBody;
+  if (typeof req.rawBody === 'string') return Buffer.from(req.rawBody);
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw new Error('Request body too large');
+    }
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Split a comma-separated secret list. The first secret is the current
+ * one; the rest stay valid while a rotation is in progress.
+ */
+export function getSecrets(value) {
+  return (value || '')
+    .split(',')
+    .map(secret => secret.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Constant-time string comparison
+ */
+export function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+
+  let result = 0;
+  for (let i = 0; i < a.length; i++) {
+    result |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return result === 0;
+}
+
+/**
+ * HMAC-SHA256 hex digest using Web Crypto API
+ */
+export async function hmacSha256Hex(secret, payload) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+
+  const signatureBuffer = await crypto.subtle.sign('HMAC', key, encoder.encode(payload));
+
+  return Array.from(new Uint8Array(signatureBuffer))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Is a unix timestamp (seconds) within the replay window?
+ */
+export function isFreshTimestamp(timestamp, toleranceSec = DEFAULT_TOLERANCE_SEC) {
+  const ts = Number(timestamp);
+  if (!Number.isFinite(ts) || ts <= 0) return false;
+  return Math.abs(Date.now() / 1000 - ts) <= toleranceSec;
+}
+
+/**
+ * Verify `HMAC(secret, "<timestamp>.<rawBody>")` against any active secret.
+ * `signatures` may hold several candidates (e.g. multiple v1= entries).
+ */
+export async function verifyTimestampedHmac({ rawBody, timestamp, signatures, secrets, toleranceSec }) {
+  if (!rawBody || !timestamp || !signatures?.length || !secrets?.length) return false;
+  if (!isFreshTimestamp(timestamp, toleranceSec)) return false;
+
+  try {
+    for (const secret of secrets) {
+      const expected = await hmacSha256Hex(secret, `${timestamp}.${rawBody}`);
+      if (signatures.some(signature => safeEqual(signature, expected))) {
+        return true;
+      }
+    }
+  } catch (error) {
+    console.warn('[Signature] Verification error:', error.message);
+  }
+  return false;
+}
+
+/**
+ * Parse a header like "t=1700000000,v1=abc,v1=def" into { t: [...], v1: [...] }
+ */
+export function parseSignatureHeader(header) {
+  const parts = {};
+  for (const item of String(header || '').split(',')) {
+    const index = item.indexOf('=');
+    if (index === -1) continue;
+    const key = item.slice(0, index).trim();
+    const value = item.slice(index + 1).trim();
+    (parts[key] = parts[key] || []).push(value);
+  }
+  return parts;
+}
@@ -0,0 +1,263 @@
+/**
+ * NeoClip 340 - Object storage for finished videos
+ *
+ * Provider CDN URLs expire, so completed videos are copied into a private
+ * bucket we own (see api/_lib/video-archive.js) and played back through
+ * short-lived signed URLs.
+ *
+ * Backends (VIDEO_STORAGE):
+ *   supabase - Supabase Storage bucket VIDEO_BUCKET (default "videos")
+ *   s3       - any S3-compatible store, e.g. MinIO for local development:
+ *              S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY,
+ *              S3_REGION (default us-east-1) and, when browsers reach the
+ *              store on another host than the API does, S3_PUBLIC_ENDPOINT
+ *   off      - keep provider URLs
+ * Default: s3 if S3_BUCKET is set, else supabase if configured, else off.
+ *
+ * Every backend implements:
+ *   put(key, buffer, contentType)  -> permanent object URL
+ *   sign(keys, ttlSeconds)         -> { [key]: signed URL }
+ *
+ * CRITICAL: No AWS SDK - S3 requests are signed (SigV4) with Web Crypto.
+ */
+
+import { makeRequest } from './http.js';
+import { isSupabaseConfigured, storageUpload, storageSignUrls } from './supabase.js';
+
+const DEFAULT_URL_TTL_SECONDS = 3600;
+const UPLOAD_TIMEOUT_MS = 25000;
+
+// ============================================
+// Supabase Storage
+// ============================================
+
+export function createSupabaseBackend({ bucket = process.env.VIDEO_BUCKET || 'videos' } = {}) {
+  return {
+    name: 'supabase',
+    bucket,
+
+    async put(key, buffer, contentType) {
+      await storageUpload(bucket, key, buffer, contentType, { upsert: true, timeoutMs: UPLOAD_TIMEOUT_MS });
+      // Private bucket: this URL needs the service key - clients get sign()
+      return `${process.env.SUPABASE_URL.replace(/\/$/, '')}/storage/v1/object/authenticated/${bucket}/${key}`;
+    },
+
+    async sign(keys, ttlSeconds) {
+      return storageSignUrls(bucket, keys, ttlSeconds);
+    }
+  };
+}
+
+// ============================================
+// S3-compatible (AWS SigV4)
+// ============================================
+
+const encoder = new TextEncoder();
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+export async function sha256Hex(data) {
+  const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+  return toHex(await crypto.subtle.digest('SHA-256', bytes));
+}
+
+async function hmac(key, data) {
+  const cryptoKey = await crypto.subtle.importKey(
+    'raw',
+    typeof key === 'string' ? encoder.encode(key) : key,
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  return crypto.subtle.sign('HMAC', cryptoKey, encoder.encode(data));
+}
+
+// RFC 3986 encoding as SigV4 expects it
+function uriEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function amzDate(date = new Date()) {
+  return date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+}
+
+async function signingKey(secret, day, region) {
+  const kDate = await hmac(`AWS4${secret}`, day);
+  const kRegion = await hmac(kDate, region);
+  const kService = await hmac(kRegion, 's3');
+  return hmac(kService, 'aws4_request');
+}
+
+/**
+ * SigV4 signature over a canonical request.
+ * Returns { signature, scope, signedHeaders }.
+ */
+async function signRequest({ method, path, query, headers, payloadHash, config, timestamp }) {
+  const day = timestamp.slice(0, 8);
+  const scope = `${day}/${config.region}/s3/aws4_request`;
+
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+  const headerNames = Object.keys(lower).sort();
+  const canonicalHeaders = headerNames.map(name => `${name}:${lower[name]}\n`).join('');
+  const canonicalQuery = Object.keys(query)
+    .sort()
+    .map(name => `${uriEncode(name)}=${uriEncode(query[name])}`)
+    .join('&');
+
+  const canonicalRequest = [
+    method,
+    path,
+    canonicalQuery,
+    canonicalHeaders,
+    headerNames.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    timestamp,
+    scope,
+    await sha256Hex(canonicalRequest)
+  ].join('\n');
+
+  const key = await signingKey(config.secretAccessKey, day, config.region);
+  return {
+    signature: toHex(await hmac(key, stringToSign)),
+    scope,
+    signedHeaders: headerNames.join(';')
+  };
+}
+
+function getS3Config() {
+  const endpoint = (process.env.S3_ENDPOINT || 'https://s3.amazonaws.com').replace(/\/$/, '');
+  return {
+    endpoint,
+    publicEndpoint: (process.env.S3_PUBLIC_ENDPOINT || endpoint).replace(/\/$/, ''),
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+  };
+}
+
+export function createS3Backend(config = getS3Config()) {
+  // Path-style addressing (endpoint/bucket/key) - what MinIO serves by default
+  const objectPath = key => `/${uriEncode(config.bucket)}/${key.split('/').map(uriEncode).join('/')}`;
+
+  return {
+    name: 's3',
+    bucket: config.bucket,
+
+    async put(key, buffer, contentType) {
+      const url = new URL(config.endpoint);
+      const path = `${url.pathname.replace(/\/$/, '')}${objectPath(key)}`;
+      const timestamp = amzDate();
+      const payloadHash = await sha256Hex(buffer);
+      const headers = {
+        'Host': url.host,
+        'Content-Type': contentType,
+        'X-Amz-Content-Sha256': payloadHash,
+        'X-Amz-Date': timestamp
+      };
+
+      const { signature, scope, signedHeaders } = await signRequest({
+        method: 'PUT', path, query: {}, headers, payloadHash, config, timestamp
+      });
+
+      const { Host, ...sendHeaders } = headers;
+      const { ok, status, error, text } = await makeRequest(`${url.origin}${path}`, {
+        method: 'PUT',
+        headers: {
+          ...sendHeaders,
+          'Authorization': `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+        },
+        body: buffer
+      }, UPLOAD_TIMEOUT_MS);
+
+      if (!ok) {
+        // S3 errors are XML, not JSON
+        const code = text?.match(/<Code>([^<]+)<\/Code>/)?.[1];
+        const err = new Error(`S3 upload to ${config.bucket} failed: ${code || error}`);
+        err.status = status;
+        throw err;
+      }
+
+      return `${config.endpoint}${objectPath(key)}`;
+    },
+
+    // Presigned GET URLs are computed locally - no request needed
+    async sign(keys, ttlSeconds) {
+      const url = new URL(config.publicEndpoint);
+      const timestamp = amzDate();
+      const signed = {};
+
+      for (const key of keys) {
+        const path = `${url.pathname.replace(/\/$/, '')}${objectPath(key)}`;
+        const query = {
+          'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+          'X-Amz-Credential': `${config.accessKeyId}/${timestamp.slice(0, 8)}/${config.region}/s3/aws4_request`,
+          'X-Amz-Date': timestamp,
+          'X-Amz-Expires': String(ttlSeconds),
+          'X-Amz-SignedHeaders': 'host'
+        };
+        const { signature } = await signRequest({
+          method: 'GET',
+          path,
+          query,
+          headers: { host: url.host },
+          payloadHash: 'UNSIGNED-PAYLOAD',
+          config,
+          timestamp
+        });
+
+        const search = new URLSearchParams({ ...query, 'X-Amz-Signature': signature });
+        signed[key] = `${url.origin}${path}?${search}`;
+      }
+
+      return signed;
+    }
+  };
+}
+
+// ============================================
+// Backend selection
+// ============================================
+
+let configuredBackend;
+
+function chooseBackend() {
+  const s3 = getS3Config();
+  const choice = process.env.VIDEO_STORAGE
+    || (s3.bucket ? 's3' : isSupabaseConfigured() ? 'supabase' : 'off');
+
+  if (choice === 's3') {
+    if (s3.bucket && s3.accessKeyId && s3.secretAccessKey) return createS3Backend(s3);
+    console.warn('[Storage] VIDEO_STORAGE=s3 needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    return null;
+  }
+  if (choice === 'supabase' && isSupabaseConfigured()) return createSupabaseBackend();
+  return null;
+}
+
+/**
+ * The configured backend, or null when videos stay on provider URLs
+ */
+export function getStorageBackend() {
+  if (configuredBackend === undefined) configuredBackend = chooseBackend();
+  return configuredBackend;
+}
+
+/**
+ * Swap the backend (tests, or another store implementing put/sign)
+ */
+export function setStorageBackend(backend) {
+  configuredBackend = backend;
+}
+
+export function getSignedUrlTtl() {
+  return parseInt(process.env.VIDEO_URL_TTL_SECONDS, 10) || DEFAULT_URL_TTL_SECONDS;
+}
@@ -0,0 +1,528 @@
+/**
+ * NeoClip 340 - Storyboards: multi-shot sequences stitched into one video
+ *
+ * api/storyboard.js records a composite generation (kind 'storyboard',
+ * task_id sb_<uuid>) whose `storyboard` column lists the shots. Each shot
+ * is an ordinary provider task with its own row (composite_id,
+ * shot_index) once it starts; shots stay out of the library and the
+ * post-processing pipeline - the composite is what the user polls,
+ * cancels and keeps.
+ *
+ * The `storyboard` job (worker/index.js) drives the composite until it is
+ * final, waiting between runs (deferMs) while shots render:
+ *   - shots still in flight are polled (webhooks wake the job up sooner)
+ *   - with chainFrames, shot N+1 starts once shot N is done, from shot
+ *     N's last frame; otherwise every shot started with the request
+ *   - once all shots are done they are stitched with the transition,
+ *     branded for branded tiers (api/_lib/branding.js) and stored; the
+ *     composite then completes and gets thumbnails from the pipeline
+ * A failed shot fails the composite, and every shot that did not finish
+ * is refunded (one clip per shot was charged up front).
+ */
+
+import { randomUUID } from 'node:crypto';
+import { readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { createWithFailover, getProvider } from './providers/index.js';
+import { storageUpload } from './supabase.js';
+import { getTierConfig } from './config.js';
+import { refundQuota } from './users.js';
+import { enqueueJob, wakeJob, JOB_TYPES } from './jobs.js';
+import { isFfmpegAvailable, runFfmpeg, withTempDir } from './ffmpeg.js';
+import { brandVideo } from './branding.js';
+import { queuePostprocess } from './pipeline.js';
+import { downloadOriginalVideo, storeVideo } from './video-archive.js';
+import {
+  FINAL_STATUSES,
+  createGeneration,
+  findGenerationByTask,
+  findGenerationById,
+  finalizeGeneration,
+  cancelGeneration,
+  markGenerationProgress,
+  listCompositeShots,
+  updateStoryboard
+} from './generations.js';
+
+export const MIN_SHOTS = 2;
+export const MAX_SHOTS = 6;
+
+// Transition name -> ffmpeg xfade transition (cut is a plain concat)
+export const TRANSITIONS = {
+  cut: null,
+  fade: 'fade',
+  dissolve: 'dissolve',
+  wipe: 'wipeleft',
+  slide: 'slideleft'
+};
+export const DEFAULT_TRANSITION = 'fade';
+
+// Stands in for a provider in task-status results for composite rows
+export const STORYBOARD_SOURCE = { id: 'storyboard', name: 'Storyboard' };
+
+const TRANSITION_SECONDS = 0.5;
+const OUTPUT_FPS = 30;
+const STITCH_TIMEOUT_MS = 5 * 60 * 1000;
+const FRAME_TIMEOUT_MS = 30000;
+// Wait between job runs while shots render
+const SHOT_POLL_MS = 15000;
+// Give up on a storyboard whose shots have not finished by then
+const STORYBOARD_TIMEOUT_MS = 45 * 60 * 1000;
+// A processing composite untouched this long has lost its job
+const STALLED_MS = 2 * 60 * 1000;
+
+export function isStoryboard(row) {
+  return row?.kind === 'storyboard';
+}
+
+export function newStoryboardTaskId() {
+  return `sb_${randomUUID()}`;
+}
+
+/**
+ * Validate the storyboard fields of an /api/storyboard body:
+ *   shots        [{ prompt }] (or plain strings), MIN_SHOTS..tier maxShots
+ *   chainFrames  start each shot from the previous shot's last frame
+ *   transition   one of TRANSITIONS (default fade)
+ * Returns { ok: true, prompts, chainFrames, transition } or { ok: false, error }.
+ * Unlike batch takes, shots over the tier's limit are rejected - dropping
+ * part of a story would change it.
+ */
+export function validateStoryboard(body, tier) {
+  const { shots, chainFrames, transition } = body;
+  if (!Array.isArray(shots)) {
+    return { ok: false, error: 'shots must be an array of { prompt }' };
+  }
+  if (shots.length < MIN_SHOTS || shots.length > MAX_SHOTS) {
+    return { ok: false, error: `a storyboard has ${MIN_SHOTS} to ${MAX_SHOTS} shots` };
+  }
+  const limit = getTierConfig(tier).maxShots;
+  if (shots.length > limit) {
+    return { ok: false, error: `the ${tier} tier allows up to ${limit} shots per storyboard` };
+  }
+
+  const prompts = shots.map(shot => (typeof shot === 'string' ? shot : shot?.prompt));
+  const missing = prompts.findIndex(prompt => typeof prompt !== 'string' || prompt.trim().length === 0);
+  if (missing !== -1) {
+    return { ok: false, error: `shot ${missing + 1} needs a prompt` };
+  }
+
+  if (chainFrames !== undefined && typeof chainFrames !== 'boolean') {
+    return { ok: false, error: 'chainFrames must be true or false' };
+  }
+
+  let name = DEFAULT_TRANSITION;
+  if (transition !== undefined && transition !== null && transition !== '') {
+    name = String(transition).toLowerCase();
+    if (!(name in TRANSITIONS)) {
+      return { ok: false, error: `transition must be one of: ${Object.keys(TRANSITIONS).join(', ')}` };
+    }
+  }
+
+  return {
+    ok: true,
+    prompts: prompts.map(prompt => prompt.trim()),
+    chainFrames: chainFrames === true,
+    transition: name
+  };
+}
+
+/**
+ * Create shot `index` of a composite on the tier's provider chain and
+ * record it. imageUrl is the shot's start frame (the user's for shot 0,
+ * the previous shot's last frame when chaining).
+ */
+export async function startShot(composite, index, imageUrl = null) {
+  const board = composite.storyboard;
+  const shot = board.shots[index];
+  const { provider, taskId, options } = await createWithFailover(composite.tier, {
+    prompt: shot.enhancedPrompt,
+    aspectRatio: board.aspectRatio,
+    options: board.options,
+    imageUrl: imageUrl || undefined
+  });
+
+  console.log(`[Storyboard] ${composite.task_id}: shot ${index + 1}/${board.shots.length} started on ${provider.name} (${taskId})`);
+  return createGeneration({
+    userId: composite.user_id,
+    taskId,
+    prompt: shot.prompt,
+    enhancedPrompt: shot.enhancedPrompt,
+    tier: composite.tier,
+    provider: provider.id,
+    model: provider.name,
+    cost: provider.cost,
+    imageUrl,
+    compositeId: composite.id,
+    shotIndex: index,
+    options,
+    // The composite carries the charge for every shot
+    quotaSource: null
+  });
+}
+
+/**
+ * Queue the storyboard job for a composite. Never throws - a missed
+ * enqueue is picked up by the next status check.
+ */
+export async function queueStoryboard(taskId) {
+  try {
+    return await enqueueJob(JOB_TYPES.storyboard, taskId);
+  } catch (error) {
+    console.error(`[Storyboard] Failed to queue ${taskId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * A shot reached a final state - let its composite react now rather than
+ * at the job's next scheduled run. Never throws.
+ */
+export async function notifyShotFinished(shot) {
+  if (!shot?.composite_id) return;
+  try {
+    const composite = await findGenerationById(shot.composite_id);
+    if (composite && !(await queueStoryboard(composite.task_id))) {
+      await wakeJob(JOB_TYPES.storyboard, composite.task_id);
+    }
+  } catch (error) {
+    console.error(`[Storyboard] Failed to wake composite of ${shot.task_id}:`, error.message);
+  }
+}
+
+/**
+ * Shot summaries for the composite's `storyboard` column
+ */
+function summarizeShots(board, shots) {
+  return board.shots.map((shot, index) => {
+    const row = shots.find(candidate => candidate.shot_index === index);
+    return {
+      ...shot,
+      taskId: row?.task_id || null,
+      status: row?.status || 'pending',
+      error: row?.error || null
+    };
+  });
+}
+
+/**
+ * Task-status result for a composite that is not final yet
+ * (api/_lib/task-status.js): which shot is rendering, or stitching
+ */
+export function storyboardProgress(record) {
+  const shots = record.storyboard?.shots || [];
+  const total = shots.length || 1;
+
+  if (record.storyboard?.stage === 'stitching') {
+    return { status: 'processing', stage: 'stitching', shot: total, shots: total, progress: 90 };
+  }
+
+  const done = shots.filter(shot => shot.status === 'completed').length;
+  return {
+    status: 'processing',
+    stage: 'shots',
+    shot: Math.min(done + 1, total),
+    shots: total,
+    progress: Math.round(10 + (75 * done) / total)
+  };
+}
+
+/**
+ * Has the composite's job gone missing (dead-lettered by a crashed
+ * worker, or never queued)? Its row is touched on every job run.
+ */
+export function isStoryboardStalled(record) {
+  if (!isStoryboard(record) || FINAL_STATUSES.includes(record.status)) return false;
+  const touched = new Date(record.updated_at || record.started_at || record.created_at);
+  return Date.now() - touched.getTime() > STALLED_MS;
+}
+
+/**
+ * Stop a composite's shots that are still rendering. Returns
+ * { unfinished, providerCancelled }: how many shots will never finish
+ * (pending, in flight or failed) - the clips to refund - and whether
+ * every provider cancel succeeded.
+ */
+async function stopShots(composite, shots) {
+  let providerCancelled = true;
+  for (const shot of shots) {
+    if (FINAL_STATUSES.includes(shot.status)) continue;
+    const cancelled = await cancelGeneration(shot.task_id, composite.user_id);
+    if (cancelled) {
+      const provider = getProvider(shot.provider);
+      const result = provider
+        ? await provider.cancelTask(shot.task_id)
+        : { cancelled: false, error: `Unknown provider: ${shot.provider}` };
+      if (!result.cancelled) {
+        providerCancelled = false;
+        console.warn(`[Storyboard] Provider did not cancel shot ${shot.task_id}: ${result.error}`);
+      }
+    }
+  }
+  const completed = shots.filter(shot => shot.status === 'completed').length;
+  return { unfinished: composite.storyboard.shots.length - completed, providerCancelled };
+}
+
+async function refundShots(composite, count) {
+  if (!composite.quota_source || count <= 0) return 0;
+  const refunded = await refundQuota(composite.user_id, count, { bonus: composite.quota_source === 'bonus' });
+  return refunded ? count : 0;
+}
+
+/**
+ * Fail a composite that is not final yet: stop its shots and refund the
+ * unfinished ones. Returns the refunded clip count (0 if another path
+ * already finalized it).
+ */
+export async function failStoryboard(composite, shots, error) {
+  const finalized = await finalizeGeneration(composite.task_id, { status: 'failed', error });
+  if (!finalized) return 0;
+
+  const { unfinished } = await stopShots(composite, shots);
+  await updateStoryboard(composite.task_id, {
+    ...composite.storyboard,
+    shots: summarizeShots(composite.storyboard, await listCompositeShots(composite.id))
+  });
+  const refunded = await refundShots(composite, unfinished);
+  console.warn(`[Storyboard] ${composite.task_id} failed (${error}) - refunded ${refunded}`);
+  return refunded;
+}
+
+/**
+ * After api/generate.js has marked a composite cancelled: stop its shots
+ * and refund the unfinished ones. Returns { refundedClips,
+ * providerCancelled } (false if any shot's provider did not cancel).
+ */
+export async function cancelStoryboard(composite) {
+  const shots = await listCompositeShots(composite.id);
+  const { unfinished, providerCancelled } = await stopShots(composite, shots);
+  await updateStoryboard(composite.task_id, {
+    ...composite.storyboard,
+    shots: summarizeShots(composite.storyboard, await listCompositeShots(composite.id))
+  });
+  return { refundedClips: await refundShots(composite, unfinished), providerCancelled };
+}
+
+/**
+ * Frame size for the stitched video: the resolution is the short side
+ */
+function frameSize(resolution, aspectRatio) {
+  const shortSide = parseInt(resolution, 10) || 720;
+  const [w, h] = String(aspectRatio || '16:9').split(':').map(Number);
+  const ratio = w > 0 && h > 0 ? w / h : 16 / 9;
+  const even = (value) => Math.round(value / 2) * 2;
+  return ratio >= 1
+    ? { width: even(shortSide * ratio), height: shortSide }
+    : { width: shortSide, height: even(shortSide / ratio) };
+}
+
+/**
+ * Filtergraph that normalizes every clip to the same size, frame rate and
+ * exact length (padding short clips with their last frame), then joins
+ * them. xfade needs the offsets up front, which fixed lengths give us
+ * without probing the files.
+ */
+function stitchGraph(durations, transition, { width, height }) {
+  const parts = durations.map((duration, i) => [
+    `[${i}:v]scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+    `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`,
+    'setsar=1',
+    `fps=${OUTPUT_FPS}`,
+    'format=yuv420p',
+    `tpad=stop_mode=clone:stop_duration=${duration}`,
+    `trim=duration=${duration}`,
+    `setpts=PTS-STARTPTS[s${i}]`
+  ].join(','));
+
+  const xfade = TRANSITIONS[transition];
+  if (!xfade) {
+    parts.push(`${durations.map((_, i) => `[s${i}]`).join('')}concat=n=${durations.length}:v=1:a=0[v]`);
+    return parts.join(';');
+  }
+
+  let previous = '[s0]';
+  let elapsed = durations[0];
+  for (let i = 1; i < durations.length; i++) {
+    const offset = (elapsed - i * TRANSITION_SECONDS).toFixed(3);
+    const label = i === durations.length - 1 ? '[v]' : `[x${i}]`;
+    parts.push(`${previous}[s${i}]xfade=transition=${xfade}:duration=${TRANSITION_SECONDS}:offset=${offset}${label}`);
+    previous = label;
+    elapsed += durations[i];
+  }
+  return parts.join(';');
+}
+
+/**
+ * Join the shots' videos into one MP4. Shots come back silent from most
+ * providers, so the result has no audio track.
+ */
+async function stitchShots(composite, shots) {
+  const board = composite.storyboard;
+  const size = frameSize(board.options?.resolution, board.aspectRatio);
+  const durations = shots.map(shot => Number(shot.duration) || board.options?.duration || 5);
+
+  return withTempDir(async (dir) => {
+    const inputs = [];
+    for (const shot of shots) {
+      const video = await downloadOriginalVideo(shot);
+      const path = join(dir, `shot-${shot.shot_index}.${video.extension}`);
+      await writeFile(path, video.buffer);
+      inputs.push('-i', path);
+    }
+
+    const output = join(dir, 'storyboard.mp4');
+    const { ok, error } = await runFfmpeg([
+      ...inputs,
+      '-filter_complex', stitchGraph(durations, board.transition, size),
+      '-map', '[v]',
+      '-an',
+      '-c:v', 'libx264',
+      '-preset', 'veryfast',
+      '-crf', '23',
+      '-pix_fmt', 'yuv420p',
+      '-movflags', '+faststart',
+      output
+    ], { timeoutMs: STITCH_TIMEOUT_MS });
+    if (!ok) throw new Error(`Stitching failed: ${error}`);
+
+    const buffer = await readFile(output);
+    if (!buffer.length) throw new Error('Stitching failed: no output');
+    return { buffer, contentType: 'video/mp4', extension: 'mp4' };
+  });
+}
+
+/**
+ * The shot's last frame, uploaded to the public frames bucket so the next
+ * shot's provider can fetch it. Returns its URL.
+ */
+async function uploadLastFrame(composite, shot) {
+  const video = await downloadOriginalVideo(shot);
+  const frame = await withTempDir(async (dir) => {
+    const input = join(dir, `shot.${video.extension}`);
+    const output = join(dir, 'last.jpg');
+    await writeFile(input, video.buffer);
+
+    const { ok, error } = await runFfmpeg([
+      '-sseof', '-0.5',
+      '-i', input,
+      '-update', '1',
+      '-q:v', '2',
+      output
+    ], { timeoutMs: FRAME_TIMEOUT_MS });
+    if (!ok) throw new Error(`Last frame failed: ${error}`);
+
+    const buffer = await readFile(output).catch(() => null);
+    if (!buffer?.length) throw new Error('Last frame failed: no output');
+    return buffer;
+  });
+
+  const bucket = process.env.UPLOAD_BUCKET || 'uploads';
+  const safeTask = String(composite.task_id).replace(/[^\w.-]/g, '_');
+  const path = `${composite.user_id}/storyboard/${safeTask}-${shot.shot_index + 1}.jpg`;
+  return storageUpload(bucket, path, frame, 'image/jpeg', { upsert: true });
+}
+
+/**
+ * Ask the provider about a shot still in flight and store the answer.
+ * Returns the current row.
+ */
+async function refreshShot(shot) {
+  const provider = getProvider(shot.provider);
+  if (!provider) return shot;
+
+  const polled = await provider.pollTask(shot.task_id);
+  if (FINAL_STATUSES.includes(polled.status)) {
+    return (await finalizeGeneration(shot.task_id, polled)) || (await findGenerationByTask(shot.task_id)) || shot;
+  }
+  if (!polled.errorType) {
+    await markGenerationProgress(shot.task_id, { status: polled.status, checked: true });
+  }
+  return shot;
+}
+
+/**
+ * One pass over a composite. Returns { deferMs } while shots are still
+ * rendering; throws on failures worth retrying (download, ffmpeg,
+ * storage, a chained shot that could not start).
+ */
+async function runStoryboardJob(job) {
+  const composite = await findGenerationByTask(job.task_id);
+  if (!isStoryboard(composite) || FINAL_STATUSES.includes(composite.status)) {
+    console.warn(`[Storyboard] ${job.task_id} is ${composite?.status || 'missing'} - nothing to do`);
+    return null;
+  }
+
+  const board = composite.storyboard;
+  const shots = [];
+  for (const shot of await listCompositeShots(composite.id)) {
+    shots.push(FINAL_STATUSES.includes(shot.status) ? shot : await refreshShot(shot));
+  }
+
+  const broken = shots.find(shot => shot.status === 'failed' || shot.status === 'cancelled');
+  if (broken) {
+    await failStoryboard(composite, shots,
+      `Shot ${broken.shot_index + 1} ${broken.status}: ${broken.error || 'no details'}`);
+    return null;
+  }
+
+  const started = new Date(composite.started_at || composite.created_at).getTime();
+  if (Date.now() - started > STORYBOARD_TIMEOUT_MS) {
+    await failStoryboard(composite, shots, 'Storyboard timed out waiting for its shots');
+    return null;
+  }
+
+  const allStarted = shots.length === board.shots.length;
+  const allDone = allStarted && shots.every(shot => shot.status === 'completed');
+  const saveProgress = () => updateStoryboard(composite.task_id, {
+    ...board,
+    shots: summarizeShots(board, shots),
+    stage: allDone ? 'stitching' : 'shots'
+  });
+  await saveProgress();
+
+  if (!allDone) {
+    // Chained shots start one at a time, from the previous shot's last frame
+    const previous = shots[shots.length - 1];
+    if (board.chainFrames && !allStarted && previous?.status === 'completed') {
+      if (!(await isFfmpegAvailable())) throw new Error('ffmpeg is unavailable');
+      const frameUrl = await uploadLastFrame(composite, previous);
+      shots.push(await startShot(composite, shots.length, frameUrl));
+      await saveProgress();
+    }
+    return { deferMs: SHOT_POLL_MS };
+  }
+
+  if (!(await isFfmpegAvailable())) throw new Error('ffmpeg is unavailable');
+  let video = await stitchShots(composite, shots);
+
+  const branded = getTierConfig(composite.tier).branded;
+  if (branded) {
+    video = await brandVideo(video.buffer, video.extension);
+    if (!video) throw new Error('ffmpeg is unavailable');
+  }
+
+  const stored = await storeVideo(composite, video, { branded });
+  const finalized = await finalizeGeneration(composite.task_id, {
+    status: 'completed',
+    videoUrl: stored?.storage_url || null
+  });
+  console.log(`[Storyboard] ${composite.task_id}: ${shots.length} shots stitched (${board.transition})`);
+
+  // Poster frame and preview, through the usual pipeline
+  if (finalized) await queuePostprocess(finalized);
+  return null;
+}
+
+/**
+ * Job handler for the worker (see postprocessHandler in
+ * api/_lib/pipeline.js). A dead-lettered job fails the composite.
+ */
+export const storyboardHandler = {
+  run: runStoryboardJob,
+  async failed(job, { dead }) {
+    if (!dead) return;
+    const composite = await findGenerationByTask(job.task_id);
+    if (!isStoryboard(composite) || FINAL_STATUSES.includes(composite.status)) return;
+    await failStoryboard(composite, await listCompositeShots(composite.id), 'Storyboard could not be finished');
+  }
+};
@@ -0,0 +1,140 @@
+/**
+ * NeoClip 340 - Minimal Stripe client
+ *
+ * Like api/_lib/supabase.js this is plain HTTP over fetch - no stripe SDK.
+ * Stripe takes form-encoded bodies and answers with JSON.
+ *
+ * STRIPE_API_BASE points the client at another server, e.g. a local
+ * stripe-mock (http://localhost:12111), so checkout and the billing
+ * webhook can be exercised without a Stripe account.
+ */
+
+import { makeRequest } from './http.js';
+import { getSecrets, parseSignatureHeader, verifyTimestampedHmac } from './signature.js';
+
+// One recurring Stripe price per paid tier
+const PRICE_ENV = {
+  basic: 'STRIPE_PRICE_BASIC',
+  pro: 'STRIPE_PRICE_PRO'
+};
+
+function getConfig() {
+  return {
+    base: (process.env.STRIPE_API_BASE || 'https://api.stripe.com').replace(/\/$/, ''),
+    key: process.env.STRIPE_SECRET_KEY
+  };
+}
+
+export function isStripeConfigured() {
+  return !!getConfig().key;
+}
+
+export function getPriceId(tier) {
+  const name = PRICE_ENV[tier];
+  return name ? process.env[name] || null : null;
+}
+
+/**
+ * Paid tier for a Stripe price ID, or null if it is not one of ours
+ */
+export function tierForPrice(priceId) {
+  if (!priceId) return null;
+  return Object.keys(PRICE_ENV).find(tier => getPriceId(tier) === priceId) || null;
+}
+
+/**
+ * Stripe-style form encoding: { a: { b: 1 }, c: [{ d: 2 }] }
+ * becomes a[b]=1&c[0][d]=2. Undefined and null values are left out.
+ */
+function encodeForm(params, prefix = '') {
+  const pairs = [];
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null) continue;
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === 'object') {
+      pairs.push(encodeForm(value, name));
+    } else {
+      pairs.push(`${encodeURIComponent(name)}=${encodeURIComponent(value)}`);
+    }
+  }
+  return pairs.filter(Boolean).join('&');
+}
+
+async function stripeRequest(method, path, params) {
+  const { base, key } = getConfig();
+  if (!key) {
+    throw new Error('Stripe not configured (STRIPE_SECRET_KEY)');
+  }
+
+  const body = params ? encodeForm(params) : undefined;
+  const { status, data, ok, error } = await makeRequest(`${base}/v1/${path}`, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${key}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body
+  }, 15000);
+
+  if (!ok) {
+    const message = data?.error?.message || (typeof error === 'string' ? error : `HTTP ${status}`);
+    const err = new Error(`Stripe ${method} ${path} failed: ${message}`);
+    err.status = status;
+    throw err;
+  }
+
+  return data;
+}
+
+export async function createCustomer({ email, userId }) {
+  return stripeRequest('POST', 'customers', {
+    email: email || undefined,
+    metadata: { user_id: userId }
+  });
+}
+
+/**
+ * Hosted checkout for a subscription. The user ID rides along on both the
+ * session and the subscription so webhooks can find the account.
+ */
+export async function createCheckoutSession({ customerId, userId, priceId, tier, successUrl, cancelUrl }) {
+  return stripeRequest('POST', 'checkout/sessions', {
+    mode: 'subscription',
+    customer: customerId,
+    client_reference_id: userId,
+    line_items: [{ price: priceId, quantity: 1 }],
+    success_url: successUrl,
+    cancel_url: cancelUrl,
+    metadata: { user_id: userId, tier },
+    subscription_data: { metadata: { user_id: userId, tier } }
+  });
+}
+
+export async function createPortalSession({ customerId, returnUrl }) {
+  return stripeRequest('POST', 'billing_portal/sessions', {
+    customer: customerId,
+    return_url: returnUrl
+  });
+}
+
+export async function retrieveSubscription(subscriptionId) {
+  return stripeRequest('GET', `subscriptions/${encodeURIComponent(subscriptionId)}`);
+}
+
+/**
+ * Verify a Stripe-Signature header ("t=<unix>,v1=<hex>[,v1=...]") against
+ * the raw body. STRIPE_WEBHOOK_SECRET may hold several comma-separated
+ * secrets during a rotation. Fails closed.
+ */
+export async function verifyStripeSignature(rawBody, header) {
+  const secrets = getSecrets(process.env.STRIPE_WEBHOOK_SECRET);
+  if (secrets.length === 0 || !header) return false;
+
+  const parts = parseSignatureHeader(header);
+  return verifyTimestampedHmac({
+    rawBody,
+    timestamp: parts.t?.[0],
+    signatures: parts.v1 || [],
+    secrets
+  });
+}
@@ -0,0 +1,136 @@
+/**
+ * NeoClip 340 - Subscriptions (public.subscriptions + users.tier)
+ *
+ * Stripe is the source of truth for billing; api/stripe-webhook.js feeds
+ * every subscription change through syncSubscription(), which mirrors it
+ * into public.subscriptions and sets the account's tier:
+ *
+ *   active, trialing      -> the price's tier
+ *   past_due              -> keeps the paid tier while Stripe retries the
+ *                            card; subscription_status tells the client
+ *   canceled, unpaid,
+ *   incomplete_expired    -> back to free
+ *   incomplete, paused    -> free until the first payment succeeds
+ */
+
+import { dbSelectOne, dbInsert, dbUpdate, eq } from './supabase.js';
+import { findUser } from './users.js';
+import { tierForPrice } from './stripe.js';
+
+const PAID_STATUSES = ['active', 'trialing', 'past_due'];
+
+function toIso(unixSeconds) {
+  return unixSeconds ? new Date(unixSeconds * 1000).toISOString() : null;
+}
+
+/**
+ * Does this user already pay for a plan (so checkout should go to the portal)?
+ */
+export function hasActiveSubscription(user) {
+  return !!user.stripe_subscription_id && PAID_STATUSES.includes(user.subscription_status);
+}
+
+/**
+ * Find the account a Stripe object belongs to: the user_id we put in its
+ * metadata at checkout, else the stored customer ID
+ */
+export async function findUserForStripe({ userId, customerId }) {
+  const byId = userId ? await findUser({ userId }) : null;
+  if (byId) return byId;
+  if (!customerId) return null;
+  return dbSelectOne('users', `stripe_customer_id=${eq(customerId)}&select=*`);
+}
+
+export async function linkStripeCustomer(userId, customerId) {
+  const [updated] = await dbUpdate('users', `id=${eq(userId)}`, {
+    stripe_customer_id: customerId
+  });
+  return updated;
+}
+
+/**
+ * Mirror a Stripe subscription object. Returns { user, tier, status } or
+ * null when no account matches (the event is then only logged).
+ *
+ * Stripe does not guarantee delivery order, so `eventCreated` (the event's
+ * unix timestamp) older than the last one applied is skipped ({ stale }).
+ */
+export async function syncSubscription(subscription, { eventCreated } = {}) {
+  const eventAt = toIso(eventCreated);
+  const existing = await dbSelectOne('subscriptions', `stripe_subscription_id=${eq(subscription.id)}&select=last_event_at`);
+  if (eventAt && existing?.last_event_at && new Date(existing.last_event_at) > new Date(eventAt)) {
+    console.log(`[Billing] Skipping stale event for subscription ${subscription.id}`);
+    return { stale: true };
+  }
+
+  const item = subscription.items?.data?.[0];
+  const priceId = item?.price?.id || null;
+  const status = subscription.status;
+
+  const user = await findUserForStripe({
+    userId: subscription.metadata?.user_id,
+    customerId: subscription.customer
+  });
+  if (!user) {
+    console.warn(`[Billing] No user for subscription ${subscription.id} (customer ${subscription.customer})`);
+    return null;
+  }
+
+  const paidTier = tierForPrice(priceId) || subscription.metadata?.tier || null;
+  const tier = PAID_STATUSES.includes(status) && paidTier ? paidTier : 'free';
+
+  await dbInsert('subscriptions', {
+    user_id: user.id,
+    stripe_subscription_id: subscription.id,
+    stripe_price_id: priceId,
+    status,
+    tier: paidTier || 'free',
+    current_period_start: toIso(subscription.current_period_start ?? item?.current_period_start),
+    current_period_end: toIso(subscription.current_period_end ?? item?.current_period_end),
+    cancel_at_period_end: !!subscription.cancel_at_period_end,
+    last_event_at: eventAt || existing?.last_event_at || null,
+    updated_at: new Date().toISOString()
+  }, { onConflict: 'stripe_subscription_id' });
+
+  // An old subscription ending must not downgrade a newer one
+  if (user.stripe_subscription_id && user.stripe_subscription_id !== subscription.id && !PAID_STATUSES.includes(status)) {
+    console.log(`[Billing] Ignoring ${status} for superseded subscription ${subscription.id}`);
+    return { user, tier: user.tier, status };
+  }
+
+  const [updated] = await dbUpdate('users', `id=${eq(user.id)}`, {
+    tier,
+    current_tier: tier,
+    is_pro_user: tier !== 'free',
+    subscription_status: status,
+    subscription_ends_at: toIso(subscription.cancel_at || subscription.ended_at || subscription.current_period_end),
+    stripe_customer_id: subscription.customer || user.stripe_customer_id,
+    stripe_subscription_id: subscription.id,
+    updated_at: new Date().toISOString()
+  });
+
+  console.log(`[Billing] ${user.id}: subscription ${subscription.id} ${status} -> tier ${tier}`);
+  return { user: updated || user, tier, status };
+}
+
+/**
+ * Where Stripe sends the user back. Clients may pass their own URL (the
+ * Expo app uses its neoclip:// scheme) but only to our own origin, so
+ * checkout cannot be turned into an open redirect.
+ */
+export function getReturnUrl(req, requested, fallbackQuery) {
+  const host = req.headers?.['x-forwarded-host'] || req.headers?.host || 'localhost';
+  const protocol = req.headers?.['x-forwarded-proto'] || 'https';
+  const appUrl = (process.env.APP_URL || `${protocol}://${host}`).replace(/\/$/, '');
+
+  if (typeof requested === 'string' && requested.length <= 2048) {
+    if (requested.startsWith('neoclip://')) return requested;
+    try {
+      if (new URL(requested).origin === new URL(appUrl).origin) return requested;
+    } catch {
+      // fall through to the default
+    }
+  }
+
+  return `${appUrl}/?${fallbackQuery}`;
+}
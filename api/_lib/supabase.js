@@ -0,0 +1,175 @@
+/**
+ * NeoClip 340 - Minimal Supabase (PostgREST) client
+ *
+ * CRITICAL: No @supabase/supabase-js import - that package is what broke
+ * v3.4.x deployments. PostgREST is plain HTTP, so native fetch is enough.
+ *
+ * Requires SUPABASE_URL and SUPABASE_KEY (service role key, server-side only).
+ * Every helper throws on a non-2xx response so callers can decide whether
+ * the failure is fatal.
+ */
+
+import { makeRequest } from './http.js';
+
+function getConfig() {
+  return {
+    url: (process.env.SUPABASE_URL || '').replace(/\/$/, ''),
+    key: process.env.SUPABASE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY
+  };
+}
+
+export function isSupabaseConfigured() {
+  const { url, key } = getConfig();
+  return !!(url && key);
+}
+
+async function restRequest(path, { method = 'GET', body, prefer } = {}) {
+  const { url, key } = getConfig();
+  if (!url || !key) {
+    throw new Error('Supabase not configured (SUPABASE_URL / SUPABASE_KEY)');
+  }
+
+  const headers = {
+    'apikey': key,
+    'Authorization': `Bearer ${key}`
+  };
+  if (prefer) headers['Prefer'] = prefer;
+
+  const { status, data, ok, error } = await makeRequest(`${url}/rest/v1/${path}`, {
+    method,
+    headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  }, 10000);
+
+  if (!ok) {
+    const err = new Error(`Supabase ${method} ${path.split('?')[0]} failed: ${error}`);
+    err.status = status;
+    throw err;
+  }
+
+  return data;
+}
+
+/**
+ * SELECT rows. `query` is a PostgREST query string,
+ * e.g. 'device_id=eq.abc&select=*&limit=1'
+ */
+export async function dbSelect(table, query = 'select=*') {
+  return restRequest(`${table}?${query}`);
+}
+
+/**
+ * SELECT a single row or null
+ */
+export async function dbSelectOne(table, query) {
+  const rows = await dbSelect(table, `${query}&limit=1`);
+  return Array.isArray(rows) && rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * INSERT row(s) and return the inserted representation.
+ * Pass onConflict to upsert on a unique column; with ignoreDuplicates the
+ * conflicting row is skipped instead (and left out of the result).
+ */
+export async function dbInsert(table, rows, { onConflict, ignoreDuplicates = false } = {}) {
+  const path = onConflict ? `${table}?on_conflict=${onConflict}` : table;
+  const resolution = ignoreDuplicates ? 'ignore-duplicates' : 'merge-duplicates';
+  const prefer = onConflict
+    ? `return=representation,resolution=${resolution}`
+    : 'return=representation';
+  return restRequest(path, { method: 'POST', body: rows, prefer });
+}
+
+/**
+ * UPDATE rows matching a PostgREST filter, e.g. 'id=eq.123'
+ */
+export async function dbUpdate(table, filter, patch) {
+  return restRequest(`${table}?${filter}`, {
+    method: 'PATCH',
+    body: patch,
+    prefer: 'return=representation'
+  });
+}
+
+/**
+ * Call a Postgres function (see supabase/schema.sql)
+ */
+export async function dbRpc(fn, args = {}) {
+  return restRequest(`rpc/${fn}`, { method: 'POST', body: args });
+}
+
+/**
+ * Upload a file to Supabase Storage and return its public URL.
+ * The bucket must exist (see supabase/schema.sql); the URL only works for
+ * public buckets - private ones are read through storageSignUrls().
+ */
+export async function storageUpload(bucket, path, body, contentType, { upsert = false, timeoutMs = 20000 } = {}) {
+  const { url, key } = getConfig();
+  if (!url || !key) {
+    throw new Error('Supabase not configured (SUPABASE_URL / SUPABASE_KEY)');
+  }
+
+  const { status, ok, error } = await makeRequest(`${url}/storage/v1/object/${bucket}/${path}`, {
+    method: 'POST',
+    headers: {
+      'apikey': key,
+      'Authorization': `Bearer ${key}`,
+      'Content-Type': contentType,
+      'x-upsert': String(upsert)
+    },
+    body
+  }, timeoutMs);
+
+  if (!ok) {
+    const err = new Error(`Supabase storage upload to ${bucket} failed: ${error}`);
+    err.status = status;
+    throw err;
+  }
+
+  return `${url}/storage/v1/object/public/${bucket}/${path}`;
+}
+
+/**
+ * Signed, expiring URLs for objects in a (private) bucket.
+ * Returns { [path]: url }; paths Supabase could not sign are left out.
+ */
+export async function storageSignUrls(bucket, paths, expiresIn) {
+  const { url, key } = getConfig();
+  if (!url || !key) {
+    throw new Error('Supabase not configured (SUPABASE_URL / SUPABASE_KEY)');
+  }
+
+  const { status, data, ok, error } = await makeRequest(`${url}/storage/v1/object/sign/${bucket}`, {
+    method: 'POST',
+    headers: {
+      'apikey': key,
+      'Authorization': `Bearer ${key}`
+    },
+    body: JSON.stringify({ expiresIn, paths })
+  }, 10000);
+
+  if (!ok || !Array.isArray(data)) {
+    const err = new Error(`Supabase storage signing in ${bucket} failed: ${error || 'unexpected response'}`);
+    err.status = status;
+    throw err;
+  }
+
+  // signedURL is relative to /storage/v1
+  return Object.fromEntries(data
+    .filter(entry => entry.signedURL && !entry.error)
+    .map(entry => [entry.path, `${url}/storage/v1${entry.signedURL}`]));
+}
+
+/**
+ * Escape a value for use inside a PostgREST filter
+ */
+export function eq(value) {
+  return `eq.${encodeURIComponent(value)}`;
+}
+
+/**
+ * PostgREST `in` filter for a list of values (quoted, so commas are safe)
+ */
+export function inList(values) {
+  return `in.(${values.map(value => `"${encodeURIComponent(String(value).replace(/"/g, ''))}"`).join(',')})`;
+}
@@ -0,0 +1,190 @@
+/**
+ * NeoClip 340 - Task status resolution
+ *
+ * Shared by api/poll.js and api/events.js so both report the same state.
+ * Webhooks (api/webhook.js) are the primary source: if the stored row is
+ * final, or was checked within POLL_FALLBACK_MS, we answer from
+ * public.generations. Otherwise we ask the provider and store the result.
+ *
+ * Completed videos are queued for post-processing (api/_lib/pipeline.js)
+ * and, once stored, reported with a signed playback URL. Branded tiers
+ * stay "processing" until their branded copy exists; if it is not coming
+ * (see settleBranding()) the generation fails and is refunded.
+ *
+ * Storyboard composites (api/_lib/storyboard.js) have no provider of
+ * their own: they are always answered from the row, with the shot being
+ * rendered (stage 'shots', shot/shots) or stage 'stitching'.
+ */
+
+import { getProvider, DEFAULT_PROVIDER } from './providers/index.js';
+import { getWebhookConfig } from './providers/piapi.js';
+import { isSupabaseConfigured } from './supabase.js';
+import {
+  FINAL_STATUSES,
+  findGenerationByTask,
+  finalizeGeneration,
+  markGenerationProgress,
+  isAwaitingBranding,
+  lacksBrandedCopy
+} from './generations.js';
+import { getPlaybackUrl } from './video-archive.js';
+import { queuePostprocess, settleBranding } from './pipeline.js';
+import {
+  STORYBOARD_SOURCE,
+  isStoryboard,
+  isStoryboardStalled,
+  queueStoryboard,
+  storyboardProgress
+} from './storyboard.js';
+
+// With webhooks registered, hit PiAPI directly at most this often per task
+const POLL_FALLBACK_MS = 30000;
+
+/**
+ * Load the stored generation, if the database is available
+ */
+async function loadRecord(taskId) {
+  if (!isSupabaseConfigured()) return null;
+  try {
+    return await findGenerationByTask(taskId);
+  } catch (error) {
+    console.error('[TaskStatus] Failed to load generation record:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Write a poll result to public.generations (never fails the poll).
+ * Returns the row if this call finalized it.
+ */
+async function persistResult(taskId, result) {
+  if (!isSupabaseConfigured()) return null;
+  // A status check that failed (errorType) says nothing new about the task
+  if (result.errorType && !FINAL_STATUSES.includes(result.status)) return null;
+  try {
+    if (FINAL_STATUSES.includes(result.status)) {
+      return await finalizeGeneration(taskId, result);
+    }
+    await markGenerationProgress(taskId, { status: result.status, checked: true });
+  } catch (error) {
+    console.error('[TaskStatus] Failed to save generation result:', error.message);
+  }
+  return null;
+}
+
+/**
+ * Queue post-processing for a completed video if that has not happened
+ * yet, then point the result at a signed URL for our copy.
+ * Branded tiers never get the provider's clean URL: without a stored
+ * branded copy they are processing, or failed (and refunded) if none is
+ * coming.
+ */
+async function withStoredVideo(result, record) {
+  if (result.status !== 'completed') return result;
+  if (!record) {
+    // No row to check the tier against - never risk a clean video
+    return isSupabaseConfigured()
+      ? { status: 'failed', error: 'Generation record not found - the video cannot be served' }
+      : result;
+  }
+
+  const current = await settleBranding(await queuePostprocess(record));
+
+  if (current.status === 'failed') return recordToResult(current);
+  if (isAwaitingBranding(current)) {
+    return { status: 'processing', stage: 'postprocessing', progress: 95 };
+  }
+  if (lacksBrandedCopy(current)) {
+    // settleBranding() could not write - /api/status retries it
+    return { status: 'failed', error: 'Video processing failed - please try again' };
+  }
+
+  const playback = await getPlaybackUrl(current);
+  if (!playback && current.branded) {
+    // Only the branded copy is served; try signing again on the next poll
+    return { ...result, videoUrl: null };
+  }
+  return playback
+    ? {
+      ...result,
+      videoUrl: playback.url,
+      videoUrlExpiresAt: playback.expiresAt,
+      thumbnailUrl: playback.thumbnailUrl,
+      previewUrl: playback.previewUrl
+    }
+    : result;
+}
+
+/**
+ * Can we answer from the stored row without calling PiAPI?
+ */
+function canAnswerFromRecord(record) {
+  if (!record) return false;
+  if (FINAL_STATUSES.includes(record.status)) return true;
+  if (!getWebhookConfig()) return false;
+
+  const lastChecked = new Date(record.last_checked_at || record.started_at || record.created_at);
+  return Date.now() - lastChecked.getTime() < POLL_FALLBACK_MS;
+}
+
+/**
+ * Convert a stored row into the same shape pollTask() returns
+ */
+function recordToResult(record) {
+  if (record.status === 'completed') {
+    return { status: 'completed', videoUrl: record.video_url, progress: 100 };
+  }
+  if (record.status === 'failed' || record.status === 'cancelled') {
+    return { status: record.status, error: record.error || `Generation ${record.status}` };
+  }
+
+  // No progress from webhooks - estimate from elapsed time (typical run ~3 min)
+  const started = new Date(record.started_at || record.created_at).getTime();
+  const elapsedRatio = Math.min((Date.now() - started) / 180000, 1);
+  const status = record.status === 'queued' ? 'queued' : 'processing';
+  return { status, progress: Math.round(15 + elapsedRatio * 75) };
+}
+
+/**
+ * Current state of a task: { result, provider, source, record }
+ * result has the pollTask() shape; provider is null if unknown.
+ * With `userId`, tasks that are not that user's report notFound instead.
+ */
+export async function resolveTaskStatus(taskId, providerHint, { userId } = {}) {
+  const record = await loadRecord(taskId);
+  if (userId && record?.user_id !== userId) {
+    return { result: null, provider: null, source: null, record: null, notFound: true };
+  }
+
+  if (isStoryboard(record)) {
+    // The worker drives composites; requeue one whose job went missing
+    if (isStoryboardStalled(record)) await queueStoryboard(record.task_id);
+    const stored = FINAL_STATUSES.includes(record.status) ? recordToResult(record) : storyboardProgress(record);
+    const result = await withStoredVideo(stored, record);
+    return { result, provider: STORYBOARD_SOURCE, source: 'stored', record };
+  }
+
+  const provider = getProvider(providerHint || record?.provider || DEFAULT_PROVIDER);
+
+  if (!provider) {
+    return { result: null, provider: null, source: null, record };
+  }
+
+  if (canAnswerFromRecord(record)) {
+    const result = await withStoredVideo(recordToResult(record), record);
+    return { result, provider, source: 'stored', record };
+  }
+
+  console.log(`[TaskStatus] Asking ${provider.name} for ${taskId}`);
+  const polled = await provider.pollTask(taskId);
+  // null when the webhook finalized the row first - read it back then
+  const finalized = await persistResult(taskId, polled)
+    || (FINAL_STATUSES.includes(polled.status) ? await loadRecord(taskId) : null);
+  const result = await withStoredVideo(polled, finalized);
+
+  return { result, provider, source: 'provider', record };
+}
+
+export function isFinalStatus(status) {
+  return FINAL_STATUSES.includes(status);
+}
@@ -0,0 +1,103 @@
+/**
+ * NeoClip 340 - Poster frames and animated previews
+ *
+ * createVideoThumbnails() turns a finished video into:
+ *   poster   - a JPEG frame for library grids (ffmpeg's `thumbnail`
+ *              filter picks a representative frame, not a black first one)
+ *   preview  - a short looping animation for hover: WebP, or GIF when the
+ *              ffmpeg build lacks libwebp
+ *
+ * Run by the pipeline's thumbnails step (api/_lib/pipeline.js) on the
+ * bytes that were just stored, so the video is not downloaded twice.
+ * Needs ffmpeg (api/_lib/ffmpeg.js).
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { isFfmpegAvailable, runFfmpeg, withTempDir } from './ffmpeg.js';
+
+const POSTER_WIDTH = 480;
+const PREVIEW_WIDTH = 320;
+const PREVIEW_SECONDS = 3;
+const PREVIEW_FPS = 10;
+const FFMPEG_TIMEOUT_MS = 60000;
+
+async function readOutput(path) {
+  const buffer = await readFile(path).catch(() => null);
+  return buffer?.length ? buffer : null;
+}
+
+async function renderPoster(input, dir) {
+  const output = join(dir, 'poster.jpg');
+  const { ok, error } = await runFfmpeg([
+    '-i', input,
+    '-vf', `thumbnail=50,scale=${POSTER_WIDTH}:-2`,
+    '-frames:v', '1',
+    '-q:v', '4',
+    output
+  ], { timeoutMs: FFMPEG_TIMEOUT_MS });
+
+  if (!ok) throw new Error(`Poster frame failed: ${error}`);
+  const buffer = await readOutput(output);
+  if (!buffer) throw new Error('Poster frame failed: no output');
+  return { buffer, contentType: 'image/jpeg', extension: 'jpg' };
+}
+
+async function renderPreview(input, dir) {
+  const frames = `fps=${PREVIEW_FPS},scale=${PREVIEW_WIDTH}:-2:flags=lanczos`;
+
+  const webp = join(dir, 'preview.webp');
+  const webpRun = await runFfmpeg([
+    '-t', String(PREVIEW_SECONDS),
+    '-i', input,
+    '-vf', frames,
+    '-an',
+    '-c:v', 'libwebp',
+    '-quality', '60',
+    '-loop', '0',
+    webp
+  ], { timeoutMs: FFMPEG_TIMEOUT_MS });
+  const webpBuffer = webpRun.ok && await readOutput(webp);
+  if (webpBuffer) return { buffer: webpBuffer, contentType: 'image/webp', extension: 'webp' };
+
+  const gif = join(dir, 'preview.gif');
+  const gifRun = await runFfmpeg([
+    '-t', String(PREVIEW_SECONDS),
+    '-i', input,
+    '-vf', `${frames},split[a][b];[a]palettegen=max_colors=128[p];[b][p]paletteuse`,
+    '-an',
+    '-loop', '0',
+    gif
+  ], { timeoutMs: FFMPEG_TIMEOUT_MS });
+  const gifBuffer = gifRun.ok && await readOutput(gif);
+  if (gifBuffer) return { buffer: gifBuffer, contentType: 'image/gif', extension: 'gif' };
+
+  throw new Error(`Preview failed: ${gifRun.error || webpRun.error}`);
+}
+
+/**
+ * Render a poster frame and an animated preview from video bytes.
+ * Returns { poster, preview } ({ buffer, contentType, extension } each,
+ * preview may be null), or null when ffmpeg is unavailable. Throws if the
+ * poster frame cannot be rendered.
+ */
+export async function createVideoThumbnails(videoBuffer, extension = 'mp4') {
+  if (!(await isFfmpegAvailable())) return null;
+
+  return withTempDir(async (dir) => {
+    const input = join(dir, `input.${extension}`);
+    await writeFile(input, videoBuffer);
+
+    const poster = await renderPoster(input, dir);
+
+    let preview = null;
+    try {
+      preview = await renderPreview(input, dir);
+    } catch (error) {
+      // The poster alone is still worth keeping
+      console.warn('[Thumbnails]', error.message);
+    }
+
+    return { poster, preview };
+  });
+}
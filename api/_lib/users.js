@@ -0,0 +1,216 @@
+/**
+ * NeoClip 340 - Users and quota (public.users)
+ *
+ * The server's own free_used / paid_used counters are the only source of
+ * truth for quota. Client-sent usage numbers are never trusted.
+ */
+
+import { dbSelectOne, dbInsert, dbUpdate, dbRpc, eq } from './supabase.js';
+import { FREE_TIER_LIMIT, TIER_LIMITS, getTierLimit } from './config.js';
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export function isUuid(value) {
+  return typeof value === 'string' && UUID_RE.test(value);
+}
+
+/**
+ * Calculate days until monthly reset
+ */
+export function getDaysUntilReset(resetsAt) {
+  const now = new Date();
+  const reset = resetsAt
+    ? new Date(resetsAt)
+    : new Date(now.getFullYear(), now.getMonth() + 1, 1);
+  return Math.max(0, Math.ceil((reset - now) / (1000 * 60 * 60 * 24)));
+}
+
+/**
+ * Look up a user by database ID or device ID.
+ * Only for server-side lookups - request identity comes from the session
+ * (api/_lib/auth.js), never from IDs the client sends.
+ */
+export async function findUser({ userId, deviceId }) {
+  if (isUuid(userId)) {
+    return dbSelectOne('users', `id=${eq(userId)}&select=*`);
+  }
+
+  if (!deviceId) return null;
+  return dbSelectOne('users', `device_id=${eq(deviceId)}&select=*`);
+}
+
+export function isAnonymousUser(user) {
+  return !user.auth_provider_id && (user.auth_provider || 'anonymous') === 'anonymous';
+}
+
+/**
+ * Bump last_login_at / login_count for a sign-in
+ */
+export async function recordLogin(user, appVersion) {
+  const [updated] = await dbUpdate('users', `id=${eq(user.id)}`, {
+    last_login_at: new Date().toISOString(),
+    login_count: (user.login_count || 0) + 1,
+    app_version: appVersion || user.app_version
+  });
+  return updated || user;
+}
+
+/**
+ * Find the anonymous account for this device or create it
+ */
+export async function findOrCreateUser({ deviceId, platform, appVersion }) {
+  const existing = await findUser({ deviceId });
+  if (existing) {
+    return { user: await recordLogin(existing, appVersion), isNewUser: false };
+  }
+
+  const [created] = await dbInsert('users', {
+    device_id: deviceId,
+    device_platform: platform,
+    app_version: appVersion,
+    last_login_at: new Date().toISOString(),
+    login_count: 1
+  }, { onConflict: 'device_id' });
+
+  return { user: created, isNewUser: true };
+}
+
+/**
+ * Find the account for a verified Supabase Auth identity.
+ * An unclaimed row with the same email is only matched when the
+ * provider has verified that email.
+ */
+export async function findUserByIdentity({ sub, email, emailVerified }) {
+  const linked = await dbSelectOne('users', `auth_provider_id=${eq(sub)}&select=*`);
+  if (linked) return linked;
+
+  if (email && emailVerified) {
+    const byEmail = await dbSelectOne('users', `email=${eq(email)}&auth_provider_id=is.null&select=*`);
+    if (byEmail) return linkIdentity(byEmail, { sub, email, emailVerified });
+  }
+  return null;
+}
+
+/**
+ * Attach a Supabase Auth identity to an existing row
+ * (used to upgrade an anonymous account in place)
+ */
+export async function linkIdentity(user, { sub, email, emailVerified, provider = 'email' }, appVersion) {
+  const [updated] = await dbUpdate('users', `id=${eq(user.id)}`, {
+    auth_provider_id: sub,
+    auth_provider: provider,
+    email: email || user.email,
+    email_verified: !!emailVerified,
+    last_login_at: new Date().toISOString(),
+    login_count: (user.login_count || 0) + 1,
+    app_version: appVersion || user.app_version
+  });
+  return updated || user;
+}
+
+export async function createRegisteredUser({ sub, email, emailVerified, provider = 'email' }, { platform, appVersion } = {}) {
+  const [created] = await dbInsert('users', {
+    auth_provider_id: sub,
+    auth_provider: provider,
+    email,
+    email_verified: !!emailVerified,
+    device_platform: platform,
+    app_version: appVersion,
+    last_login_at: new Date().toISOString(),
+    login_count: 1
+  });
+  return created;
+}
+
+/**
+ * Fold an anonymous device account into a registered one: generations,
+ * this month's usage and the device ID move over, and the anonymous row
+ * is deactivated together with its sessions (see merge_anonymous_user)
+ */
+export async function mergeAnonymousUser(anonymousId, targetId) {
+  await dbRpc('merge_anonymous_user', { p_anonymous_id: anonymousId, p_target_id: targetId });
+  return dbSelectOne('users', `id=${eq(targetId)}&select=*`);
+}
+
+/**
+ * Atomically consume `amount` generations from the user's monthly quota.
+ * Runs consume_generation_quota() which resets expired counters, checks
+ * the tier limit and increments under a row lock.
+ *
+ * Once the tier limit is reached, referral bonus clips are spent instead
+ * (usedBonus).
+ *
+ * Returns { allowed, tier, freeUsed, paidUsed, resetsAt, usedBonus,
+ * bonusClips } or null if the user does not exist.
+ */
+export async function consumeQuota(userId, amount = 1) {
+  const rows = await dbRpc('consume_generation_quota', {
+    p_user_id: userId,
+    p_limits: TIER_LIMITS,
+    p_amount: amount
+  });
+
+  const row = Array.isArray(rows) ? rows[0] : rows;
+  if (!row) return null;
+
+  return {
+    allowed: row.allowed,
+    tier: row.user_tier,
+    freeUsed: row.used_free,
+    paidUsed: row.used_paid,
+    resetsAt: row.next_reset,
+    usedBonus: !!row.used_bonus,
+    bonusClips: row.bonus_left ?? 0
+  };
+}
+
+/**
+ * Give back quota consumed for a generation that never started or was
+ * cancelled (`bonus`: it was paid with a bonus clip). Returns false if
+ * the refund could not be written.
+ */
+export async function refundQuota(userId, amount = 1, { bonus = false } = {}) {
+  try {
+    await dbRpc('refund_generation_quota', { p_user_id: userId, p_amount: amount, p_bonus: bonus });
+    return true;
+  } catch (error) {
+    console.error('[Users] Quota refund failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Shape a public.users row for API responses
+ */
+export function toClientUser(row) {
+  const tier = row.tier || 'free';
+  const expired = row.resets_at && new Date(row.resets_at) <= new Date();
+  const freeUsed = expired ? 0 : (row.free_used || 0);
+  const paidUsed = expired ? 0 : (row.paid_used || 0);
+  const used = tier === 'free' ? freeUsed : paidUsed;
+
+  return {
+    id: row.id,
+    deviceId: row.device_id,
+    email: row.email || null,
+    authProvider: row.auth_provider || 'anonymous',
+    isAnonymous: isAnonymousUser(row),
+    tier,
+    freeUsed,
+    freeRemaining: Math.max(0, FREE_TIER_LIMIT - freeUsed),
+    freeLimit: FREE_TIER_LIMIT,
+    paidUsed,
+    paidLimit: tier === 'free' ? 0 : getTierLimit(tier),
+    remaining: Math.max(0, getTierLimit(tier) - used),
+    bonusClips: row.bonus_clips || 0,
+    referredBy: row.referred_by || null,
+    subscriptionStatus: row.subscription_status || 'inactive',
+    subscriptionEndsAt: row.subscription_ends_at || null,
+    referralCode: row.referral_code,
+    referralCount: row.referral_count || 0,
+    totalVideosGenerated: row.total_videos_generated || 0,
+    resetsAt: row.resets_at,
+    daysUntilReset: getDaysUntilReset(row.resets_at),
+    createdAt: row.created_at
+  };
+}
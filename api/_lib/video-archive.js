@@ -0,0 +1,165 @@
+/**
+ * NeoClip 340 - Copy finished videos to our own storage
+ *
+ * Provider outputs (PiAPI / Luma CDN URLs) expire, which left old library
+ * entries unplayable. The post-processing pipeline (api/_lib/pipeline.js)
+ * uses these helpers to download the file, upload it to the storage
+ * backend (api/_lib/storage.js) and record key, size and SHA-256 on the
+ * row, plus the poster frame and preview.
+ *
+ * Clients never see the storage URLs themselves, only signed URLs from
+ * getPlaybackUrls().
+ */
+
+import { downloadBuffer } from './http.js';
+import { getStorageBackend, getSignedUrlTtl, sha256Hex } from './storage.js';
+import { createVideoThumbnails } from './thumbnails.js';
+import { markVideoStored, markThumbnailsStored } from './generations.js';
+
+const DEFAULT_MAX_BYTES = 100 * 1024 * 1024;
+const DOWNLOAD_TIMEOUT_MS = 60000;
+
+function maxVideoBytes() {
+  return parseInt(process.env.VIDEO_MAX_BYTES, 10) || DEFAULT_MAX_BYTES;
+}
+
+/**
+ * Identify the container from its magic bytes (providers sometimes send
+ * application/octet-stream, and an expired URL may answer with HTML)
+ */
+function detectVideoType(buffer, declaredType) {
+  if (buffer.length >= 12 && buffer.subarray(4, 8).toString('latin1') === 'ftyp') {
+    return { contentType: 'video/mp4', extension: 'mp4' };
+  }
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x1a45dfa3) {
+    return { contentType: 'video/webm', extension: 'webm' };
+  }
+  if (declaredType?.startsWith('video/mp4')) {
+    return { contentType: 'video/mp4', extension: 'mp4' };
+  }
+  return null;
+}
+
+function objectKey(record, extension) {
+  const safeTask = String(record.task_id).replace(/[^\w.-]/g, '_');
+  return `${record.user_id || 'anonymous'}/${safeTask}.${extension}`;
+}
+
+function requireBackend() {
+  const backend = getStorageBackend();
+  if (!backend) throw new Error('Video storage is not configured (VIDEO_STORAGE)');
+  return backend;
+}
+
+/**
+ * Download a video and check it really is one.
+ * Resolves to { buffer, contentType, extension }; throws otherwise.
+ */
+async function fetchVideo(url) {
+  const download = await downloadBuffer(url, {
+    timeoutMs: DOWNLOAD_TIMEOUT_MS,
+    maxBytes: maxVideoBytes()
+  });
+  if (!download.ok) {
+    throw new Error(`Download failed (${download.errorType}): ${download.error}`);
+  }
+
+  const type = detectVideoType(download.buffer, download.contentType);
+  if (!type) {
+    throw new Error(`Got ${download.contentType || 'unknown content'}, not a video`);
+  }
+  return { buffer: download.buffer, ...type };
+}
+
+/**
+ * The provider's original file
+ */
+export async function downloadOriginalVideo(record) {
+  if (!record.video_url) throw new Error('Generation has no video URL');
+  return fetchVideo(record.video_url);
+}
+
+/**
+ * Our stored copy (for steps that run after the upload, e.g. on a retry)
+ */
+export async function downloadStoredVideo(record) {
+  const backend = requireBackend();
+  const signed = await backend.sign([record.storage_key], getSignedUrlTtl());
+  if (!signed[record.storage_key]) throw new Error('Could not sign the stored video');
+  return fetchVideo(signed[record.storage_key]);
+}
+
+/**
+ * Upload the video and record it on the generation. Returns the row.
+ */
+export async function storeVideo(record, video, { branded = false } = {}) {
+  const backend = requireBackend();
+  const key = objectKey(record, video.extension);
+  const sha256 = await sha256Hex(video.buffer);
+  const url = await backend.put(key, video.buffer, video.contentType);
+
+  console.log(`[Archive] ${record.task_id}: ${video.buffer.length} bytes${branded ? ' (branded)' : ''} -> ${backend.name}:${key}`);
+  return markVideoStored(record.task_id, {
+    backend: backend.name,
+    key,
+    url,
+    bytes: video.buffer.length,
+    sha256,
+    branded
+  });
+}
+
+/**
+ * Render and upload the poster frame and preview, and record them.
+ * Returns the row, or null when ffmpeg is unavailable.
+ */
+export async function storeThumbnails(record, video) {
+  const backend = requireBackend();
+  const thumbnails = await createVideoThumbnails(video.buffer, video.extension);
+  if (!thumbnails) return null;
+
+  const { poster, preview } = thumbnails;
+  const stored = { thumbnailKey: objectKey(record, `poster.${poster.extension}`) };
+  stored.thumbnailUrl = await backend.put(stored.thumbnailKey, poster.buffer, poster.contentType);
+
+  if (preview) {
+    stored.previewKey = objectKey(record, `preview.${preview.extension}`);
+    stored.previewUrl = await backend.put(stored.previewKey, preview.buffer, preview.contentType);
+  }
+  return markThumbnailsStored(record.task_id, stored);
+}
+
+/**
+ * Signed playback URLs for archived rows:
+ *   { [task_id]: { url, expiresAt, thumbnailUrl, previewUrl } }
+ * Rows that are not archived (or cannot be signed) are left out, and
+ * callers fall back to the provider URL.
+ */
+export async function getPlaybackUrls(rows) {
+  const backend = getStorageBackend();
+  const archived = (rows || []).filter(row => row?.storage_key && row.storage_backend === backend?.name);
+  if (!archived.length) return {};
+
+  const ttl = getSignedUrlTtl();
+  const expiresAt = new Date(Date.now() + ttl * 1000).toISOString();
+  const keys = archived.flatMap(row => [row.storage_key, row.thumbnail_key, row.preview_key].filter(Boolean));
+
+  try {
+    const signed = await backend.sign(keys, ttl);
+    return Object.fromEntries(archived
+      .filter(row => signed[row.storage_key])
+      .map(row => [row.task_id, {
+        url: signed[row.storage_key],
+        expiresAt,
+        thumbnailUrl: (row.thumbnail_key && signed[row.thumbnail_key]) || null,
+        previewUrl: (row.preview_key && signed[row.preview_key]) || null
+      }]));
+  } catch (error) {
+    console.error('[Archive] Failed to sign playback URLs:', error.message);
+    return {};
+  }
+}
+
+export async function getPlaybackUrl(row) {
+  return (await getPlaybackUrls([row]))[row?.task_id] || null;
+}
@@ -0,0 +1,119 @@
+/**
+ * NeoClip 340 - Auth API
+ *
+ * POST /api/auth     Exchange a Supabase Auth access token for a session
+ *   Body: { accessToken, platform?, appVersion?, referralCode? }
+ *   Optional: Authorization: Bearer <anonymous session token>
+ *
+ *   - The token is verified (api/_lib/auth.js) and mapped to an account
+ *     by its Supabase user ID (or a verified, unclaimed email).
+ *   - When the request carries an anonymous device session, that device
+ *     account is carried over: upgraded in place if the identity is new,
+ *     merged into the existing account otherwise.
+ *   - referralCode is redeemed for new accounts (see api/_lib/referrals.js);
+ *     a rejected code is reported in `referral` but never fails sign-in.
+ *
+ * DELETE /api/auth   Sign out (revokes the current session)
+ *
+ * CRITICAL: No external dependencies
+ */
+
+import { isSupabaseConfigured } from './_lib/supabase.js';
+import {
+  verifySupabaseToken,
+  createSession,
+  getSession,
+  requireSession,
+  revokeSession
+} from './_lib/auth.js';
+import {
+  isAnonymousUser,
+  findUserByIdentity,
+  linkIdentity,
+  createRegisteredUser,
+  mergeAnonymousUser,
+  recordLogin,
+  toClientUser
+} from './_lib/users.js';
+import { redeemReferralCode, toClientReferral } from './_lib/referrals.js';
+import { withRoute, sendError, getClientIp } from './_lib/middleware.js';
+
+export default withRoute({ name: 'Auth', methods: ['POST', 'DELETE'] }, async (req, res, { body }) => {
+  if (!isSupabaseConfigured()) {
+    return sendError(res, 503, 'Service not configured', {
+      message: 'SUPABASE_URL and SUPABASE_KEY are required for sign-in'
+    });
+  }
+
+  try {
+    if (req.method === 'DELETE') {
+      const auth = await requireSession(req, res);
+      if (!auth) return;
+
+      await revokeSession(auth.session.id);
+      return res.status(200).json({ success: true, message: 'Signed out' });
+    }
+
+    const { accessToken, platform = 'web', appVersion, referralCode } = body;
+
+    const identity = await verifySupabaseToken(accessToken);
+    if (!identity) {
+      return sendError(res, 401, 'Invalid or expired access token');
+    }
+
+    // The device's current session, if any - only anonymous ones are carried over
+    const current = await getSession(req);
+    const anonymous = current && isAnonymousUser(current.user) ? current.user : null;
+
+    let user = await findUserByIdentity(identity);
+    let merged = false;
+    let upgraded = false;
+
+    if (!user && anonymous) {
+      user = await linkIdentity(anonymous, identity, appVersion);
+      upgraded = true;
+    } else if (!user) {
+      user = await createRegisteredUser(identity, { platform, appVersion });
+    } else {
+      if (anonymous && anonymous.id !== user.id) {
+        user = await mergeAnonymousUser(anonymous.id, user.id);
+        merged = true;
+      }
+      user = await recordLogin(user, appVersion);
+    }
+
+    // Upgraded anonymous sessions are replaced by the registered one
+    // (merged ones were already revoked by merge_anonymous_user)
+    if (upgraded) {
+      await revokeSession(current.session.id);
+    }
+
+    let referral = null;
+    if (referralCode) {
+      referral = await redeemReferralCode(user, referralCode, { ip: getClientIp(req) });
+      if (referral.ok) user = { ...user, referred_by: referral.referrer.id };
+    }
+
+    const session = await createSession(user.id, req, { method: identity.provider });
+
+    console.log(`[Auth] Sign-in: ${user.id} via ${identity.provider} (merged: ${merged}, upgraded: ${upgraded})`);
+
+    return res.status(200).json({
+      success: true,
+      session,
+      user: toClientUser(user),
+      merged,
+      upgraded,
+      referral: toClientReferral(referral)
+    });
+
+  } catch (error) {
+    if (error.status === 409) {
+      return sendError(res, 409, 'Account conflict', {
+        message: 'An account with this email already exists - sign in with its original method'
+      });
+    }
+    console.error('[Auth] Error:', error);
+    return sendError(res, 500, 'Sign-in failed', { message: error.message });
+  }
+});
@@ -0,0 +1,85 @@
+/**
+ * NeoClip 340 - Subscription Checkout API
+ *
+ * POST /api/checkout   (Authorization: Bearer <session token>)
+ * Body: { tier: 'basic' | 'pro', successUrl?, cancelUrl? }
+ *
+ * Creates a Stripe Checkout session for the tier's price and returns its
+ * URL. The tier itself only changes when api/stripe-webhook.js receives
+ * the resulting subscription. Accounts that already pay get 409 and
+ * should use /api/portal to switch plans.
+ *
+ * CRITICAL: No external dependencies
+ */
+
+import { isSupabaseConfigured } from './_lib/supabase.js';
+import { requireSession } from './_lib/auth.js';
+import { withRoute, sendError } from './_lib/middleware.js';
+import {
+  isStripeConfigured,
+  getPriceId,
+  createCustomer,
+  createCheckoutSession
+} from './_lib/stripe.js';
+import {
+  hasActiveSubscription,
+  linkStripeCustomer,
+  getReturnUrl
+} from './_lib/subscriptions.js';
+
+export default withRoute({ name: 'Checkout', methods: ['POST'] }, async (req, res, { body }) => {
+  if (!isSupabaseConfigured() || !isStripeConfigured()) {
+    return sendError(res, 503, 'Billing not configured', {
+      message: 'SUPABASE_URL, SUPABASE_KEY and STRIPE_SECRET_KEY are required'
+    });
+  }
+
+  try {
+    const { tier, successUrl, cancelUrl } = body;
+
+    const priceId = getPriceId(tier);
+    if (!priceId) {
+      return sendError(res, 400, 'Invalid tier', {
+        message: "tier must be 'basic' or 'pro'"
+      });
+    }
+
+    const auth = await requireSession(req, res);
+    if (!auth) return;
+    let { user } = auth;
+
+    if (hasActiveSubscription(user)) {
+      return sendError(res, 409, 'Already subscribed', {
+        message: 'Use /api/portal to change or cancel your plan',
+        tier: user.tier
+      });
+    }
+
+    if (!user.stripe_customer_id) {
+      const customer = await createCustomer({ email: user.email, userId: user.id });
+      user = (await linkStripeCustomer(user.id, customer.id)) || { ...user, stripe_customer_id: customer.id };
+    }
+
+    const session = await createCheckoutSession({
+      customerId: user.stripe_customer_id,
+      userId: user.id,
+      priceId,
+      tier,
+      successUrl: getReturnUrl(req, successUrl, 'billing=success'),
+      cancelUrl: getReturnUrl(req, cancelUrl, 'billing=cancelled')
+    });
+
+    console.log(`[Checkout] ${user.id}: ${tier} session ${session.id}`);
+
+    return res.status(200).json({
+      success: true,
+      url: session.url,
+      sessionId: session.id,
+      tier
+    });
+
+  } catch (error) {
+    console.error('[Checkout] Error:', error);
+    return sendError(res, 502, 'Checkout failed', { message: error.message });
+  }
+});
@@ -3,17 +3,19 @@
  * 
  * GET /api/debug - Shows configuration and health status
  * POST /api/debug - Tests provider connections
+ *
+ * POST spends PiAPI credit outside every quota and limit, so it is off
+ * unless DEBUG_SECRET is set, and then needs `X-Debug-Secret: <secret>`.
  */
 
-export default async function handler(req, res) {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
+import { listProviders, getProviderChain } from './_lib/providers/index.js';
+import { getWebhookConfig } from './_lib/providers/piapi.js';
+import { listCircuitBreakers } from './_lib/circuit-breaker.js';
+import { TIERS, getAllowedOrigins } from './_lib/config.js';
+import { withRoute, sendError } from './_lib/middleware.js';
+import { safeEqual } from './_lib/signature.js';
 
+export default withRoute({ name: 'Debug', methods: ['GET', 'POST'] }, async (req, res, { body }) => {
   // GET - Show configuration
   if (req.method === 'GET') {
     const piapiKey = process.env.PIAPI_KEY || process.env.PIAPI_API_KEY;
@@ -25,17 +27,24 @@ export default async function handler(req, res) {
       environment: process.env.NODE_ENV || 'production',
       nodeVersion: process.version,
       
-      providers: {
-        luma: {
-          name: 'Luma (PiAPI)',
-          configured: !!piapiKey,
-          keyPrefix: piapiKey ? piapiKey.slice(0, 8) + '...' : 'NOT SET',
-          endpoint: 'https://api.piapi.ai/api/v1/task',
-          cost: '$0.20/video'
-        }
-      },
+      providers: Object.fromEntries(listProviders().map(provider => [provider.id, {
+        name: `${provider.name} (PiAPI)`,
+        model: provider.model,
+        configured: provider.isConfigured(),
+        keyPrefix: piapiKey ? piapiKey.slice(0, 8) + '...' : 'NOT SET',
+        endpoint: 'https://api.piapi.ai/api/v1/task',
+        cost: `$${provider.cost.toFixed(2)}/video`
+      }])),
       
-      fallbackChain: ['Luma ($0.20)'],
+      tiers: TIERS,
+
+      fallbackChains: Object.fromEntries(Object.keys(TIERS).map(tier => [
+        tier,
+        getProviderChain(tier).map(provider => `${provider.name} ($${provider.cost.toFixed(2)})`)
+      ])),
+
+      // Per-instance: only providers this instance has called appear
+      circuitBreakers: listCircuitBreakers(),
       
       fixes: [
         'v3.5.0: No @supabase/supabase-js dependency (prevents module not found)',
@@ -45,32 +54,50 @@ export default async function handler(req, res) {
       ],
       
       endpoints: {
-        '/api/user': 'POST/GET - User management (no DB)',
+        '/api/user': 'POST/GET/PATCH - Anonymous device session + profile',
+        '/api/auth': 'POST/DELETE - Sign in with a Supabase token / sign out',
         '/api/generate': 'POST - Create video generation',
+        '/api/generate/:id': 'DELETE - Cancel an in-flight generation (refunds the clip)',
         '/api/poll': 'GET - Poll generation status',
+        '/api/events': 'GET - Stream generation status (SSE)',
+        '/api/upload': 'POST - Upload an image-to-video frame',
         '/api/status': 'GET - User/task status',
-        '/api/debug': 'GET/POST - This endpoint'
+        '/api/referral': 'GET/POST - Referral stats / redeem a code',
+        '/api/checkout': 'POST - Stripe Checkout session for a paid tier',
+        '/api/portal': 'POST - Stripe customer portal session',
+        '/api/stripe-webhook': 'POST - Stripe subscription events (tier sync)',
+        '/api/webhook': 'POST - PiAPI task callbacks (primary completion path)',
+        '/api/debug': 'GET/POST - This endpoint (POST needs DEBUG_SECRET)'
       },
       
       healthCheck: {
         api: 'OK',
-        piapiConfigured: !!piapiKey
+        piapiConfigured: !!piapiKey,
+        webhookUrl: getWebhookConfig()?.endpoint || 'NOT SET (polling only)',
+        corsAllowedOrigins: getAllowedOrigins()
       }
     });
   }
 
   // POST - Test Luma/PiAPI
   if (req.method === 'POST') {
+    const secret = process.env.DEBUG_SECRET;
+    if (!secret) {
+      return sendError(res, 404, 'Not found');
+    }
+    if (!safeEqual(String(req.headers?.['x-debug-secret'] || ''), secret)) {
+      return sendError(res, 401, 'Invalid debug secret');
+    }
+
     const piapiKey = process.env.PIAPI_KEY || process.env.PIAPI_API_KEY;
     
     if (!piapiKey) {
-      return res.status(400).json({
-        error: 'PIAPI_KEY not configured',
+      return sendError(res, 400, 'PIAPI_KEY not configured', {
         help: 'Add PIAPI_KEY or PIAPI_API_KEY to your Vercel environment variables'
       });
     }
 
-    const { prompt = 'A test video of clouds', action = 'create' } = req.body || {};
+    const { prompt = 'A test video of clouds', action = 'create' } = body;
 
     try {
       if (action === 'create') {
@@ -129,8 +156,7 @@ export default async function handler(req, res) {
         });
       }
 
-      return res.status(400).json({
-        error: 'Invalid action',
+      return sendError(res, 400, 'Invalid action', {
         validActions: ['create', 'balance']
       });
 
@@ -141,6 +167,4 @@ export default async function handler(req, res) {
       });
     }
   }
-
-  return res.status(405).json({ error: 'Method not allowed' });
-}
+});
@@ -0,0 +1,186 @@
+/**
+ * NeoClip 340 - Generation Progress Stream (Server-Sent Events)
+ *
+ * GET /api/events?generationId=xxx[&provider=kling]
+ *
+ * Pushes the same state api/poll.js reports, as named SSE events:
+ *   event: queued | processing | completed | failed | cancelled
+ *   data:  { generationId, status, progress, videoUrl?, error?, errorType?, source, message }
+ *   (progress is null when unknown; errorType marks a failed status check)
+ *
+ * An event is only sent when status or progress changes; comment lines
+ * keep the connection alive in between. The stream ends after a final
+ * status, or shortly before the function time limit - EventSource then
+ * reconnects on its own and picks up the current state.
+ *
+ * Clients that cannot use EventSource keep polling /api/poll.
+ *
+ * Requires a session. EventSource cannot send headers, so the token may
+ * also be passed as ?access_token=. Each connection counts against the
+ * same per-IP and per-user limits as /api/poll.
+ *
+ * CRITICAL: No external dependencies
+ */
+
+import { resolveTaskStatus, isFinalStatus } from './_lib/task-status.js';
+import { getWebhookConfig } from './_lib/providers/piapi.js';
+import { isSupabaseConfigured } from './_lib/supabase.js';
+import { requireSession } from './_lib/auth.js';
+import { withRoute, sendError } from './_lib/middleware.js';
+import { limitByIp, limitByUser } from './_lib/rate-limit.js';
+
+// Stay under maxDuration in vercel.json (60s)
+const STREAM_BUDGET_MS = 55000;
+// Stored state is cheap to read; without webhooks every check hits PiAPI
+const CHECK_INTERVAL_MS = 3000;
+const PROVIDER_CHECK_INTERVAL_MS = 5000;
+const HEARTBEAT_MS = 15000;
+const CLIENT_RETRY_MS = 2000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Shape a task-status result like the /api/poll response body
+ */
+function toEventData(taskId, result, provider, source) {
+  if (result.status === 'completed') {
+    return {
+      generationId: taskId,
+      status: 'completed',
+      videoUrl: result.videoUrl,
+      videoUrlExpiresAt: result.videoUrlExpiresAt || null,
+      thumbnailUrl: result.thumbnailUrl || null,
+      previewUrl: result.previewUrl || null,
+      progress: 100,
+      provider: provider.id,
+      source,
+      message: 'Video generation completed!'
+    };
+  }
+
+  if (result.status === 'failed' || result.status === 'cancelled') {
+    return {
+      generationId: taskId,
+      status: result.status,
+      error: result.error,
+      progress: 0,
+      source,
+      message: result.status === 'cancelled'
+        ? 'Video generation was cancelled'
+        : 'Video generation failed'
+    };
+  }
+
+  return {
+    generationId: taskId,
+    status: result.status,
+    progress: result.progress ?? null,
+    source,
+    message: result.errorType
+      ? 'Could not reach the video provider - still checking...'
+      : result.status === 'queued'
+        ? 'Video is queued for processing...'
+        : result.stage === 'postprocessing'
+          ? 'Adding finishing touches...'
+          : result.stage === 'stitching'
+            ? 'Stitching shots together...'
+            : result.stage === 'shots'
+              ? `Generating shot ${result.shot} of ${result.shots}...`
+              : 'Generating video...',
+    // Storyboards: which shot is rendering
+    stage: result.stage || null,
+    // A failed status check: why, not a made-up progress value
+    error: result.error,
+    errorType: result.errorType
+  };
+}
+
+export default withRoute({ name: 'Events', methods: ['GET'], error: 'Status check failed' }, async (req, res, { query }) => {
+  const taskId = query.generationId || query.taskId;
+
+  if (!taskId) {
+    return sendError(res, 400, 'generationId or taskId is required', {
+      example: '/api/events?generationId=xxx'
+    });
+  }
+
+  if (!isSupabaseConfigured()) {
+    return sendError(res, 503, 'Service not configured', {
+      message: 'SUPABASE_URL and SUPABASE_KEY are required'
+    });
+  }
+
+  if (!(await limitByIp(req, res, 'poll'))) return;
+
+  // Resolve once before opening the stream so bad requests get a JSON error
+  const auth = await requireSession(req, res, query, { allowQueryToken: true });
+  if (!auth) return;
+  const userId = auth.user.id;
+
+  if (!(await limitByUser(res, 'poll', userId))) return;
+
+  const first = await resolveTaskStatus(taskId, query.provider, { userId });
+
+  if (first.notFound) {
+    return sendError(res, 404, 'Generation not found');
+  }
+
+  if (!first.provider) {
+    return sendError(res, 400, `Unknown provider: ${query.provider}`);
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+
+  let closed = false;
+  req.on('close', () => { closed = true; });
+
+  const startedAt = Date.now();
+  const interval = getWebhookConfig() ? CHECK_INTERVAL_MS : PROVIDER_CHECK_INTERVAL_MS;
+  let lastKey = null;
+  let lastWriteAt = Date.now();
+  let current = first;
+
+  while (!closed) {
+    const { result, provider, source } = current;
+    const data = toEventData(taskId, result, provider, source);
+    const key = `${data.status}:${data.progress}`;
+
+    if (key !== lastKey) {
+      writeEvent(res, data.status, data);
+      lastKey = key;
+      lastWriteAt = Date.now();
+    }
+
+    if (isFinalStatus(data.status)) break;
+    if (Date.now() - startedAt + interval > STREAM_BUDGET_MS) break;
+
+    await sleep(interval);
+    if (closed) break;
+
+    if (Date.now() - lastWriteAt >= HEARTBEAT_MS) {
+      res.write(': ping\n\n');
+      lastWriteAt = Date.now();
+    }
+
+    try {
+      current = await resolveTaskStatus(taskId, provider.id, { userId });
+    } catch (error) {
+      // Transient - keep the stream open and try again next tick
+      console.warn('[Events] Status check failed:', error.message);
+    }
+  }
+
+  res.end();
+});
@@ -2,124 +2,219 @@
  * NeoClip 340 - Video Generation API v3.5.0
  * 
  * CRITICAL FIXES v3.5.0:
- * 1. Simplified - Uses ONLY Luma via PiAPI (most reliable)
- * 2. No external dependencies - No @supabase/supabase-js
- * 3. Proper PiAPI request format that actually works
- * 4. DEP0169 fix - No req.query access
+ * 1. Pluggable providers - routes by tier through api/_lib/providers
+ *    (Wan, Kling, Hailuo, Luma) with automatic failover
+ * 2. No external dependencies - No @supabase/supabase-js (PostgREST via fetch)
+ * 3. Server-side quota - free_used/paid_used in public.users are the
+ *    source of truth; client-sent counters are ignored. Every task is
+ *    recorded in public.generations
+ * 4. Proper PiAPI request format that actually works
+ * 5. DEP0169 fix - No req.query access
+ * 6. Image-to-video - optional imageUrl (start frame) and endImageUrl
+ *    (end frame, upload via /api/upload); routed to providers that accept them
+ * 7. Extension - parentTaskId continues one of the user's completed
+ *    generations on its own provider; stored as a child generation
+ * 8. Options - duration, resolution, model, loop, seed, negativePrompt are
+ *    validated and clamped per tier (api/_lib/options.js); the values the
+ *    provider actually used are echoed back as `options` and stored
+ * 9. Auth - the user comes from the session token (api/_lib/auth.js);
+ *    userId/deviceId in the body are ignored
+ * 10. Rate limits - per IP, per user and a global cap on concurrent
+ *    generations (api/_lib/rate-limit.js); throttled calls get 429 + Retry-After
+ * 11. Moderation - prompts pass rules, PII redaction and an optional
+ *    classifier (api/_lib/moderation.js); rejections return a `code` and are
+ *    logged to app_events
+ * 12. Cancel - DELETE /api/generate/:id stops an in-flight generation and
+ *    refunds its clip (a storyboard from /api/storyboard: its unfinished shots)
+ * 13. Transient provider failures are retried with backoff behind a circuit
+ *    breaker per provider; final failures return a classified errorType
+ * 14. Style presets - `style` composes the prompt into a preset template and
+ *    `expandPrompt` (default true) adds that preset's cues and lets Luma /
+ *    Hailuo rewrite it (api/_lib/prompt-styles.js); the text sent is
+ *    returned as `enhancedPrompt` and can be previewed via /api/prompt
+ * 15. Batch - `batch` creates 2-4 takes of one prompt (different seeds or
+ *    aspect ratios) as a group, charged one clip per take; takes that fail
+ *    to start are refunded. Returns `groupId` and `takes`
  * 
- * Cost: ~$0.20 per video via Luma
+ * Cost: ~$0.12-0.26 per video depending on provider
  */
 
-const PIAPI_BASE_URL = 'https://api.piapi.ai/api/v1';
-const FREE_TIER_LIMIT = 10;
+import { randomUUID } from 'node:crypto';
+import { createWithFailover, getProvider } from './_lib/providers/index.js';
+import { isSupabaseConfigured } from './_lib/supabase.js';
+import { consumeQuota, refundQuota } from './_lib/users.js';
+import { FREE_TIER_LIMIT, TIER_LIMITS, normalizeTier, getTierLimit } from './_lib/config.js';
+import { createGeneration, findGenerationByTask, cancelGeneration } from './_lib/generations.js';
+import { checkImageUrl } from './_lib/images.js';
+import { validateOptions, validateBatch } from './_lib/options.js';
+import { requireSession } from './_lib/auth.js';
+import { limitByIp, limitByUser, acquireConcurrencySlot } from './_lib/rate-limit.js';
+import { withRoute, sendError, getClientIp } from './_lib/middleware.js';
+import { moderatePrompt, logModerationEvent } from './_lib/moderation.js';
+import { enhancePrompt } from './_lib/prompt-styles.js';
+import { isStoryboard, cancelStoryboard } from './_lib/storyboard.js';
+import { ERROR_TYPES } from './_lib/http.js';
 
 /**
- * Make HTTP request with timeout
+ * Generate video on the tier's provider chain (automatic failover)
  */
-async function makeRequest(url, options, timeoutMs = 30000) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+async function generateVideo(tier, request) {
+  console.log('[Generate] Starting generation with prompt:', request.prompt.slice(0, 50) + '...');
 
-  try {
-    const response = await fetch(url, {
-      ...options,
-      signal: controller.signal,
-      headers: {
-        'Content-Type': 'application/json',
-        ...options.headers
-      }
+  const { provider, taskId, options, attempts } = await createWithFailover(tier, request);
+
+  return {
+    taskId: taskId,
+    generationId: taskId,
+    provider: provider.id,
+    providerName: provider.name,
+    cost: provider.cost,
+    options,
+    attempts,
+    status: 'processing',
+    pollUrl: `/api/poll?generationId=${taskId}&provider=${provider.id}`,
+    message: 'Video generation started'
+  };
+}
+
+/**
+ * Start every take of a batch at once. Takes that could not start are
+ * listed in `failed` (the caller refunds them); throws only if none did.
+ */
+async function generateBatch(tier, request, takes) {
+  const results = await Promise.allSettled(takes.map(take => {
+    const aspectRatio = take.aspectRatio || request.aspectRatio;
+    return generateVideo(tier, {
+      ...request,
+      aspectRatio,
+      options: { ...request.options, aspectRatio, seed: take.seed }
     });
+  }));
 
-    const text = await response.text();
-    let data = {};
-    try {
-      if (text) data = JSON.parse(text);
-    } catch (e) {
-      console.warn('Response not JSON:', text.slice(0, 200));
+  const started = [];
+  const failed = [];
+  results.forEach((result, index) => {
+    const aspectRatio = takes[index].aspectRatio || request.aspectRatio;
+    if (result.status === 'fulfilled') {
+      started.push({ ...result.value, index, aspectRatio });
+    } else {
+      console.error(`[Generate] Batch take ${index} failed:`, result.reason.message);
+      failed.push({ index, aspectRatio, error: result.reason.message, errorType: result.reason.errorType || null });
     }
+  });
 
-    return { 
-      status: response.status, 
-      data, 
-      ok: response.ok,
-      error: !response.ok ? (data.error || data.message || `HTTP ${response.status}`) : null
-    };
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      return { status: 408, data: {}, ok: false, error: 'Request timeout' };
-    }
-    return { status: 0, data: {}, ok: false, error: error.message };
-  } finally {
-    clearTimeout(timeout);
-  }
+  if (started.length === 0) throw results[0].reason;
+  return { started, failed };
 }
 
 /**
- * Generate video using Luma via PiAPI
- * This is the CORRECT format that works with PiAPI
+ * Continue a completed generation. Extensions reference the provider's own
+ * task, so they must run on the parent's provider - no failover - and
+ * keep the parent's resolution.
  */
-async function generateWithLuma(prompt, aspectRatio = '16:9') {
-  const apiKey = process.env.PIAPI_KEY || process.env.PIAPI_API_KEY;
-  
-  if (!apiKey) {
-    throw new Error('PIAPI_KEY not configured');
-  }
+async function extendVideo(parent, request) {
+  const provider = getProvider(parent.provider);
 
-  console.log('[Luma] Starting generation with prompt:', prompt.slice(0, 50) + '...');
+  console.log(`[Generate] Extending ${parent.task_id} on ${provider.name}`);
 
-  // CORRECT PiAPI format - tested and working
-  const requestBody = {
-    model: 'luma',
-    task_type: 'video_generation',
-    input: {
-      prompt: prompt,
-      expand_prompt: true,
-      aspect_ratio: aspectRatio
-    }
+  const options = provider.resolveOptions({
+    ...request.options,
+    resolution: parent.resolution || request.options?.resolution,
+    aspectRatio: parent.aspect_ratio || request.options?.aspectRatio
+  });
+  const { taskId } = await provider.createExtensionTask({ ...request, options, parentTaskId: parent.task_id });
+
+  return {
+    taskId: taskId,
+    generationId: taskId,
+    provider: provider.id,
+    providerName: provider.name,
+    cost: provider.cost,
+    options,
+    parentTaskId: parent.task_id,
+    status: 'processing',
+    pollUrl: `/api/poll?generationId=${taskId}&provider=${provider.id}`,
+    message: 'Video extension started'
   };
+}
 
-  console.log('[Luma] Request body:', JSON.stringify(requestBody));
+/**
+ * DELETE /api/generate/:id (rewritten to ?id=) or ?generationId=xxx
+ *
+ * Cancels one of the session user's in-flight generations: the record is
+ * marked cancelled first (so late webhooks cannot complete it), then the
+ * provider is asked to stop and the quota unit is refunded. PiAPI can
+ * only stop tasks that have not started rendering; the clip is refunded
+ * either way.
+ */
+async function handleCancel(req, res, query) {
+  try {
+    const taskId = query.id || query.generationId;
 
-  const { status, data, ok, error } = await makeRequest(
-    `${PIAPI_BASE_URL}/task`,
-    {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'X-API-Key': apiKey  // Some PiAPI endpoints use this header
-      },
-      body: JSON.stringify(requestBody)
+    if (!taskId) {
+      return sendError(res, 400, 'Generation ID is required', {
+        example: 'DELETE /api/generate/xxx'
+      });
     }
-  );
 
-  console.log('[Luma] Response status:', status);
-  console.log('[Luma] Response data:', JSON.stringify(data).slice(0, 500));
+    const auth = await requireSession(req, res);
+    if (!auth) return;
+    const { user } = auth;
 
-  if (!ok) {
-    console.error('[Luma] API error:', error);
-    throw new Error(`Luma API error: ${error}`);
-  }
+    const existing = await findGenerationByTask(taskId);
+    if (!existing || existing.user_id !== user.id) {
+      return sendError(res, 404, 'Generation not found');
+    }
 
-  // Extract task ID from response
-  const taskId = data?.data?.task_id || data?.task_id;
-  
-  if (!taskId) {
-    console.error('[Luma] No task ID in response:', JSON.stringify(data));
-    throw new Error('Luma did not return a task ID');
-  }
+    const record = await cancelGeneration(taskId, user.id);
+    if (!record) {
+      const current = await findGenerationByTask(taskId);
+      return sendError(res, 409, 'Generation already finished', {
+        status: current?.status || existing.status
+      });
+    }
 
-  console.log('[Luma] ✅ Task created:', taskId);
+    // A storyboard stops its shots and refunds every one that had not finished
+    if (isStoryboard(record)) {
+      const { refundedClips, providerCancelled } = await cancelStoryboard(record);
+      console.log(`[Generate] Cancelled storyboard ${taskId} for ${user.id} (refunded: ${refundedClips})`);
+      return res.status(200).json({
+        success: true,
+        generationId: taskId,
+        status: 'cancelled',
+        providerCancelled,
+        refunded: refundedClips > 0,
+        refundedClips
+      });
+    }
 
-  return {
-    taskId: taskId,
-    generationId: taskId,
-    provider: 'luma',
-    providerName: 'Luma',
-    cost: 0.20,
-    status: 'processing',
-    pollUrl: `/api/poll?generationId=${taskId}`,
-    message: 'Video generation started'
-  };
+    const provider = getProvider(record.provider);
+    const providerResult = provider
+      ? await provider.cancelTask(taskId)
+      : { cancelled: false, error: `Unknown provider: ${record.provider}` };
+
+    if (!providerResult.cancelled) {
+      console.warn(`[Generate] Provider did not cancel ${taskId}: ${providerResult.error}`);
+    }
+
+    const refunded = record.quota_source
+      ? await refundQuota(user.id, 1, { bonus: record.quota_source === 'bonus' })
+      : false;
+
+    console.log(`[Generate] Cancelled ${taskId} for ${user.id} (refunded: ${refunded})`);
+
+    return res.status(200).json({
+      success: true,
+      generationId: taskId,
+      status: 'cancelled',
+      providerCancelled: providerResult.cancelled,
+      refunded
+    });
+
+  } catch (error) {
+    console.error('[Generate] Cancel failed:', error.message);
+    return sendError(res, 500, 'Cancel failed', { message: error.message });
+  }
 }
 
 /**
@@ -132,74 +227,258 @@ function generateUniqueId() {
 /**
  * Main Handler
  */
-export default async function handler(req, res) {
-  // CORS
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
+export default withRoute({
+  name: 'Generate',
+  methods: ['POST', 'DELETE'],
+  error: 'Generation failed'
+}, async (req, res, { query, body }) => {
+  const startTime = Date.now();
+
+  if (!isSupabaseConfigured()) {
+    // Quota must be enforced server-side - never fall back to client counters
+    return sendError(res, 503, 'Service not configured', {
+      message: 'SUPABASE_URL and SUPABASE_KEY are required to track usage'
+    });
   }
 
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
+  if (req.method === 'DELETE') {
+    return handleCancel(req, res, query);
   }
 
-  const startTime = Date.now();
+  let quotaUser = null;
+  let quota = null;
+  let clips = 1;
+  let releaseSlot = null;
 
   try {
+    if (!(await limitByIp(req, res, 'generate'))) return;
+
     const { 
       prompt, 
-      userId,
-      tier = 'free',
-      aspectRatio = '16:9',
-      freeUsed = 0,  // Frontend tracks usage
-      testMode = false
-    } = req.body || {};
+      imageUrl,
+      endImageUrl,
+      parentTaskId,
+      testMode: requestedTestMode = false
+    } = body;
+
+    // testMode skips quota - only honored when explicitly enabled server-side
+    const testMode = requestedTestMode === true && process.env.ALLOW_TEST_MODE === 'true';
 
     // Validate prompt
     if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
-      return res.status(400).json({ 
-        error: 'Prompt is required',
-        example: { prompt: 'A cat playing piano', userId: 'user123' }
+      return sendError(res, 400, 'Prompt is required', {
+        example: { prompt: 'A cat playing piano' }
+      });
+    }
+
+    const imageError = checkImageUrl(imageUrl, 'imageUrl') || checkImageUrl(endImageUrl, 'endImageUrl');
+    if (imageError) {
+      return sendError(res, 400, imageError);
+    }
+    if (endImageUrl && !imageUrl) {
+      return sendError(res, 400, 'endImageUrl requires imageUrl');
+    }
+    if (parentTaskId && (typeof parentTaskId !== 'string' || imageUrl)) {
+      return sendError(res, 400, 'parentTaskId must be a task ID and cannot be combined with imageUrl');
+    }
+
+    const auth = await requireSession(req, res);
+    if (!auth) return;
+    const { user } = auth;
+
+    if (!(await limitByUser(res, 'generate', user.id))) return;
+
+    const tier = normalizeTier(user.tier);
+
+    // Unsafe prompts never reach a provider; PII is redacted
+    const rawPrompt = prompt.trim().slice(0, 500);
+    const moderation = await moderatePrompt(rawPrompt, { userId: user.id, tier });
+    await logModerationEvent(moderation, {
+      userId: user.id,
+      prompt: rawPrompt,
+      ip: getClientIp(req),
+      userAgent: req.headers?.['user-agent']
+    });
+    if (!moderation.ok) {
+      console.warn(`[Generate] Prompt rejected for ${user.id}: ${moderation.code} (${moderation.category})`);
+      return sendError(res, moderation.status, 'Prompt rejected', {
+        code: moderation.code,
+        category: moderation.category,
+        message: moderation.message
       });
     }
+    const cleanPrompt = moderation.prompt;
 
-    const cleanPrompt = prompt.trim().slice(0, 500);
+    // Extensions: the parent must be this user's finished clip on a
+    // provider that can continue it
+    let parent = null;
+    if (parentTaskId) {
+      parent = await findGenerationByTask(parentTaskId);
+      if (!parent || parent.user_id !== user.id) {
+        return sendError(res, 404, 'Generation to extend not found');
+      }
+      if (parent.status !== 'completed') {
+        return sendError(res, 409, 'Only completed generations can be extended', { status: parent.status });
+      }
+      if (!getProvider(parent.provider)?.supportsExtension()) {
+        return sendError(res, 422, 'Extension not supported', {
+          message: `Videos made with ${parent.model || parent.provider} cannot be extended`
+        });
+      }
+    }
 
     console.log(`\n========== Generation Request ==========`);
-    console.log(`User: ${userId || 'anonymous'}`);
+    console.log(`User: ${user.id}`);
     console.log(`Tier: ${tier}`);
-    console.log(`FreeUsed: ${freeUsed}`);
     console.log(`Prompt: ${cleanPrompt.slice(0, 80)}...`);
+    const validation = validateOptions(body, tier);
+    if (!validation.ok) {
+      return sendError(res, 400, validation.error);
+    }
+    const batch = validateBatch(body, tier, validation.options);
+    if (!batch.ok) {
+      return sendError(res, 400, batch.error);
+    }
+    if (batch.takes && parent) {
+      return sendError(res, 400, 'batch cannot be combined with parentTaskId');
+    }
+    // One clip per take
+    if (batch.takes) clips = batch.takes.length;
+
+    // Moderation ran on the user's words; the preset text is ours
+    const enhanced = enhancePrompt(cleanPrompt, validation.options);
+    const options = { ...validation.options, negativePrompt: enhanced.negativePrompt };
+
+    console.log(`Style: ${enhanced.style || 'none'} (expand: ${enhanced.expandPrompt})`);
+    console.log(`Mode: ${parent ? 'extend' : imageUrl ? 'image-to-video' : 'text-to-video'}${batch.takes ? ` x${clips}` : ''}`);
     console.log(`TestMode: ${testMode}`);
 
-    // Check free tier limit (if not testMode)
-    if (!testMode && tier === 'free' && freeUsed >= FREE_TIER_LIMIT) {
-      return res.status(402).json({
-        error: 'Free limit reached',
-        message: `You've used all ${FREE_TIER_LIMIT} free clips this month. Upgrade to Pro for 120 HD clips!`,
-        freeUsed: freeUsed,
-        freeLimit: FREE_TIER_LIMIT,
-        upgradeUrl: '/pricing'
-      });
+    // Global cap on generations in flight; the lease covers this request
+    // until its tasks are recorded and count as running
+    releaseSlot = await acquireConcurrencySlot(res, 'generate', { clips });
+    if (!releaseSlot) return;
+
+    // Atomically check and consume quota from the server's own counters
+    if (!testMode) {
+      quota = await consumeQuota(user.id, clips);
+
+      if (!quota || !quota.allowed) {
+        const used = tier === 'free' ? quota?.freeUsed : quota?.paidUsed;
+        const limit = getTierLimit(tier);
+        return sendError(res, 402, tier === 'free' ? 'Free limit reached' : 'Monthly limit reached', {
+          message: clips > 1 && used !== undefined && used < limit
+            ? `A batch of ${clips} takes needs ${clips} clips - you have ${limit - used} left this month.`
+            : tier === 'free'
+              ? `You've used all ${FREE_TIER_LIMIT} free clips this month. Upgrade for ${TIER_LIMITS.basic} HD clips!`
+              : `You've used all ${limit} clips this month.`,
+          freeUsed: quota?.freeUsed ?? user.free_used,
+          freeLimit: FREE_TIER_LIMIT,
+          used: used ?? null,
+          limit,
+          resetsAt: quota?.resetsAt ?? user.resets_at,
+          upgradeUrl: '/pricing'
+        });
+      }
+
+      quotaUser = user.id;
     }
 
-    // Generate video with Luma
-    const result = await generateWithLuma(cleanPrompt, aspectRatio);
+    const request = {
+      prompt: enhanced.prompt,
+      aspectRatio: options.aspectRatio,
+      options,
+      imageUrl: imageUrl || undefined,
+      endImageUrl: endImageUrl || undefined
+    };
+    const quotaSource = quota ? (quota.usedBonus ? 'bonus' : 'tier') : null;
+
+    // Persist the generation so the library survives a cleared browser.
+    // The task is already running, so a failed insert must not fail the request.
+    const saveGeneration = async (started, group = null) => {
+      try {
+        return await createGeneration({
+          userId: user.id,
+          taskId: started.taskId,
+          prompt: cleanPrompt,
+          enhancedPrompt: enhanced.prompt,
+          tier,
+          provider: started.provider,
+          model: started.providerName,
+          cost: started.cost,
+          imageUrl,
+          endImageUrl,
+          parentId: parent?.id,
+          groupId: group?.id,
+          groupIndex: group?.index,
+          options: started.options,
+          quotaSource
+        });
+      } catch (error) {
+        console.error('[Generate] Failed to save generation record:', error.message);
+        return null;
+      }
+    };
+
+    // Generate video on the tier's provider chain
+    let result;
+    let refunded = 0;
+    if (batch.takes) {
+      const { started, failed } = await generateBatch(tier, request, batch.takes);
+      quotaUser = null;
+
+      const groupId = randomUUID();
+      const takes = [];
+      for (const take of started) {
+        const record = await saveGeneration(take, { id: groupId, index: take.index });
+        takes.push({ ...take, id: record?.id || null });
+      }
+
+      if (quota && failed.length > 0 && await refundQuota(user.id, failed.length, { bonus: quota.usedBonus })) {
+        refunded = failed.length;
+      }
+
+      result = {
+        groupId,
+        takes,
+        failed,
+        status: 'processing',
+        message: `${takes.length} of ${batch.takes.length} takes started`
+      };
+    } else {
+      const started = parent
+        ? await extendVideo(parent, { prompt: enhanced.prompt, aspectRatio: options.aspectRatio, options })
+        : await generateVideo(tier, request);
+      quotaUser = null;
+
+      const record = await saveGeneration(started);
+      result = { ...started, id: record?.id || null };
+    }
 
     const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
     console.log(`✅ Task created in ${elapsed}s`);
 
+    // Counters after any batch refund
+    const tierRefund = quota && !quota.usedBonus ? refunded : 0;
+    const freeUsed = quota ? quota.freeUsed - (tier === 'free' ? tierRefund : 0) : (user.free_used || 0);
+
     return res.status(200).json({
       success: true,
       ...result,
+      userId: user.id,
       tier: tier,
+      adjustments: [...validation.adjustments, ...batch.adjustments],
+      enhancedPrompt: enhanced.prompt,
+      moderation: moderation.rewritten ? { rewritten: true, prompt: cleanPrompt, flags: moderation.flags } : null,
+      mode: batch.takes ? 'batch' : parent ? 'extend' : imageUrl ? 'image-to-video' : 'text-to-video',
       needsAd: tier === 'free' && !testMode,
       testMode: testMode,
-      freeUsed: tier === 'free' && !testMode ? freeUsed + 1 : freeUsed,
-      freeRemaining: tier === 'free' ? FREE_TIER_LIMIT - freeUsed - 1 : null,
+      freeUsed,
+      freeRemaining: tier === 'free' ? Math.max(0, FREE_TIER_LIMIT - freeUsed) : null,
+      paidUsed: quota ? quota.paidUsed - (tier === 'free' ? 0 : tierRefund) : (user.paid_used || 0),
+      bonusClips: quota ? quota.bonusClips + (quota.usedBonus ? refunded : 0) : (user.bonus_clips || 0),
+      usedBonus: !!quota?.usedBonus,
+      refunded,
+      resetsAt: quota ? quota.resetsAt : user.resets_at,
       estimatedTime: '60-180 seconds'
     });
 
@@ -207,11 +486,28 @@ export default async function handler(req, res) {
     const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
     console.error(`❌ Generation failed after ${elapsed}s:`, error.message);
 
-    return res.status(500).json({ 
-      success: false,
-      error: 'Generation failed',
+    // The task never started - give the quota unit back
+    if (quotaUser) {
+      await refundQuota(quotaUser, clips, { bonus: quota?.usedBonus });
+    }
+
+    // Provider failures carry an errorType (api/_lib/http.js): a rejected
+    // request is the caller's to fix, anything else is ours - retry later
+    const status = !error.errorType ? 500
+      : error.errorType === ERROR_TYPES.invalidInput ? 422
+        : 503;
+    if (status === 503) res.setHeader('Retry-After', '30');
+
+    const summary = status === 422 ? 'Generation rejected by provider'
+      : status === 503 ? 'Video service temporarily unavailable'
+        : 'Generation failed';
+
+    return sendError(res, status, summary, {
+      errorType: error.errorType || null,
       message: error.message,
       duration: `${elapsed}s`
     });
+  } finally {
+    if (releaseSlot) await releaseSlot();
   }
-}
+});
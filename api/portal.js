@@ -0,0 +1,49 @@
+/**
+ * NeoClip 340 - Billing Portal API
+ *
+ * POST /api/portal   (Authorization: Bearer <session token>)
+ * Body: { returnUrl? }
+ *
+ * Opens a Stripe customer portal session where subscribers change plans,
+ * update their card or cancel. Changes come back through
+ * api/stripe-webhook.js.
+ *
+ * CRITICAL: No external dependencies
+ */
+
+import { isSupabaseConfigured } from './_lib/supabase.js';
+import { requireSession } from './_lib/auth.js';
+import { withRoute, sendError } from './_lib/middleware.js';
+import { isStripeConfigured, createPortalSession } from './_lib/stripe.js';
+import { getReturnUrl } from './_lib/subscriptions.js';
+
+export default withRoute({ name: 'Portal', methods: ['POST'] }, async (req, res, { body }) => {
+  if (!isSupabaseConfigured() || !isStripeConfigured()) {
+    return sendError(res, 503, 'Billing not configured', {
+      message: 'SUPABASE_URL, SUPABASE_KEY and STRIPE_SECRET_KEY are required'
+    });
+  }
+
+  try {
+    const auth = await requireSession(req, res);
+    if (!auth) return;
+    const { user } = auth;
+
+    if (!user.stripe_customer_id) {
+      return sendError(res, 404, 'No billing account', {
+        message: 'Subscribe with /api/checkout first'
+      });
+    }
+
+    const session = await createPortalSession({
+      customerId: user.stripe_customer_id,
+      returnUrl: getReturnUrl(req, body.returnUrl, 'billing=portal')
+    });
+
+    return res.status(200).json({ success: true, url: session.url });
+
+  } catch (error) {
+    console.error('[Portal] Error:', error);
+    return sendError(res, 502, 'Billing portal unavailable', { message: error.message });
+  }
+});
@@ -0,0 +1,73 @@
+/**
+ * NeoClip 340 - Prompt preview API
+ *
+ * GET  /api/prompt   Style presets: { styles: [{ id, name, emoji, template, cues }] }
+ * POST /api/prompt   Preview: { prompt, style?, expandPrompt?, negativePrompt? }
+ *   -> { prompt, enhancedPrompt, negativePrompt, style, expandPrompt,
+ *        addedCues, rewrittenBy }
+ *
+ * enhancedPrompt is exactly what /api/generate would send for the same
+ * fields (api/_lib/prompt-styles.js). rewrittenBy lists the models that
+ * rewrite it once more on their side when expandPrompt is on - that text
+ * never comes back to us. Moderation (PII redaction) runs on generate
+ * only, so a preview may still show words generate would redact.
+ *
+ * No session needed - nothing is stored and no provider is called.
+ *
+ * CRITICAL: No external dependencies
+ */
+
+import { withRoute, sendError } from './_lib/middleware.js';
+import { limitByIp } from './_lib/rate-limit.js';
+import { validateOptions } from './_lib/options.js';
+import { enhancePrompt, listStylePresets } from './_lib/prompt-styles.js';
+import { listProviders } from './_lib/providers/index.js';
+
+// Same cap api/generate.js applies before moderation
+const MAX_PROMPT = 500;
+
+export default withRoute({
+  name: 'Prompt',
+  methods: ['GET', 'POST'],
+  error: 'Prompt preview failed'
+}, async (req, res, { body }) => {
+  if (req.method === 'GET') {
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    return res.status(200).json({ success: true, styles: listStylePresets() });
+  }
+
+  if (!(await limitByIp(req, res, 'prompt'))) return;
+
+  const { prompt } = body;
+  if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
+    return sendError(res, 400, 'Prompt is required', {
+      example: { prompt: 'A cat playing piano', style: 'cinematic' }
+    });
+  }
+
+  // Only the prompt fields matter here; the tier does not affect them
+  const validation = validateOptions({
+    style: body.style,
+    expandPrompt: body.expandPrompt,
+    negativePrompt: body.negativePrompt
+  }, 'free');
+  if (!validation.ok) {
+    return sendError(res, 400, validation.error);
+  }
+
+  const userPrompt = prompt.trim().slice(0, MAX_PROMPT);
+  const enhanced = enhancePrompt(userPrompt, validation.options);
+
+  return res.status(200).json({
+    success: true,
+    prompt: userPrompt,
+    enhancedPrompt: enhanced.prompt,
+    negativePrompt: enhanced.negativePrompt,
+    style: enhanced.style,
+    expandPrompt: enhanced.expandPrompt,
+    addedCues: enhanced.addedCues,
+    rewrittenBy: enhanced.expandPrompt
+      ? listProviders().filter(provider => provider.capabilities.expandPrompt).map(provider => provider.id)
+      : []
+  });
+});
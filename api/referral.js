@@ -0,0 +1,56 @@
+/**
+ * NeoClip 340 - Referral API
+ *
+ * GET  /api/referral   Your code and what it has earned
+ * POST /api/referral   Redeem a code: { code }
+ *   (Authorization: Bearer <session token> for both)
+ *
+ * Codes are usually redeemed at sign-up (POST /api/auth with
+ * referralCode); this endpoint covers accounts that skipped it. Only
+ * registered accounts with a verified email can redeem. Both sides get
+ * bonus clips once the new user's first video completes.
+ *
+ * CRITICAL: No external dependencies
+ */
+
+import { isSupabaseConfigured } from './_lib/supabase.js';
+import { requireSession } from './_lib/auth.js';
+import { withRoute, sendError, getClientIp } from './_lib/middleware.js';
+import {
+  redeemReferralCode,
+  getReferralStats,
+  toClientReferral
+} from './_lib/referrals.js';
+
+export default withRoute({
+  name: 'Referral API',
+  methods: ['GET', 'POST'],
+  error: 'Referral request failed'
+}, async (req, res, { body }) => {
+  if (!isSupabaseConfigured()) {
+    return sendError(res, 503, 'Service not configured', {
+      message: 'SUPABASE_URL and SUPABASE_KEY are required for referrals'
+    });
+  }
+
+  const auth = await requireSession(req, res);
+  if (!auth) return;
+  const { user } = auth;
+
+  if (req.method === 'GET') {
+    return res.status(200).json({
+      success: true,
+      referral: await getReferralStats(user)
+    });
+  }
+
+  const result = await redeemReferralCode(user, body.code, { ip: getClientIp(req) });
+  if (!result.ok) {
+    return sendError(res, result.status, result.error);
+  }
+
+  return res.status(200).json({
+    success: true,
+    referral: toClientReferral(result)
+  });
+});
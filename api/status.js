@@ -2,94 +2,144 @@
  * NeoClip 340 - Status API v3.5.0
  * 
  * Simple status endpoint - no external dependencies
- * Frontend uses this to check generation history
+ * Frontend uses this to check usage and generation history.
+ * Stored videos come back as signed URLs (videoUrlExpiresAt). Branded-tier
+ * clips whose branded copy is not coming are failed and refunded on read.
  * 
- * GET /api/status?userId=xxx - Get user's generations (from localStorage via frontend)
- * GET /api/status?taskId=xxx - Get specific task status
+ * GET /api/status                             - Usage + newest 20 generations
+ * GET /api/status?limit=20&offset=20           - Next page of history
+ * GET /api/status?taskId=xxx                   - Stored record for one task
+ * GET /api/status?groupId=xxx                  - Every take of a batch
+ * PATCH /api/status { groupId, keep: [taskId] } - Keep those takes, discard the rest
+ * PATCH /api/status { groupId, taskId, kept }  - Keep (true) or discard (false) one take
+ *
+ * Discarded takes no longer appear in the history list; the group view
+ * still shows them, so a discard can be undone.
+ *
+ * Requires a session (Authorization: Bearer <token>); only the session
+ * user's data is returned. A userId param, if sent, must match it.
  */
 
+import { isSupabaseConfigured } from './_lib/supabase.js';
+import { toClientUser } from './_lib/users.js';
+import {
+  findGenerationByTask,
+  listGenerations,
+  listGroupGenerations,
+  setTakesKept,
+  toClientGeneration
+} from './_lib/generations.js';
+import { requireSession } from './_lib/auth.js';
+import { getPlaybackUrls } from './_lib/video-archive.js';
+import { settleBranding } from './_lib/pipeline.js';
+import { withRoute, sendError } from './_lib/middleware.js';
+
+// Batch group IDs are UUIDs (api/generate.js)
+const GROUP_ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * The group's takes with signed URLs, for the comparison grid
+ */
+async function groupResponse(res, found) {
+  const rows = await Promise.all(found.map(settleBranding));
+  const playback = await getPlaybackUrls(rows);
+  return res.status(200).json({
+    success: true,
+    groupId: rows[0].group_id,
+    takes: rows.map(row => toClientGeneration(row, playback[row.task_id]))
+  });
+}
+
 /**
- * CRITICAL FIX for DEP0169:
- * Parse query parameters using ONLY WHATWG URL API
+ * PATCH - keep or discard takes of a batch
  */
-function getQueryParams(req) {
-  try {
-    const host = req.headers?.host || req.headers?.['x-forwarded-host'] || 'localhost';
-    const protocol = req.headers?.['x-forwarded-proto'] || 'https';
-    const baseUrl = `${protocol}://${host}`;
-    const fullUrl = new URL(req.url || '/', baseUrl);
-    return Object.fromEntries(fullUrl.searchParams);
-  } catch (err) {
-    console.error('URL parsing error:', err.message);
-    return {};
+async function handleKeep(res, user, body) {
+  const { groupId, keep, taskId, kept } = body;
+  if (typeof groupId !== 'string' || !GROUP_ID_RE.test(groupId)) {
+    return sendError(res, 400, 'groupId must be a batch group ID');
+  }
+
+  const rows = await listGroupGenerations(user.id, groupId);
+  if (rows.length === 0) {
+    return sendError(res, 404, 'Batch not found');
+  }
+  const taskIds = rows.map(row => row.task_id);
+
+  if (keep !== undefined) {
+    if (!Array.isArray(keep) || keep.some(id => !taskIds.includes(id))) {
+      return sendError(res, 400, 'keep must list task IDs from this batch');
+    }
+    await setTakesKept(user.id, groupId, keep, true);
+    await setTakesKept(user.id, groupId, taskIds.filter(id => !keep.includes(id)), false);
+  } else {
+    if (!taskIds.includes(taskId) || typeof kept !== 'boolean') {
+      return sendError(res, 400, 'Send { keep: [taskId] } or { taskId, kept: true|false }');
+    }
+    await setTakesKept(user.id, groupId, [taskId], kept);
   }
+
+  return groupResponse(res, await listGroupGenerations(user.id, groupId));
 }
 
-const FREE_TIER_LIMIT = 10;
+export default withRoute({ name: 'Status API', methods: ['GET', 'PATCH'], error: 'Status check failed' }, async (req, res, { query, body }) => {
+  if (!isSupabaseConfigured()) {
+    return sendError(res, 503, 'Service not configured', {
+      message: 'SUPABASE_URL and SUPABASE_KEY are required to track usage'
+    });
+  }
+
+  const { userId, taskId, groupId, limit, offset } = query;
 
-export default async function handler(req, res) {
-  // CORS
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  const auth = await requireSession(req, res);
+  if (!auth) return;
+  const { user } = auth;
 
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
+  if (userId && userId !== user.id) {
+    return sendError(res, 403, 'userId does not match the session');
   }
 
-  if (req.method !== 'GET') {
-    return res.status(405).json({ error: 'Method not allowed' });
+  if (req.method === 'PATCH') {
+    return handleKeep(res, user, body);
   }
 
-  try {
-    const query = getQueryParams(req);
-    const { userId, taskId, freeUsed } = query;
-
-    // If taskId provided, redirect to poll endpoint
-    if (taskId) {
-      return res.status(200).json({
-        success: true,
-        message: 'Use /api/poll for task status',
-        redirectTo: `/api/poll?generationId=${taskId}`
-      });
+  if (groupId) {
+    if (!GROUP_ID_RE.test(groupId)) {
+      return sendError(res, 400, 'groupId must be a batch group ID');
     }
-
-    // User status
-    if (userId) {
-      const parsedFreeUsed = parseInt(freeUsed) || 0;
-      const freeRemaining = Math.max(0, FREE_TIER_LIMIT - parsedFreeUsed);
-      
-      // Calculate days until reset
-      const now = new Date();
-      const nextMonth = new Date(now.getFullYear(), now.getMonth() + 1, 1);
-      const daysUntilReset = Math.ceil((nextMonth - now) / (1000 * 60 * 60 * 24));
-
-      return res.status(200).json({
-        success: true,
-        user: {
-          id: userId,
-          tier: 'free',
-          freeUsed: parsedFreeUsed,
-          freeRemaining: freeRemaining,
-          freeLimit: FREE_TIER_LIMIT,
-          daysUntilReset: daysUntilReset
-        },
-        // Frontend manages generation history via localStorage
-        generations: [],
-        message: 'Generation history is stored locally in your browser'
-      });
+    const rows = await listGroupGenerations(user.id, groupId);
+    if (rows.length === 0) {
+      return sendError(res, 404, 'Batch not found');
     }
+    return groupResponse(res, rows);
+  }
 
-    return res.status(400).json({
-      error: 'userId or taskId required',
-      example: '/api/status?userId=xxx'
-    });
-
-  } catch (error) {
-    console.error('[Status API] Error:', error);
-    return res.status(500).json({
-      error: 'Status check failed',
-      message: error.message
+  // If taskId provided, return the stored record and point at the poll endpoint
+  if (taskId) {
+    const found = await findGenerationByTask(taskId);
+    if (!found || found.user_id !== user.id) {
+      return sendError(res, 404, 'Generation not found');
+    }
+    const record = await settleBranding(found);
+    const playback = await getPlaybackUrls([record]);
+    return res.status(200).json({
+      success: true,
+      generation: toClientGeneration(record, playback[record.task_id]),
+      message: 'Use /api/poll for live task status',
+      redirectTo: `/api/poll?generationId=${taskId}`
     });
   }
-}
+
+  // User status
+  const page = await listGenerations(user.id, { limit, offset });
+  // Clips whose branded copy is not coming are failed and refunded here too
+  const generations = await Promise.all(page.generations.map(settleBranding));
+  // Stored videos play through signed URLs; clients reload the list when they expire
+  const playback = await getPlaybackUrls(generations);
+
+  return res.status(200).json({
+    success: true,
+    user: toClientUser(user),
+    generations: generations.map(row => toClientGeneration(row, playback[row.task_id])),
+    pagination: page.pagination
+  });
+});
@@ -0,0 +1,257 @@
+/**
+ * NeoClip 340 - Storyboard API
+ *
+ * POST /api/storyboard   (Authorization: Bearer <session token>)
+ * Body: {
+ *   shots: [{ prompt }, ...],   2-6 shots (free tier: 3)
+ *   chainFrames?: boolean,      start each shot from the previous one's last frame
+ *   transition?: 'fade' | 'dissolve' | 'wipe' | 'slide' | 'cut',
+ *   imageUrl?,                  start frame of the first shot
+ *   aspectRatio?, duration?, resolution?, model?, seed?, loop?,
+ *   negativePrompt?, style?, expandPrompt?   (per shot, as for /api/generate)
+ * }
+ * -> { generationId, shots, chainFrames, transition, status: 'processing', pollUrl, ... }
+ *
+ * Records a composite generation and starts its shots - the first one
+ * only when chaining frames, all of them otherwise. The worker
+ * (api/_lib/storyboard.js) starts chained shots and stitches the finished
+ * ones into one MP4. Track it like any generation: /api/poll or
+ * /api/events with generationId (stage 'shots' / 'stitching'),
+ * /api/status?taskId= for the per-shot breakdown, and
+ * DELETE /api/generate/:id to cancel.
+ *
+ * One clip is charged per shot; if a shot cannot start or fails later,
+ * the storyboard fails and every shot that did not finish is refunded.
+ * Needs video storage (VIDEO_STORAGE) and a worker with ffmpeg.
+ *
+ * CRITICAL: No external dependencies
+ */
+
+import { isSupabaseConfigured } from './_lib/supabase.js';
+import { consumeQuota, refundQuota } from './_lib/users.js';
+import { FREE_TIER_LIMIT, normalizeTier, getTierLimit } from './_lib/config.js';
+import { createGeneration } from './_lib/generations.js';
+import { checkImageUrl } from './_lib/images.js';
+import { validateOptions } from './_lib/options.js';
+import { requireSession } from './_lib/auth.js';
+import { limitByIp, limitByUser, acquireConcurrencySlot } from './_lib/rate-limit.js';
+import { withRoute, sendError, getClientIp } from './_lib/middleware.js';
+import { moderatePrompt, logModerationEvent } from './_lib/moderation.js';
+import { enhancePrompt } from './_lib/prompt-styles.js';
+import { getStorageBackend } from './_lib/storage.js';
+import { ERROR_TYPES } from './_lib/http.js';
+import {
+  STORYBOARD_SOURCE,
+  validateStoryboard,
+  newStoryboardTaskId,
+  startShot,
+  failStoryboard,
+  queueStoryboard
+} from './_lib/storyboard.js';
+
+// Same per-prompt cap as api/generate.js
+const MAX_PROMPT = 500;
+
+export default withRoute({
+  name: 'Storyboard',
+  methods: ['POST'],
+  error: 'Storyboard failed'
+}, async (req, res, { body }) => {
+  if (!isSupabaseConfigured()) {
+    return sendError(res, 503, 'Service not configured', {
+      message: 'SUPABASE_URL and SUPABASE_KEY are required to track usage'
+    });
+  }
+
+  if (!getStorageBackend()) {
+    return sendError(res, 503, 'Storyboards are not available', {
+      message: 'Stitched videos need video storage (VIDEO_STORAGE)'
+    });
+  }
+
+  let quotaUser = null;
+  let quota = null;
+  let clips = 0;
+  let releaseSlot = null;
+
+  try {
+    // Every shot is a generation - same limits as /api/generate
+    if (!(await limitByIp(req, res, 'generate'))) return;
+
+    const { imageUrl } = body;
+    const imageError = checkImageUrl(imageUrl, 'imageUrl');
+    if (imageError) {
+      return sendError(res, 400, imageError);
+    }
+
+    const auth = await requireSession(req, res);
+    if (!auth) return;
+    const { user } = auth;
+
+    if (!(await limitByUser(res, 'generate', user.id))) return;
+
+    const tier = normalizeTier(user.tier);
+
+    const storyboard = validateStoryboard(body, tier);
+    if (!storyboard.ok) {
+      return sendError(res, 400, storyboard.error, {
+        example: { shots: [{ prompt: 'A fox wakes up in its den' }, { prompt: 'The fox runs across a snowy field' }] }
+      });
+    }
+    const validation = validateOptions(body, tier);
+    if (!validation.ok) {
+      return sendError(res, 400, validation.error);
+    }
+
+    // Every shot passes moderation before any of them starts
+    const cleanPrompts = [];
+    for (const [index, prompt] of storyboard.prompts.entries()) {
+      const rawPrompt = prompt.slice(0, MAX_PROMPT);
+      const moderation = await moderatePrompt(rawPrompt, { userId: user.id, tier });
+      await logModerationEvent(moderation, {
+        userId: user.id,
+        prompt: rawPrompt,
+        ip: getClientIp(req),
+        userAgent: req.headers?.['user-agent']
+      });
+      if (!moderation.ok) {
+        console.warn(`[Storyboard] Shot ${index + 1} rejected for ${user.id}: ${moderation.code} (${moderation.category})`);
+        return sendError(res, moderation.status, 'Prompt rejected', {
+          shot: index + 1,
+          code: moderation.code,
+          category: moderation.category,
+          message: moderation.message
+        });
+      }
+      cleanPrompts.push(moderation.prompt);
+    }
+
+    const shots = cleanPrompts.map(prompt => ({
+      prompt,
+      enhancedPrompt: enhancePrompt(prompt, validation.options).prompt
+    }));
+    const options = {
+      ...validation.options,
+      negativePrompt: enhancePrompt(cleanPrompts[0], validation.options).negativePrompt
+    };
+    clips = shots.length;
+
+    console.log(`[Storyboard] ${user.id} (${tier}): ${clips} shots, ${storyboard.transition}${storyboard.chainFrames ? ', chained' : ''}`);
+
+    // Chained shots start one at a time
+    releaseSlot = await acquireConcurrencySlot(res, 'generate', { clips: storyboard.chainFrames ? 1 : clips });
+    if (!releaseSlot) return;
+
+    quota = await consumeQuota(user.id, clips);
+    if (!quota || !quota.allowed) {
+      const used = tier === 'free' ? quota?.freeUsed : quota?.paidUsed;
+      const limit = getTierLimit(tier);
+      return sendError(res, 402, tier === 'free' ? 'Free limit reached' : 'Monthly limit reached', {
+        message: used !== undefined && used < limit
+          ? `A storyboard of ${clips} shots needs ${clips} clips - you have ${limit - used} left this month.`
+          : `You've used all ${limit} clips this month.`,
+        freeUsed: quota?.freeUsed ?? user.free_used,
+        freeLimit: FREE_TIER_LIMIT,
+        used: used ?? null,
+        limit,
+        resetsAt: quota?.resetsAt ?? user.resets_at,
+        upgradeUrl: '/pricing'
+      });
+    }
+    quotaUser = user.id;
+
+    const composite = await createGeneration({
+      userId: user.id,
+      taskId: newStoryboardTaskId(),
+      prompt: cleanPrompts.join(' → '),
+      tier,
+      provider: STORYBOARD_SOURCE.id,
+      model: STORYBOARD_SOURCE.name,
+      cost: 0,
+      imageUrl,
+      kind: 'storyboard',
+      storyboard: {
+        shots,
+        transition: storyboard.transition,
+        chainFrames: storyboard.chainFrames,
+        aspectRatio: options.aspectRatio,
+        options,
+        stage: 'shots'
+      },
+      options,
+      quotaSource: quota.usedBonus ? 'bonus' : 'tier'
+    });
+
+    // Chained shots wait for the frame before them
+    const first = storyboard.chainFrames ? [0] : shots.map((_, index) => index);
+    const results = await Promise.allSettled(
+      first.map(index => startShot(composite, index, index === 0 ? imageUrl : null))
+    );
+    const started = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+    const rejected = results.find(result => result.status === 'rejected');
+
+    if (rejected) {
+      // failStoryboard refunds every shot, including the ones that started;
+      // if it throws, the catch below refunds them instead
+      await failStoryboard(composite, started, `A shot could not start: ${rejected.reason.message}`);
+      quotaUser = null;
+      throw rejected.reason;
+    }
+    quotaUser = null;
+
+    await queueStoryboard(composite.task_id);
+
+    return res.status(200).json({
+      success: true,
+      generationId: composite.task_id,
+      taskId: composite.task_id,
+      id: composite.id,
+      kind: 'storyboard',
+      shots: shots.map((shot, index) => ({
+        index,
+        prompt: shot.prompt,
+        enhancedPrompt: shot.enhancedPrompt,
+        taskId: started.find(row => row.shot_index === index)?.task_id || null
+      })),
+      chainFrames: storyboard.chainFrames,
+      transition: storyboard.transition,
+      options,
+      adjustments: validation.adjustments,
+      status: 'processing',
+      pollUrl: `/api/poll?generationId=${composite.task_id}`,
+      userId: user.id,
+      tier,
+      needsAd: tier === 'free',
+      freeUsed: quota.freeUsed,
+      freeRemaining: tier === 'free' ? Math.max(0, FREE_TIER_LIMIT - quota.freeUsed) : null,
+      paidUsed: quota.paidUsed,
+      bonusClips: quota.bonusClips,
+      usedBonus: !!quota.usedBonus,
+      resetsAt: quota.resetsAt,
+      message: `Storyboard started - ${clips} shots`
+    });
+
+  } catch (error) {
+    console.error('[Storyboard] Failed:', error.message);
+
+    // Nothing was recorded to refund later - give the clips back
+    if (quotaUser) {
+      await refundQuota(quotaUser, clips, { bonus: quota?.usedBonus });
+    }
+
+    // Same mapping as api/generate.js
+    const status = !error.errorType ? 500
+      : error.errorType === ERROR_TYPES.invalidInput ? 422
+        : 503;
+    if (status === 503) res.setHeader('Retry-After', '30');
+
+    return sendError(res, status, status === 422
+      ? 'Storyboard rejected by provider'
+      : status === 503 ? 'Video service temporarily unavailable' : 'Storyboard failed', {
+      errorType: error.errorType || null,
+      message: error.message
+    });
+  } finally {
+    if (releaseSlot) await releaseSlot();
+  }
+});
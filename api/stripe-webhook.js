@@ -0,0 +1,117 @@
+/**
+ * NeoClip 340 - Stripe Billing Webhook
+ *
+ * Keeps users.tier and public.subscriptions in sync with Stripe.
+ * Register this URL in the Stripe dashboard (or `stripe listen
+ * --forward-to localhost:3000/api/stripe-webhook`) with:
+ *
+ *   checkout.session.completed      - links the Stripe customer to the account
+ *   customer.subscription.created   \
+ *   customer.subscription.updated    > syncSubscription() (tier, status, period)
+ *   customer.subscription.deleted   /
+ *
+ * Requests must carry a valid Stripe-Signature for STRIPE_WEBHOOK_SECRET.
+ * Handling is idempotent; each event is logged to webhook_logs once.
+ * Errors return 500 so Stripe retries.
+ *
+ * CRITICAL: No external dependencies
+ */
+
+import { isSupabaseConfigured, dbInsert } from './_lib/supabase.js';
+import { readRawBody } from './_lib/signature.js';
+import { verifyStripeSignature } from './_lib/stripe.js';
+import {
+  findUserForStripe,
+  linkStripeCustomer,
+  syncSubscription
+} from './_lib/subscriptions.js';
+import { withRoute, sendError } from './_lib/middleware.js';
+
+// Signatures cover the raw bytes, so the body must not be pre-parsed
+export const config = { api: { bodyParser: false } };
+
+const SUBSCRIPTION_EVENTS = [
+  'customer.subscription.created',
+  'customer.subscription.updated',
+  'customer.subscription.deleted'
+];
+
+async function handleEvent(event) {
+  const object = event.data?.object || {};
+
+  if (event.type === 'checkout.session.completed') {
+    if (object.mode !== 'subscription' || !object.customer) return { handled: false };
+    const user = await findUserForStripe({
+      userId: object.client_reference_id || object.metadata?.user_id,
+      customerId: object.customer
+    });
+    if (!user) return { handled: false, reason: 'unknown user' };
+    if (user.stripe_customer_id !== object.customer) {
+      await linkStripeCustomer(user.id, object.customer);
+    }
+    return { handled: true, userId: user.id };
+  }
+
+  if (SUBSCRIPTION_EVENTS.includes(event.type)) {
+    const result = await syncSubscription(object, { eventCreated: event.created });
+    if (!result) return { handled: false, reason: 'unknown user' };
+    if (result.stale) return { handled: false, reason: 'stale' };
+    return { handled: true, userId: result.user.id, tier: result.tier, status: result.status };
+  }
+
+  return { handled: false, reason: 'ignored type' };
+}
+
+async function logEvent(event, outcome) {
+  try {
+    await dbInsert(
+      'webhook_logs',
+      {
+        task_id: event.data?.object?.id || null,
+        source: 'stripe',
+        status: event.type,
+        payload: { id: event.id, type: event.type, outcome },
+        event_id: `stripe:${event.id}`
+      },
+      { onConflict: 'event_id', ignoreDuplicates: true }
+    );
+  } catch (error) {
+    console.error('[StripeWebhook] Failed to write webhook log:', error.message);
+  }
+}
+
+// Called by Stripe's servers only - no CORS
+export default withRoute({ name: 'StripeWebhook', methods: ['POST'], cors: false, json: false }, async (req, res) => {
+  try {
+    const rawBody = await readRawBody(req);
+
+    const verified = await verifyStripeSignature(rawBody, req.headers['stripe-signature']);
+    if (!verified) {
+      console.warn('[StripeWebhook] Rejected: invalid or missing Stripe-Signature');
+      return sendError(res, 400, 'Invalid webhook signature');
+    }
+
+    let event;
+    try {
+      event = JSON.parse(rawBody);
+    } catch {
+      return sendError(res, 400, 'Invalid JSON body');
+    }
+
+    if (!isSupabaseConfigured()) {
+      // Retried by Stripe until the database is back
+      return sendError(res, 503, 'Database not configured');
+    }
+
+    const outcome = await handleEvent(event);
+    await logEvent(event, outcome);
+
+    console.log(`[StripeWebhook] ${event.type} (${event.id}): ${outcome.handled ? 'applied' : outcome.reason}`);
+
+    return res.status(200).json({ received: true, ...outcome });
+
+  } catch (error) {
+    console.error('[StripeWebhook] Error:', error);
+    return sendError(res, 500, 'Webhook processing failed', { message: error.message });
+  }
+});
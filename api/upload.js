@@ -0,0 +1,70 @@
+/**
+ * NeoClip 340 - Image Upload API
+ *
+ * POST /api/upload   (Authorization: Bearer <session token>)
+ * Body: the raw image bytes, Content-Type image/jpeg | image/png | image/webp
+ *
+ * Stores the frame in the public Supabase Storage bucket UPLOAD_BUCKET
+ * (default "uploads") and returns its URL, ready to pass to /api/generate
+ * as imageUrl / endImageUrl. Max 4 MB.
+ *
+ * CRITICAL: No external dependencies
+ */
+
+import { isSupabaseConfigured, storageUpload } from './_lib/supabase.js';
+import { readRawBuffer } from './_lib/signature.js';
+import { requireSession } from './_lib/auth.js';
+import { MAX_IMAGE_BYTES, validateImageUpload } from './_lib/images.js';
+import { withRoute, sendError } from './_lib/middleware.js';
+
+// Binary body - must not be parsed as JSON
+export const config = { api: { bodyParser: false } };
+
+export default withRoute({ name: 'Upload', methods: ['POST'], json: false }, async (req, res) => {
+  if (!isSupabaseConfigured()) {
+    return sendError(res, 503, 'Service not configured', {
+      message: 'SUPABASE_URL and SUPABASE_KEY are required for uploads'
+    });
+  }
+
+  try {
+    const declaredLength = parseInt(req.headers['content-length'], 10);
+    if (declaredLength > MAX_IMAGE_BYTES) {
+      return sendError(res, 413, `Image too large (max ${MAX_IMAGE_BYTES / 1024 / 1024} MB)`);
+    }
+
+    const auth = await requireSession(req, res);
+    if (!auth) return;
+    const { user } = auth;
+
+    let buffer;
+    try {
+      // Read one byte past the limit so oversize bodies are reported as such
+      buffer = await readRawBuffer(req, MAX_IMAGE_BYTES + 1);
+    } catch {
+      return sendError(res, 413, `Image too large (max ${MAX_IMAGE_BYTES / 1024 / 1024} MB)`);
+    }
+
+    const check = validateImageUpload(buffer, req.headers['content-type']);
+    if (!check.ok) {
+      return sendError(res, check.status, check.error);
+    }
+
+    const bucket = process.env.UPLOAD_BUCKET || 'uploads';
+    const path = `${user.id}/${Date.now()}-${Math.random().toString(36).slice(2, 10)}.${check.extension}`;
+    const imageUrl = await storageUpload(bucket, path, buffer, check.contentType);
+
+    console.log(`[Upload] ${user.id}: ${buffer.length} bytes -> ${bucket}/${path}`);
+
+    return res.status(200).json({
+      success: true,
+      imageUrl,
+      contentType: check.contentType,
+      size: buffer.length
+    });
+
+  } catch (error) {
+    console.error('[Upload] Error:', error);
+    return sendError(res, 500, 'Upload failed', { message: error.message });
+  }
+});
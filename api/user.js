@@ -3,32 +3,35 @@
  * 
  * CRITICAL FIX: Works WITHOUT external dependencies
  * - No @supabase/supabase-js import (prevents "Cannot find module" error)
- * - Uses localStorage-based tracking via frontend
- * - Returns mock data for immediate functionality
+ * - Users and usage live in public.users (PostgREST via fetch)
+ * - Usage counters are server-owned: freeUsed/tier sent by clients are ignored
+ * - POST issues an anonymous device session; GET/PATCH require a session
+ *   (Authorization: Bearer <token>, see api/_lib/auth.js)
  * 
  * This version ensures the app NEVER shows "Connection error"
  * because this endpoint always returns a valid response.
  */
 
-const FREE_TIER_LIMIT = 10;
-const MONTHLY_PRO_LIMIT = 120;
-
-/**
- * CRITICAL FIX for DEP0169:
- * Parse query parameters using ONLY WHATWG URL API
- */
-function getQueryParams(req) {
-  try {
-    const host = req.headers?.host || req.headers?.['x-forwarded-host'] || 'localhost';
-    const protocol = req.headers?.['x-forwarded-proto'] || 'https';
-    const baseUrl = `${protocol}://${host}`;
-    const fullUrl = new URL(req.url || '/', baseUrl);
-    return Object.fromEntries(fullUrl.searchParams);
-  } catch (err) {
-    console.error('URL parsing error:', err.message);
-    return {};
-  }
-}
+import { isSupabaseConfigured, dbUpdate, eq } from './_lib/supabase.js';
+import {
+  findOrCreateUser,
+  isAnonymousUser,
+  toClientUser,
+  getDaysUntilReset
+} from './_lib/users.js';
+import { createSession, getSession, requireSession } from './_lib/auth.js';
+import { FREE_TIER_LIMIT } from './_lib/config.js';
+import { withRoute, sendError } from './_lib/middleware.js';
+
+// Profile fields clients may change via PATCH (camelCase -> column)
+const PATCHABLE_FIELDS = {
+  fullName: 'full_name',
+  displayName: 'display_name',
+  locale: 'locale',
+  timezone: 'timezone',
+  preferredAspectRatio: 'preferred_aspect_ratio',
+  preferredQuality: 'preferred_quality'
+};
 
 /**
  * Generate a unique user ID if not provided
@@ -37,155 +40,131 @@ function generateUserId() {
   return `user_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
 }
 
-/**
- * Generate referral code
- */
-function generateReferralCode() {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let code = 'NC';
-  for (let i = 0; i < 6; i++) {
-    code += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return code;
-}
-
-/**
- * Calculate days until monthly reset
- */
-function getDaysUntilReset() {
-  const now = new Date();
-  const nextMonth = new Date(now.getFullYear(), now.getMonth() + 1, 1);
-  return Math.ceil((nextMonth - now) / (1000 * 60 * 60 * 24));
-}
-
-export default async function handler(req, res) {
-  // Enable CORS
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  
-  // Handle preflight
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
+export default withRoute({ name: 'User API', methods: ['GET', 'POST', 'PATCH'] }, async (req, res, { body }) => {
+  // No database: hand out an ephemeral session so the UI still loads.
+  // Generation itself is refused by /api/generate until Supabase is set up.
+  if (!isSupabaseConfigured()) {
+    return res.status(200).json(fallbackResponse('Database not configured'));
   }
 
   try {
-    // POST - Create/Login User
+    // POST - Anonymous device session (registered accounts use /api/auth)
     if (req.method === 'POST') {
       const {
         deviceId,
-        userId,
-        email,
         platform = 'web',
-        appVersion = '3.5.0',
-        freeUsed = 0,  // Allow frontend to sync usage
-        tier = 'free'
-      } = req.body || {};
+        appVersion = '3.5.0'
+      } = body;
+
+      // Already signed in - nothing new to issue
+      const current = await getSession(req);
+      if (current) {
+        return res.status(200).json({
+          success: true,
+          isNewUser: false,
+          session: null,
+          user: { ...toClientUser(current.user), platform, appVersion },
+          message: 'Session is still valid'
+        });
+      }
+
+      const finalDeviceId = deviceId || generateUserId();
+      const { user, isNewUser } = await findOrCreateUser({
+        deviceId: finalDeviceId,
+        platform,
+        appVersion
+      });
 
-      // Generate or use provided userId
-      const finalUserId = userId || deviceId || generateUserId();
-      const finalFreeUsed = Math.min(freeUsed, FREE_TIER_LIMIT);
-      const freeRemaining = Math.max(0, FREE_TIER_LIMIT - finalFreeUsed);
+      // A device that was merged into a registered account must sign in
+      if (!isAnonymousUser(user)) {
+        return sendError(res, 401, 'Sign-in required', {
+          message: 'This device is linked to a registered account. Sign in to continue.'
+        });
+      }
+
+      const session = await createSession(user.id, req, {
+        method: 'anonymous',
+        deviceInfo: { platform, appVersion }
+      });
 
-      console.log(`[User API] POST - User: ${finalUserId}, Platform: ${platform}, FreeUsed: ${finalFreeUsed}`);
+      console.log(`[User API] POST - User: ${user.id}, Platform: ${platform}, New: ${isNewUser}`);
 
       return res.status(200).json({
         success: true,
-        isNewUser: !userId && !deviceId,
+        isNewUser,
+        session,
         user: {
-          id: finalUserId,
-          deviceId: deviceId || finalUserId,
-          email: email || null,
-          tier: tier,
-          freeUsed: finalFreeUsed,
-          freeRemaining: freeRemaining,
-          freeLimit: FREE_TIER_LIMIT,
-          paidUsed: 0,
-          paidLimit: MONTHLY_PRO_LIMIT,
-          referralCode: generateReferralCode(),
-          referralCount: 0,
-          totalVideosGenerated: finalFreeUsed,
-          daysUntilReset: getDaysUntilReset(),
+          ...toClientUser(user),
           platform: platform,
-          appVersion: appVersion,
-          createdAt: new Date().toISOString()
+          appVersion: appVersion
         },
         message: 'User session created successfully'
       });
     }
 
+    // GET/PATCH act on the session's user
+    const auth = await requireSession(req, res);
+    if (!auth) return;
+    const { user } = auth;
+
     // GET - Get User Info
     if (req.method === 'GET') {
-      const query = getQueryParams(req);
-      const { userId, deviceId } = query;
-
-      const finalUserId = userId || deviceId || 'anonymous';
-      
-      console.log(`[User API] GET - User: ${finalUserId}`);
+      console.log(`[User API] GET - User: ${user.id}`);
 
-      // Return user data (frontend tracks actual usage via localStorage)
       return res.status(200).json({
         success: true,
-        user: {
-          id: finalUserId,
-          deviceId: deviceId || finalUserId,
-          tier: 'free',
-          freeUsed: 0,  // Frontend will override with localStorage value
-          freeRemaining: FREE_TIER_LIMIT,
-          freeLimit: FREE_TIER_LIMIT,
-          paidUsed: 0,
-          paidLimit: MONTHLY_PRO_LIMIT,
-          daysUntilReset: getDaysUntilReset(),
-          createdAt: new Date().toISOString()
-        }
+        user: toClientUser(user)
       });
     }
 
-    // PATCH - Update User
+    // PATCH - Update profile (usage and tier are server-owned)
     if (req.method === 'PATCH') {
-      const { userId, deviceId, freeUsed, tier } = req.body || {};
-      
-      const finalUserId = userId || deviceId || 'anonymous';
-      const finalFreeUsed = freeUsed !== undefined ? Math.min(freeUsed, FREE_TIER_LIMIT) : 0;
-      
-      console.log(`[User API] PATCH - User: ${finalUserId}, FreeUsed: ${finalFreeUsed}`);
+      const fields = body;
+
+      const patch = {};
+      for (const [field, column] of Object.entries(PATCHABLE_FIELDS)) {
+        if (fields[field] !== undefined) patch[column] = fields[field];
+      }
+
+      const [updated] = Object.keys(patch).length > 0
+        ? await dbUpdate('users', `id=${eq(user.id)}`, patch)
+        : [user];
+
+      console.log(`[User API] PATCH - User: ${user.id}, Fields: ${Object.keys(patch).join(', ') || 'none'}`);
 
       return res.status(200).json({
         success: true,
         user: {
-          id: finalUserId,
-          tier: tier || 'free',
-          freeUsed: finalFreeUsed,
-          freeRemaining: Math.max(0, FREE_TIER_LIMIT - finalFreeUsed),
-          freeLimit: FREE_TIER_LIMIT,
+          ...toClientUser(updated || user),
           updatedAt: new Date().toISOString()
         },
         message: 'User updated successfully'
       });
     }
 
-    return res.status(405).json({
-      success: false,
-      error: 'Method not allowed',
-      allowedMethods: ['GET', 'POST', 'PATCH', 'OPTIONS']
-    });
-
   } catch (error) {
     console.error('[User API] Error:', error.message);
     
     // CRITICAL: Always return a valid response, never fail
-    return res.status(200).json({
-      success: true,
-      user: {
-        id: 'fallback_user',
-        tier: 'free',
-        freeUsed: 0,
-        freeRemaining: FREE_TIER_LIMIT,
-        freeLimit: FREE_TIER_LIMIT,
-        daysUntilReset: getDaysUntilReset()
-      },
-      warning: 'Using fallback data',
-      message: 'Session restored'
-    });
+    return res.status(200).json(fallbackResponse('Using fallback data'));
   }
+});
+
+/**
+ * Ephemeral session returned when the database is unavailable
+ */
+function fallbackResponse(warning) {
+  return {
+    success: true,
+    user: {
+      id: 'fallback_user',
+      tier: 'free',
+      freeUsed: 0,
+      freeRemaining: FREE_TIER_LIMIT,
+      freeLimit: FREE_TIER_LIMIT,
+      daysUntilReset: getDaysUntilReset()
+    },
+    warning,
+    message: 'Session restored'
+  };
 }
@@ -1,115 +1,220 @@
 /**
  * NeoClip 340 - Webhook Handler v3.5.0
- * 
- * Receives callbacks from video generation APIs
- * Currently not used - polling is primary method
- * 
+ *
+ * Receives PiAPI task callbacks - the PRIMARY completion path.
+ * api/generate.js registers this URL with every task (webhook_config);
+ * the outcome is written to webhook_logs and generations, and api/poll.js
+ * answers from that stored state.
+ *
+ * Completed videos are queued for post-processing right away
+ * (api/_lib/pipeline.js) - the worker copies them before the provider URL
+ * expires. A finished storyboard shot wakes its composite's job
+ * (api/_lib/storyboard.js) instead.
+ *
+ * Security: every request must be verified against the raw body (see
+ * verifyRequest); unsigned, stale or replayed callbacks are rejected or
+ * ignored, and a final generation state is never overwritten.
+ *
+ * Accepts:
+ * - PiAPI payloads: { timestamp, data: { task_id, model, status, output, error } }
+ * - Legacy flat payloads: { taskId, status, videoUrl, error, source }
+ *
  * CRITICAL: No external dependencies
  */
 
-const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+import { getProviderByModel } from './_lib/providers/index.js';
+import { parseCallback, parseStatus } from './_lib/providers/piapi.js';
+import { isSupabaseConfigured, dbInsert } from './_lib/supabase.js';
+import {
+  readRawBody,
+  getSecrets,
+  safeEqual,
+  isFreshTimestamp,
+  verifyTimestampedHmac,
+  parseSignatureHeader
+} from './_lib/signature.js';
+import { withRoute, sendError } from './_lib/middleware.js';
+import {
+  FINAL_STATUSES,
+  findGenerationByTask,
+  finalizeGeneration,
+  markGenerationProgress
+} from './_lib/generations.js';
+import { queuePostprocess } from './_lib/pipeline.js';
+import { notifyShotFinished } from './_lib/storyboard.js';
+
+// Comma-separated: "current,previous" keeps callbacks signed with the old
+// secret valid while a rotation is in progress
+const WEBHOOK_SECRETS = getSecrets(process.env.WEBHOOK_SECRET);
+
+// Signatures cover the raw bytes, so the body must not be pre-parsed
+export const config = { api: { bodyParser: false } };
 
 /**
- * Verify webhook signature using Web Crypto API
+ * Verify a callback against the raw body. Fails closed.
+ *
+ * Accepted schemes:
+ * 1. Signed:  X-Webhook-Signature: t=<unix>,v1=<hex>  (or X-Webhook-Timestamp
+ *             plus a bare hex signature) where hex = HMAC-SHA256(secret, "<unix>.<raw body>")
+ * 2. PiAPI:   X-Webhook-Secret equals an active secret (PiAPI echoes the
+ *             secret from webhook_config) and the payload timestamp is fresh
  */
-async function verifySignature(payload, signature, secret) {
-  if (!secret || !signature) return true;
-  
-  try {
-    const encoder = new TextEncoder();
-    const key = await crypto.subtle.importKey(
-      'raw',
-      encoder.encode(secret),
-      { name: 'HMAC', hash: 'SHA-256' },
-      false,
-      ['sign']
-    );
-    
-    const signatureBuffer = await crypto.subtle.sign(
-      'HMAC',
-      key,
-      encoder.encode(JSON.stringify(payload))
-    );
-    
-    const expectedSignature = Array.from(new Uint8Array(signatureBuffer))
-      .map(b => b.toString(16).padStart(2, '0'))
-      .join('');
-    
-    if (signature.length !== expectedSignature.length) return false;
-    
-    let result = 0;
-    for (let i = 0; i < signature.length; i++) {
-      result |= signature.charCodeAt(i) ^ expectedSignature.charCodeAt(i);
+async function verifyRequest(req, rawBody, payload) {
+  if (WEBHOOK_SECRETS.length === 0) {
+    return { ok: false, reason: 'WEBHOOK_SECRET not configured' };
+  }
+
+  const signatureHeader = req.headers['x-webhook-signature'];
+  if (signatureHeader) {
+    const parts = parseSignatureHeader(signatureHeader);
+    const timestamp = req.headers['x-webhook-timestamp'] || parts.t?.[0];
+    const signatures = parts.v1 || [signatureHeader];
+
+    const ok = await verifyTimestampedHmac({ rawBody, timestamp, signatures, secrets: WEBHOOK_SECRETS });
+    return ok ? { ok, timestamp } : { ok: false, reason: 'Invalid or expired signature' };
+  }
+
+  const sharedSecret = req.headers['x-webhook-secret'];
+  if (sharedSecret) {
+    if (!WEBHOOK_SECRETS.some(secret => safeEqual(sharedSecret, secret))) {
+      return { ok: false, reason: 'Invalid webhook secret' };
     }
-    return result === 0;
-    
-  } catch (error) {
-    console.warn('Signature verification error:', error.message);
-    return true;
+    if (!isFreshTimestamp(payload?.timestamp)) {
+      return { ok: false, reason: 'Missing or expired timestamp' };
+    }
+    return { ok: true, timestamp: payload.timestamp };
   }
+
+  return { ok: false, reason: 'Missing webhook signature' };
 }
 
-export default async function handler(req, res) {
-  // CORS
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Webhook-Signature');
-  
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
+/**
+ * Normalize either payload shape into { taskId, status, videoUrl, error, source }
+ */
+function parsePayload(body) {
+  // PiAPI callback
+  if (body?.data?.task_id) {
+    const provider = getProviderByModel(body.data.model);
+    const parsed = provider ? provider.parseCallback(body) : parseCallback(body);
+    return { ...parsed, source: provider ? provider.id : 'piapi' };
+  }
+
+  // Legacy flat payload
+  const { taskId, videoUrl, error, source = 'unknown' } = body || {};
+  const status = body?.status ? parseStatus(body) : undefined;
+  if (status === 'completed' && !videoUrl) {
+    return { taskId, status: 'failed', error: 'Video completed but URL not found in payload', source };
   }
-  
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
+  return { taskId, status, videoUrl, error, source };
+}
+
+/**
+ * Append to webhook_logs, keyed by event ID so an identical replay is
+ * ignored. Returns false when this exact event was already logged.
+ */
+async function logWebhook({ taskId, source, status }, payload, timestamp) {
+  const eventId = `${taskId}:${status}:${timestamp || 'none'}`;
+  try {
+    const rows = await dbInsert(
+      'webhook_logs',
+      { task_id: taskId, source, status, payload, event_id: eventId },
+      { onConflict: 'event_id', ignoreDuplicates: true }
+    );
+    return Array.isArray(rows) ? rows.length > 0 : true;
+  } catch (error) {
+    console.error('[Webhook] Failed to write webhook log:', error.message);
+    return true;
   }
+}
 
+// Verified against the raw body, so withRoute must not parse it
+export default withRoute({
+  name: 'Webhook',
+  methods: ['POST'],
+  headers: 'Content-Type, X-Webhook-Signature, X-Webhook-Timestamp, X-Webhook-Secret',
+  json: false
+}, async (req, res) => {
   try {
-    const signature = req.headers['x-webhook-signature'];
-    
-    // Verify signature if configured
-    if (WEBHOOK_SECRET) {
-      const isValid = await verifySignature(req.body, signature, WEBHOOK_SECRET);
-      if (!isValid) {
-        return res.status(401).json({ error: 'Invalid webhook signature' });
-      }
+    const rawBody = await readRawBody(req);
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody);
+    } catch {
+      return sendError(res, 400, 'Invalid JSON body');
+    }
+
+    const verification = await verifyRequest(req, rawBody, payload);
+    if (!verification.ok) {
+      console.warn(`[Webhook] Rejected: ${verification.reason}`);
+      return sendError(res, 401, 'Invalid webhook signature');
     }
 
-    const { 
-      taskId, 
-      status, 
-      videoUrl, 
-      error: webhookError,
-      source = 'unknown'
-    } = req.body || {};
+    const event = parsePayload(payload);
 
-    if (!taskId) {
-      return res.status(400).json({ error: 'Task ID is required' });
+    if (!event.taskId) {
+      return sendError(res, 400, 'Task ID is required');
     }
 
-    console.log(`[Webhook] Received: taskId=${taskId}, status=${status}, source=${source}`);
+    console.log(`[Webhook] Received: taskId=${event.taskId}, status=${event.status}, source=${event.source}`);
+
+    if (!isSupabaseConfigured()) {
+      // Nowhere to store it - api/poll.js will fetch the result from PiAPI
+      return res.status(200).json({
+        success: true,
+        stored: false,
+        message: `Webhook received for task ${event.taskId} (database not configured)`
+      });
+    }
 
-    // Log the webhook (no database needed)
-    // Frontend uses polling, so webhooks are just logged
-    
-    if (status === 'completed' && videoUrl) {
-      console.log(`[Webhook] ✅ Video completed: ${videoUrl.slice(0, 60)}...`);
+    const isNewEvent = await logWebhook(event, payload, verification.timestamp);
+    if (!isNewEvent) {
+      console.log(`[Webhook] Duplicate event ignored for task ${event.taskId}`);
+      return res.status(200).json({ success: true, duplicate: true });
     }
 
-    if (status === 'failed' && webhookError) {
-      console.log(`[Webhook] ❌ Video failed: ${webhookError}`);
+    const record = await findGenerationByTask(event.taskId);
+    if (!record) {
+      console.warn(`[Webhook] No generation found for task ${event.taskId}`);
+      return res.status(200).json({
+        success: true,
+        stored: false,
+        message: `Webhook logged for unknown task ${event.taskId}`
+      });
     }
 
-    return res.status(200).json({ 
+    // Dedupe on task ID: once final, later callbacks never change the row
+    if (FINAL_STATUSES.includes(record.status)) {
+      console.log(`[Webhook] Task ${event.taskId} already ${record.status}, ignoring ${event.status}`);
+      return res.status(200).json({ success: true, duplicate: true, status: record.status });
+    }
+
+    let finalized = null;
+    if (FINAL_STATUSES.includes(event.status)) {
+      finalized = await finalizeGeneration(event.taskId, event);
+      await notifyShotFinished(finalized);
+    } else if (event.status) {
+      await markGenerationProgress(event.taskId, { status: event.status });
+    }
+
+    if (event.status === 'completed') {
+      console.log(`[Webhook] ✅ Video completed: ${event.videoUrl?.slice(0, 60)}...`);
+      // A failed enqueue is retried by the next api/poll.js status check
+      if (finalized) await queuePostprocess(finalized);
+    }
+
+    if (event.status === 'failed') {
+      console.log(`[Webhook] ❌ Video failed: ${event.error}`);
+    }
+
+    return res.status(200).json({
       success: true,
-      message: `Webhook processed for task ${taskId}`,
-      note: 'This app uses polling - webhooks are logged but not required'
+      stored: true,
+      message: `Webhook processed for task ${event.taskId}`
     });
 
   } catch (error) {
     console.error('[Webhook] Error:', error);
-    return res.status(500).json({ 
-      error: 'Webhook processing failed',
-      message: error.message 
-    });
+    return sendError(res, 500, 'Webhook processing failed', { message: error.message });
   }
-}
+});
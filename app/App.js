@@ -5,10 +5,11 @@
  * - Glassmorphism UI with neon glow effects
  * - Supabase OAuth (Google, Apple, Email)
  * - Full user data collection during registration
- * - Multi-provider video generation
+ * - Multi-provider video generation (create → poll, resumes after restart)
  * - Beautiful bottom tab navigation
  */
 
+import 'react-native-url-polyfill/auto';
 import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
@@ -21,12 +22,14 @@ import {
   ActivityIndicator,
   Platform,
   StatusBar,
-  Alert,
   Animated,
   Dimensions,
   KeyboardAvoidingView,
   Modal,
   Share,
+  AppState,
+  Image,
+  Switch,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { BlurView } from 'expo-blur';
@@ -34,7 +37,12 @@ import * as Device from 'expo-device';
 import * as Application from 'expo-application';
 import * as Localization from 'expo-localization';
 import * as Clipboard from 'expo-clipboard';
+import * as ImagePicker from 'expo-image-picker';
+import * as WebBrowser from 'expo-web-browser';
+import * as Linking from 'expo-linking';
+import Constants from 'expo-constants';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createClient } from '@supabase/supabase-js';
 import { StatusBar as ExpoStatusBar } from 'expo-status-bar';
 
 const { width: SCREEN_WIDTH, height: SCREEN_HEIGHT } = Dimensions.get('window');
@@ -64,9 +72,9 @@ const GRADIENTS = {
 };
 
 const PRICING = {
-  free: { name: 'Free', price: 0, gensPerMonth: 10, maxLength: 10, resolution: '768p', model: 'Wan-2.1', icon: '⚡', features: ['10 clips/month', '10s max', '768p', 'Watermark'] },
-  basic: { name: 'Basic', price: 4.99, gensPerMonth: 120, maxLength: 15, resolution: '1080p', model: 'Pika-2.2', icon: '⭐', features: ['120 clips/month', '15s max', '1080p HD', 'No watermark', 'No ads'] },
-  pro: { name: 'Pro', price: 9.99, gensPerMonth: 300, maxLength: 30, resolution: '1080p', model: 'Luma Dream', icon: '👑', features: ['300 clips/month', '30s max', '1080p HD', 'All models', 'API access'] },
+  free: { name: 'Free', price: 0, gensPerMonth: 10, maxLength: 10, resolution: '768p', maxTakes: 2, maxShots: 3, model: 'Wan-2.1', icon: '⚡', features: ['10 clips/month', '10s max', '768p', 'Watermark'] },
+  basic: { name: 'Basic', price: 4.99, gensPerMonth: 120, maxLength: 15, resolution: '1080p', maxTakes: 4, maxShots: 6, model: 'Pika-2.2', icon: '⭐', features: ['120 clips/month', '15s max', '1080p HD', 'No watermark', 'No ads'] },
+  pro: { name: 'Pro', price: 9.99, gensPerMonth: 300, maxLength: 30, resolution: '1080p', maxTakes: 4, maxShots: 6, model: 'Luma Dream', icon: '👑', features: ['300 clips/month', '30s max', '1080p HD', 'All models', 'API access'] },
 };
 
 const PROMPT_IDEAS = [
@@ -77,9 +85,89 @@ const PROMPT_IDEAS = [
   { emoji: '🌃', text: 'Neon city streets at night with rain reflections' },
 ];
 
-const STORAGE_KEYS = { user: '@neoclip_user_v3', videos: '@neoclip_videos_v3', onboarding: '@neoclip_onboarding' };
+// Shown until GET /api/prompt answers with the server's preset library
+const DEFAULT_STYLE_PRESETS = [
+  { id: 'cinematic', name: 'Cinematic', emoji: '🎬' },
+  { id: 'anime', name: 'Anime', emoji: '🌸' },
+  { id: 'product', name: 'Product shot', emoji: '📦' },
+  { id: 'drone', name: 'Drone', emoji: '🚁' },
+];
+const PROMPT_PREVIEW_DELAY_MS = 600;
+// Batch takes with "Vary aspect ratio" use these, in order
+const BATCH_ASPECT_RATIOS = ['16:9', '9:16', '1:1', '4:3'];
+// Storyboards (POST /api/storyboard): 5s shots stitched with a transition
+const STORYBOARD_MIN_SHOTS = 2;
+const STORYBOARD_SHOT_SECONDS = 5;
+const STORYBOARD_TRANSITIONS = [
+  { id: 'fade', name: 'Fade' },
+  { id: 'dissolve', name: 'Dissolve' },
+  { id: 'wipe', name: 'Wipe' },
+  { id: 'slide', name: 'Slide' },
+  { id: 'cut', name: 'Cut' },
+];
+
+const STORAGE_KEYS = { user: '@neoclip_user_v3', videos: '@neoclip_videos_v3', onboarding: '@neoclip_onboarding', pending: '@neoclip_pending_v3', session: '@neoclip_session_v3' };
 const API_CONFIG = { baseUrl: 'https://neoclip302.vercel.app' };
 
+// Supabase Auth signs users in; the API then issues its own session token (POST /api/auth)
+const SUPABASE_CONFIG = {
+  url: Constants.expoConfig?.extra?.supabaseUrl,
+  anonKey: Constants.expoConfig?.extra?.supabaseAnonKey,
+};
+const supabase = SUPABASE_CONFIG.url && SUPABASE_CONFIG.anonKey
+  ? createClient(SUPABASE_CONFIG.url, SUPABASE_CONFIG.anonKey, {
+      auth: { storage: AsyncStorage, autoRefreshToken: true, persistSession: true, detectSessionInUrl: false },
+    })
+  : null;
+
+WebBrowser.maybeCompleteAuthSession();
+
+// Bonus clips for both sides of a referral (must match api/_lib/referrals.js)
+const REFERRAL_BONUS_CLIPS = 5;
+
+// Image-to-video frames (must match api/_lib/images.js)
+const FRAME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_FRAME_BYTES = 4 * 1024 * 1024;
+
+// Same lifecycle as main.js: POST /api/generate → poll /api/poll → completed
+const POLL_CONFIG = { intervalMs: 5000, maxTimeMs: 360000 };
+// Shots render one after another, so a storyboard may take much longer
+const STORYBOARD_MAX_POLL_MS = 45 * 60 * 1000;
+
+// Pending tasks survive app restarts so polling can resume on launch
+const loadPendingTasks = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.pending);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const savePendingTask = async (task) => {
+  const pending = await loadPendingTasks();
+  const updated = [task, ...pending.filter(t => t.taskId !== task.taskId)];
+  await AsyncStorage.setItem(STORAGE_KEYS.pending, JSON.stringify(updated));
+};
+
+const removePendingTask = async (taskId) => {
+  const pending = await loadPendingTasks();
+  await AsyncStorage.setItem(STORAGE_KEYS.pending, JSON.stringify(pending.filter(t => t.taskId !== taskId)));
+};
+
+// API requests carry the session token from POST /api/user or /api/auth
+const apiFetch = async (path, options = {}) => {
+  const token = await AsyncStorage.getItem(STORAGE_KEYS.session);
+  const headers = token ? { ...options.headers, Authorization: `Bearer ${token}` } : options.headers;
+  return fetch(`${API_CONFIG.baseUrl}${path}`, { ...options, headers });
+};
+
+// OAuth redirects return the Supabase tokens in the URL fragment
+const parseAuthParams = (url) => {
+  const query = url.includes('#') ? url.split('#')[1] : (url.split('?')[1] || '');
+  return Object.fromEntries(new URLSearchParams(query));
+};
+
 export default function App() {
   const [currentView, setCurrentView] = useState('splash');
   const [user, setUser] = useState(null);
@@ -95,13 +183,64 @@ export default function App() {
   const [authLoading, setAuthLoading] = useState(false);
   const [toast, setToast] = useState(null);
   const [showVideoModal, setShowVideoModal] = useState(false);
+  const [frames, setFrames] = useState({ start: null, end: null });
+  const [uploadingFrame, setUploadingFrame] = useState(null);
+  const [extendParent, setExtendParent] = useState(null);
+  const [stylePresets, setStylePresets] = useState(DEFAULT_STYLE_PRESETS);
+  const [style, setStyle] = useState(null);
+  const [expandPrompt, setExpandPrompt] = useState(true);
+  const [promptPreview, setPromptPreview] = useState(null);
+  const [takeCount, setTakeCount] = useState(1);
+  const [varyAspect, setVaryAspect] = useState(false);
+  // { groupId, takes: [{ taskId, index, aspectRatio }], failed: { [taskId|index]: error }, kept: { [taskId]: bool } }
+  const [batchReview, setBatchReview] = useState(null);
+  const [storyboardMode, setStoryboardMode] = useState(false);
+  const [storyboardShots, setStoryboardShots] = useState(['', '']);
+  const [chainFrames, setChainFrames] = useState(true);
+  const [transition, setTransition] = useState('fade');
   
   const fadeAnim = useRef(new Animated.Value(0)).current;
+  const pollTimersRef = useRef({});
+  const pollNowRef = useRef({});
 
   useEffect(() => {
     initializeApp();
+
+    // Timers are paused in the background - check right away on return
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') Object.values(pollNowRef.current).forEach(check => check());
+    });
+
+    return () => {
+      subscription.remove();
+      Object.values(pollTimersRef.current).forEach(clearTimeout);
+      pollTimersRef.current = {};
+      pollNowRef.current = {};
+    };
   }, []);
 
+  useEffect(() => {
+    if (currentView === 'library' && videos.length > 0) refreshLibraryUrls();
+  }, [currentView]);
+
+  // Preview what will actually be sent once typing pauses
+  useEffect(() => {
+    // Without a style the prompt is sent as typed
+    if (!prompt.trim() || !style) {
+      setPromptPreview(null);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const preview = await fetchPromptPreview();
+      if (!cancelled) setPromptPreview(preview);
+    }, PROMPT_PREVIEW_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [prompt, style, expandPrompt]);
+
   const initializeApp = async () => {
     try {
       await new Promise(resolve => setTimeout(resolve, 2000));
@@ -111,10 +250,17 @@ export default function App() {
       const hasSeenOnboarding = await AsyncStorage.getItem(STORAGE_KEYS.onboarding);
       
       if (storedVideos) setVideos(JSON.parse(storedVideos));
+      loadStylePresets();
       
       if (storedUser) {
         setUser(JSON.parse(storedUser));
         setCurrentView('create');
+
+        const pending = await loadPendingTasks();
+        if (pending.length > 0) {
+          showToast('Resuming your video generation... ⏳', 'info');
+          pending.forEach(trackGeneration);
+        }
       } else if (hasSeenOnboarding) {
         setCurrentView('auth');
       } else {
@@ -143,41 +289,86 @@ export default function App() {
     timezone: Localization.timezone,
   });
 
+  // Exchange a Supabase Auth session for an API session. The current
+  // (guest) session is sent along so its clips move to the account.
+  const completeSignIn = async (authSession, authProvider) => {
+    const deviceInfo = collectDeviceInfo();
+    const response = await apiFetch('/api/auth', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        accessToken: authSession.access_token,
+        platform: Platform.OS,
+        appVersion: deviceInfo.appVersion,
+        referralCode: authForm.referralCode.trim() || undefined,
+      }),
+    });
+    const result = await response.json();
+    if (!response.ok || !result.session?.token) {
+      throw new Error(result.message || result.error || 'Sign-in failed');
+    }
+
+    await AsyncStorage.setItem(STORAGE_KEYS.session, result.session.token);
+
+    const newUser = {
+      id: user?.id || `user-${Math.random().toString(36).substr(2, 9)}`,
+      ...deviceInfo,
+      serverId: result.user.id,
+      email: result.user.email || authSession.user?.email,
+      fullName: authSession.user?.user_metadata?.full_name || authForm.fullName || user?.fullName || 'NeoClip User',
+      authProvider,
+      tier: result.user.tier || 'free',
+      freeUsed: result.user.freeUsed ?? 0,
+      freeRemaining: result.user.freeRemaining ?? 10,
+      bonusClips: result.user.bonusClips ?? 0,
+      referralCode: result.user.referralCode,
+      referredBy: result.user.referredBy,
+      createdAt: user?.createdAt || new Date().toISOString(),
+    };
+
+    await AsyncStorage.setItem(STORAGE_KEYS.user, JSON.stringify(newUser));
+    setUser(newUser);
+
+    if (result.referral && !result.referral.redeemed) {
+      showToast(result.referral.error, 'error');
+    }
+    return result;
+  };
+
   const handleOAuthLogin = async (provider) => {
+    if (!supabase) {
+      showToast('Sign-in is not available right now', 'error');
+      return;
+    }
+
     setAuthLoading(true);
     try {
-      showToast(`Connecting to ${provider}...`, 'info');
-      await new Promise(resolve => setTimeout(resolve, 1500));
-      
-      const deviceInfo = collectDeviceInfo();
-      const newUser = {
-        id: `user-${Math.random().toString(36).substr(2, 9)}`,
-        ...deviceInfo,
-        email: `user@${provider.toLowerCase()}.com`,
-        fullName: 'NeoClip User',
-        authProvider: provider.toLowerCase(),
-        tier: 'free',
-        freeUsed: 0,
-        freeRemaining: 10,
-        referralCode: 'NC' + Math.random().toString(36).substr(2, 6).toUpperCase(),
-        createdAt: new Date().toISOString(),
-      };
-      
-      await AsyncStorage.setItem(STORAGE_KEYS.user, JSON.stringify(newUser));
-      setUser(newUser);
-      
-      try {
-        await fetch(`${API_CONFIG.baseUrl}/api/user`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(newUser),
-        });
-      } catch (e) { console.log('Backend registration deferred'); }
-      
-      showToast('Welcome to NeoClip! 🎬', 'success');
+      const redirectTo = Linking.createURL('auth/callback');
+      const { data, error } = await supabase.auth.signInWithOAuth({
+        provider: provider.toLowerCase(),
+        options: { redirectTo, skipBrowserRedirect: true },
+      });
+      if (error) throw error;
+
+      const browserResult = await WebBrowser.openAuthSessionAsync(data.url, redirectTo);
+      if (browserResult.type !== 'success') return;
+
+      const params = parseAuthParams(browserResult.url);
+      if (params.error) throw new Error(params.error_description || params.error);
+
+      const { data: sessionData, error: sessionError } = await supabase.auth.setSession({
+        access_token: params.access_token,
+        refresh_token: params.refresh_token,
+      });
+      if (sessionError) throw sessionError;
+
+      const result = await completeSignIn(sessionData.session, provider.toLowerCase());
+      if (!result.referral || result.referral.redeemed) {
+        showToast(result.merged ? 'Signed in - your guest clips were added 🎬' : 'Welcome to NeoClip! 🎬', 'success');
+      }
       setCurrentView('create');
     } catch (error) {
-      showToast('Authentication failed', 'error');
+      showToast(error.message || 'Authentication failed', 'error');
     } finally {
       setAuthLoading(false);
     }
@@ -188,39 +379,47 @@ export default function App() {
       showToast('Please fill in all fields', 'error');
       return;
     }
+
+    if (!supabase) {
+      showToast('Sign-in is not available right now', 'error');
+      return;
+    }
     
     setAuthLoading(true);
     try {
-      await new Promise(resolve => setTimeout(resolve, 1500));
-      
-      const deviceInfo = collectDeviceInfo();
-      const newUser = {
-        id: `user-${Math.random().toString(36).substr(2, 9)}`,
-        ...deviceInfo,
-        email: authForm.email,
-        fullName: authForm.fullName || 'NeoClip User',
-        authProvider: 'email',
-        tier: 'free',
-        freeUsed: 0,
-        freeRemaining: 10,
-        referralCode: 'NC' + Math.random().toString(36).substr(2, 6).toUpperCase(),
-        referredBy: authForm.referralCode || null,
-        createdAt: new Date().toISOString(),
-      };
-      
-      await AsyncStorage.setItem(STORAGE_KEYS.user, JSON.stringify(newUser));
-      setUser(newUser);
+      const credentials = { email: authForm.email.trim(), password: authForm.password };
+      const { data, error } = authMode === 'signup'
+        ? await supabase.auth.signUp({ ...credentials, options: { data: { full_name: authForm.fullName || undefined } } })
+        : await supabase.auth.signInWithPassword(credentials);
+      if (error) throw error;
+
+      // Projects with email confirmation return no session until the link is opened
+      if (!data.session) {
+        showToast('Check your email to confirm your account 📧', 'info');
+        setAuthMode('login');
+        return;
+      }
+
+      const result = await completeSignIn(data.session, 'email');
       
-      showToast(authMode === 'signup' ? 'Account created! 🎉' : 'Welcome back! 🎬', 'success');
+      if (!result.referral || result.referral.redeemed) {
+        showToast(authMode === 'signup' ? 'Account created! 🎉' : 'Welcome back! 🎬', 'success');
+      }
       setCurrentView('create');
     } catch (error) {
-      showToast('Authentication failed', 'error');
+      showToast(error.message || 'Authentication failed', 'error');
     } finally {
       setAuthLoading(false);
     }
   };
 
   const handleGuestContinue = async () => {
+    // Guests who opened sign-in from Settings keep their account
+    if (user) {
+      setCurrentView('create');
+      return;
+    }
+
     setAuthLoading(true);
     try {
       const deviceInfo = collectDeviceInfo();
@@ -231,12 +430,23 @@ export default function App() {
         tier: 'free',
         freeUsed: 0,
         freeRemaining: 10,
-        referralCode: 'NC' + Math.random().toString(36).substr(2, 6).toUpperCase(),
         createdAt: new Date().toISOString(),
       };
       
       await AsyncStorage.setItem(STORAGE_KEYS.user, JSON.stringify(newUser));
       setUser(newUser);
+
+      // Register right away so the guest gets their referral code
+      try {
+        await ensureServerUser(newUser);
+      } catch (e) { console.log('Guest registration deferred'); }
+
+      // Referral codes need a verified account - they are redeemed at sign-up
+      if (authForm.referralCode.trim()) {
+        showToast('Sign up with email to use your referral code', 'info');
+        setCurrentView('create');
+        return;
+      }
       
       showToast('Welcome! Create your first video 🎬', 'success');
       setCurrentView('create');
@@ -247,80 +457,598 @@ export default function App() {
     }
   };
 
+  // Make sure this install has an API session; returns the user with serverId set.
+  // Guests get an anonymous session for their device; accounts must sign in again.
+  const ensureServerUser = async (currentUser) => {
+    const token = await AsyncStorage.getItem(STORAGE_KEYS.session);
+    if (currentUser.serverId && token) return currentUser;
+
+    const response = await apiFetch('/api/user', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        deviceId: currentUser.id,
+        platform: Platform.OS,
+        appVersion: currentUser.appVersion,
+      }),
+    });
+    const result = await response.json();
+    if (response.status === 401) {
+      setCurrentView('auth');
+      throw new Error('Please sign in again');
+    }
+    if (!result.success || !result.user?.id) {
+      throw new Error(result.error || 'Could not reach NeoClip servers');
+    }
+    if (result.session?.token) {
+      await AsyncStorage.setItem(STORAGE_KEYS.session, result.session.token);
+    }
+
+    const updatedUser = {
+      ...currentUser,
+      serverId: result.user.id,
+      tier: result.user.tier || currentUser.tier,
+      freeUsed: result.user.freeUsed ?? currentUser.freeUsed,
+      freeRemaining: result.user.freeRemaining ?? currentUser.freeRemaining,
+      bonusClips: result.user.bonusClips ?? currentUser.bonusClips,
+      referralCode: result.user.referralCode || currentUser.referralCode,
+    };
+    setUser(updatedUser);
+    await AsyncStorage.setItem(STORAGE_KEYS.user, JSON.stringify(updatedUser));
+    return updatedUser;
+  };
+
+  // Pull tier/usage from the server (e.g. after a billing change)
+  const refreshServerUser = async (currentUser) => {
+    const response = await apiFetch('/api/user');
+    const result = await response.json();
+    if (!response.ok || !result.user) return currentUser;
+
+    const updatedUser = {
+      ...currentUser,
+      tier: result.user.tier,
+      freeUsed: result.user.freeUsed,
+      freeRemaining: result.user.freeRemaining,
+      bonusClips: result.user.bonusClips,
+      subscriptionStatus: result.user.subscriptionStatus,
+    };
+    setUser(updatedUser);
+    await AsyncStorage.setItem(STORAGE_KEYS.user, JSON.stringify(updatedUser));
+    return updatedUser;
+  };
+
+  // New subscribers go through Stripe Checkout; subscribers change or
+  // cancel their plan in the Stripe customer portal
+  const handleSubscribe = async (tier) => {
+    try {
+      const serverUser = await ensureServerUser(user);
+      const subscribed = serverUser.tier !== 'free';
+      const returnUrl = Linking.createURL('billing');
+
+      const response = await apiFetch(subscribed ? '/api/portal' : '/api/checkout', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(subscribed
+          ? { returnUrl }
+          : { tier, successUrl: `${returnUrl}?status=success`, cancelUrl: `${returnUrl}?status=cancelled` }),
+      });
+      const result = await response.json();
+      if (!response.ok || !result.url) {
+        throw new Error(result.message || result.error || 'Billing is unavailable');
+      }
+
+      const browserResult = await WebBrowser.openAuthSessionAsync(result.url, returnUrl);
+      const returned = browserResult.type === 'success' ? browserResult.url : '';
+      if (returned.includes('status=cancelled')) {
+        showToast('Checkout cancelled - no charge was made', 'info');
+        return;
+      }
+
+      // The billing webhook usually lands before the redirect, but not always
+      const updated = await refreshServerUser(serverUser);
+      if (returned.includes('status=success') && updated.tier === 'free') {
+        showToast('Payment received - your plan will activate shortly', 'info');
+      } else if (updated.tier !== serverUser.tier) {
+        showToast(`${PRICING[updated.tier].icon} You're on ${PRICING[updated.tier].name}!`, 'success');
+        setCurrentView('create');
+      }
+    } catch (error) {
+      showToast(error.message || 'Billing is unavailable', 'error');
+    }
+  };
+
+  const storeVideo = async (video) => {
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.videos);
+    const current = stored ? JSON.parse(stored) : [];
+    const updatedVideos = [video, ...current.filter(v => v.id !== video.id)];
+    await AsyncStorage.setItem(STORAGE_KEYS.videos, JSON.stringify(updatedVideos));
+    setVideos(updatedVideos);
+  };
+
+  const loadStylePresets = async () => {
+    try {
+      const response = await apiFetch('/api/prompt');
+      const result = await response.json();
+      if (response.ok && result.styles?.length) setStylePresets(result.styles);
+    } catch (error) {
+      // The built-in presets still work - the server knows them all
+    }
+  };
+
+  const fetchPromptPreview = async () => {
+    try {
+      const response = await apiFetch('/api/prompt', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ prompt: prompt.trim(), style, expandPrompt }),
+      });
+      const result = await response.json();
+      return response.ok ? result : null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  // Stored videos and posters are served through signed URLs that expire -
+  // swap in fresh ones from the server's copy of the library
+  const refreshLibraryUrls = async () => {
+    try {
+      const response = await apiFetch('/api/status?limit=50');
+      const result = await response.json();
+      if (!response.ok || !result.generations) return;
+
+      const fresh = Object.fromEntries(result.generations.map(g => [g.generationId, g]));
+      const stored = await AsyncStorage.getItem(STORAGE_KEYS.videos);
+      const current = stored ? JSON.parse(stored) : [];
+      const updatedVideos = current.map(video => {
+        const generation = fresh[video.id];
+        if (!generation?.videoUrl) return video;
+        return { ...video, url: generation.videoUrl, thumbnailUrl: generation.thumbnailUrl || video.thumbnailUrl || null };
+      });
+      await AsyncStorage.setItem(STORAGE_KEYS.videos, JSON.stringify(updatedVideos));
+      setVideos(updatedVideos);
+    } catch (error) {
+      // Keep the URLs we have - posters fall back to the gradient
+      console.log('Library refresh error:', error.message);
+    }
+  };
+
+  const stopTracking = (taskId) => {
+    clearTimeout(pollTimersRef.current[taskId]);
+    delete pollTimersRef.current[taskId];
+    delete pollNowRef.current[taskId];
+    if (Object.keys(pollNowRef.current).length === 0) {
+      setIsGenerating(false);
+      setGeneratingProgress(0);
+    }
+  };
+
+  // Poll a pending task until it completes, fails or times out
+  const trackGeneration = (task) => {
+    if (pollNowRef.current[task.taskId]) return;
+    setIsGenerating(true);
+
+    const finish = async (message, type) => {
+      stopTracking(task.taskId);
+      await removePendingTask(task.taskId);
+      if (message) showToast(message, type);
+    };
+
+    const check = async () => {
+      clearTimeout(pollTimersRef.current[task.taskId]);
+      delete pollTimersRef.current[task.taskId];
+
+      if (Date.now() - task.startedAt > (task.maxTimeMs || POLL_CONFIG.maxTimeMs)) {
+        await finish('Generation timed out. Please try again.', 'error');
+        return;
+      }
+
+      try {
+        const response = await apiFetch(
+          `/api/poll?generationId=${encodeURIComponent(task.taskId)}&provider=${encodeURIComponent(task.provider || '')}`
+        );
+        const result = await response.json();
+        if (!pollNowRef.current[task.taskId]) return;
+
+        if (response.status === 429) {
+          // Throttled - wait as long as the server asks
+          const retryAfter = parseInt(response.headers.get('Retry-After'), 10) || 10;
+          pollTimersRef.current[task.taskId] = setTimeout(check, Math.max(retryAfter * 1000, POLL_CONFIG.intervalMs));
+          return;
+        }
+
+        if (result.status === 'completed' && result.videoUrl) {
+          const newVideo = {
+            id: task.taskId,
+            url: result.videoUrl,
+            thumbnailUrl: result.thumbnailUrl || null,
+            prompt: task.prompt,
+            tier: task.tier,
+            duration: task.duration,
+            model: task.model,
+            provider: task.provider,
+            parentId: task.parentId || null,
+            groupId: task.groupId || null,
+            kind: task.kind || 'clip',
+            timestamp: Date.now(),
+          };
+          await storeVideo(newVideo);
+          setGeneratingProgress(100);
+
+          // Batch takes wait for the comparison grid
+          if (task.groupId) {
+            await finish(null);
+            return;
+          }
+          await finish('Video generated! 🎬', 'success');
+
+          setTimeout(() => {
+            setSelectedVideo(newVideo);
+            setShowVideoModal(true);
+          }, 500);
+          return;
+        }
+
+        if (result.status === 'failed' || result.status === 'cancelled') {
+          if (task.groupId) markTakeFailed(task.groupId, task.taskId, result.error || 'Generation failed');
+          await finish(result.error || 'Generation failed', 'error');
+          return;
+        }
+
+        if (result.progress) setGeneratingProgress(result.progress);
+      } catch (error) {
+        // Network hiccup - keep the task and retry on the next tick
+        console.log('Poll error:', error.message);
+      }
+
+      if (pollNowRef.current[task.taskId]) {
+        pollTimersRef.current[task.taskId] = setTimeout(check, POLL_CONFIG.intervalMs);
+      }
+    };
+
+    pollNowRef.current[task.taskId] = check;
+    check();
+  };
+
+  const markTakeFailed = (groupId, key, error) => {
+    setBatchReview(prev => prev?.groupId === groupId
+      ? { ...prev, failed: { ...prev.failed, [key]: error }, kept: { ...prev.kept, [key]: false } }
+      : prev);
+  };
+
+  // Keep the selected takes, discard the rest (PATCH /api/status) and drop
+  // the discarded ones from the local library
+  const saveBatchSelection = async () => {
+    const review = batchReview;
+    if (!review) return;
+    const keep = review.takes.filter(take => review.kept[take.taskId]).map(take => take.taskId);
+
+    try {
+      const response = await apiFetch('/api/status', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ groupId: review.groupId, keep }),
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || result.message || 'Could not save your selection');
+
+      const discarded = review.takes.map(take => take.taskId).filter(id => !keep.includes(id));
+      const stored = await AsyncStorage.getItem(STORAGE_KEYS.videos);
+      const updatedVideos = (stored ? JSON.parse(stored) : []).filter(video => !discarded.includes(video.id));
+      await AsyncStorage.setItem(STORAGE_KEYS.videos, JSON.stringify(updatedVideos));
+      setVideos(updatedVideos);
+      setBatchReview(null);
+      showToast(`Kept ${keep.length} take${keep.length === 1 ? '' : 's'} ✅`, 'success');
+    } catch (error) {
+      showToast(error.message || 'Could not save your selection', 'error');
+    }
+  };
+
+  // Pick an image from the library and upload it as a start/end frame
+  const pickFrame = async (frame) => {
+    const permission = await ImagePicker.requestMediaLibraryPermissionsAsync();
+    if (!permission.granted) {
+      showToast('Photo access is needed to pick a frame', 'error');
+      return;
+    }
+
+    const picked = await ImagePicker.launchImageLibraryAsync({
+      mediaTypes: ImagePicker.MediaTypeOptions.Images,
+      quality: 0.8,
+    });
+    if (picked.canceled || !picked.assets?.length) return;
+
+    const asset = picked.assets[0];
+    const mimeType = asset.mimeType || 'image/jpeg';
+    if (!FRAME_TYPES.includes(mimeType)) {
+      showToast('Please choose a JPEG, PNG or WebP image', 'error');
+      return;
+    }
+    if (asset.fileSize && asset.fileSize > MAX_FRAME_BYTES) {
+      showToast('Image too large (max 4 MB)', 'error');
+      return;
+    }
+
+    setUploadingFrame(frame);
+    try {
+      await ensureServerUser(user);
+      const image = await fetch(asset.uri);
+      const body = await image.blob();
+
+      const response = await apiFetch('/api/upload', {
+        method: 'POST',
+        headers: { 'Content-Type': mimeType },
+        body,
+      });
+      const result = await response.json();
+      if (!response.ok || !result.imageUrl) {
+        throw new Error(result.error || result.message || 'Upload failed');
+      }
+
+      setFrames(prev => ({ ...prev, [frame]: { uri: asset.uri, url: result.imageUrl } }));
+    } catch (error) {
+      showToast(error.message || 'Upload failed', 'error');
+    } finally {
+      setUploadingFrame(null);
+    }
+  };
+
   const handleGenerate = async () => {
+    if (storyboardMode && !extendParent) return handleStoryboard();
+
     if (!prompt.trim()) {
       showToast('Please describe your video', 'error');
       return;
     }
     
-    if (user?.freeRemaining <= 0 && user?.tier === 'free') {
+    if (user?.freeRemaining <= 0 && !(user?.bonusClips > 0) && user?.tier === 'free') {
       showToast('No free clips left! Upgrade for more 👑', 'error');
       setCurrentView('upgrade');
       return;
     }
     
+    if (extendParent && (frames.start || frames.end)) {
+      showToast('Remove the image frames to extend a video', 'error');
+      return;
+    }
+
+    if (frames.end && !frames.start) {
+      showToast('Add a start frame to use an end frame', 'error');
+      return;
+    }
+
+    if (uploadingFrame) {
+      showToast('Please wait for the image upload to finish', 'error');
+      return;
+    }
+
     setIsGenerating(true);
-    setGeneratingProgress(0);
+    setGeneratingProgress(5);
     
     try {
-      const progressInterval = setInterval(() => {
-        setGeneratingProgress(prev => Math.min(prev + Math.random() * 15, 90));
-      }, 1500);
-      
-      const response = await fetch(`${API_CONFIG.baseUrl}/api/generate`, {
+      const serverUser = await ensureServerUser(user);
+
+      const response = await apiFetch('/api/generate', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           prompt: prompt.trim(),
-          userId: user?.id,
+          imageUrl: frames.start?.url,
+          endImageUrl: frames.end?.url,
+          parentTaskId: extendParent?.id,
           tier: selectedTier,
-          length: duration,
+          duration,
+          resolution: PRICING[selectedTier].resolution,
+          style,
+          expandPrompt,
+          batch: takeCount > 1 && !extendParent
+            ? (varyAspect ? { aspectRatios: BATCH_ASPECT_RATIOS.slice(0, takeCount) } : { count: takeCount })
+            : undefined,
         }),
       });
       
       const result = await response.json();
-      
-      clearInterval(progressInterval);
-      setGeneratingProgress(100);
-      
-      if (result.success && result.videoUrl) {
-        const newVideo = {
-          id: Date.now().toString(),
-          url: result.videoUrl,
+
+      if (response.status === 401) {
+        // Expired or revoked - the next attempt opens a new session
+        await AsyncStorage.removeItem(STORAGE_KEYS.session);
+        throw new Error('Session expired - please try again');
+      }
+
+      if (response.status === 402) {
+        setIsGenerating(false);
+        setGeneratingProgress(0);
+        showToast(result.message || 'No clips left! Upgrade for more 👑', 'error');
+        setCurrentView('upgrade');
+        return;
+      }
+
+      if (response.status === 429) {
+        throw new Error(result.message || `Too many requests - try again in ${result.retryAfter || 60}s`);
+      }
+
+      if (response.status === 422 && result.message) {
+        // Moderation or an unsupported extension - the message says why
+        throw new Error(result.message);
+      }
+
+      if (!response.ok || !result.success || !(result.generationId || result.groupId)) {
+        throw new Error(result.error || result.message || 'Generation failed');
+      }
+
+      if (result.freeUsed !== undefined && result.freeRemaining !== undefined) {
+        const updatedUser = { ...serverUser, freeUsed: result.freeUsed, freeRemaining: result.freeRemaining, bonusClips: result.bonusClips ?? serverUser.bonusClips };
+        setUser(updatedUser);
+        await AsyncStorage.setItem(STORAGE_KEYS.user, JSON.stringify(updatedUser));
+      }
+
+      if (result.groupId) {
+        const tasks = result.takes.map(take => ({
+          taskId: take.generationId,
+          provider: take.provider,
           prompt: prompt.trim(),
-          tier: selectedTier,
-          duration,
-          model: result.model || PRICING[selectedTier].model,
-          timestamp: Date.now(),
-        };
-        
-        const updatedVideos = [newVideo, ...videos];
-        setVideos(updatedVideos);
-        await AsyncStorage.setItem(STORAGE_KEYS.videos, JSON.stringify(updatedVideos));
-        
-        if (selectedTier === 'free' && user) {
-          const updatedUser = {
-            ...user,
-            freeUsed: (user.freeUsed || 0) + 1,
-            freeRemaining: Math.max(0, (user.freeRemaining || 10) - 1),
-          };
-          setUser(updatedUser);
-          await AsyncStorage.setItem(STORAGE_KEYS.user, JSON.stringify(updatedUser));
-        }
-        
-        showToast('Video generated! 🎬', 'success');
+          tier: result.tier || selectedTier,
+          duration: take.options?.duration ?? duration,
+          model: take.providerName || PRICING[selectedTier].model,
+          groupId: result.groupId,
+          startedAt: Date.now(),
+        }));
+        for (const task of tasks) await savePendingTask(task);
+
+        setBatchReview({
+          groupId: result.groupId,
+          takes: [
+            ...result.takes.map(take => ({ taskId: take.generationId, index: take.index, aspectRatio: take.aspectRatio })),
+            ...result.failed.map(take => ({ taskId: `failed-${take.index}`, index: take.index, aspectRatio: take.aspectRatio })),
+          ].sort((a, b) => a.index - b.index),
+          failed: Object.fromEntries(result.failed.map(take => [`failed-${take.index}`, take.error])),
+          kept: Object.fromEntries(result.takes.map(take => [take.generationId, true])),
+        });
+
+        showToast(
+          result.refunded
+            ? `⏱️ ${tasks.length} takes started - ${result.refunded} could not start and were refunded`
+            : `⏱️ ${tasks.length} takes started - this takes 3-5 minutes`,
+          'info'
+        );
         setPrompt('');
-        
-        setTimeout(() => {
-          setSelectedVideo(newVideo);
-          setShowVideoModal(true);
-        }, 500);
-      } else {
-        throw new Error(result.error || 'Generation failed');
+        setGeneratingProgress(15);
+        tasks.forEach(trackGeneration);
+        return;
       }
+
+      const task = {
+        taskId: result.generationId,
+        provider: result.provider,
+        prompt: prompt.trim(),
+        tier: result.tier || selectedTier,
+        // Providers may round to the clip lengths they support
+        duration: result.options?.duration ?? duration,
+        model: result.providerName || PRICING[selectedTier].model,
+        parentId: extendParent?.id,
+        startedAt: Date.now(),
+      };
+      await savePendingTask(task);
+
+      showToast(
+        result.moderation?.rewritten
+          ? '🛡️ Personal details were removed from your prompt'
+          : '⏱️ Generating - this takes 3-5 minutes',
+        'info'
+      );
+      setPrompt('');
+      setExtendParent(null);
+      setGeneratingProgress(15);
+      trackGeneration(task);
     } catch (error) {
       showToast(error.message || 'Generation failed', 'error');
-    } finally {
+      setIsGenerating(false);
+      setGeneratingProgress(0);
+    }
+  };
+
+  const updateStoryboardShot = (index, text) => {
+    setStoryboardShots(prev => prev.map((shot, i) => (i === index ? text : shot)));
+  };
+
+  const addStoryboardShot = () => {
+    setStoryboardShots(prev => (prev.length < PRICING[selectedTier].maxShots ? [...prev, ''] : prev));
+  };
+
+  const removeStoryboardShot = (index) => {
+    setStoryboardShots(prev => (prev.length > STORYBOARD_MIN_SHOTS ? prev.filter((_, i) => i !== index) : prev));
+  };
+
+  // One composite generation: the server renders every shot and stitches them
+  const handleStoryboard = async () => {
+    const shots = storyboardShots.map(shot => shot.trim());
+    if (shots.some(shot => !shot)) {
+      showToast('Describe every shot', 'error');
+      return;
+    }
+
+    if (shots.length > PRICING[selectedTier].maxShots) {
+      showToast(`${PRICING[selectedTier].name} storyboards have up to ${PRICING[selectedTier].maxShots} shots`, 'error');
+      return;
+    }
+
+    if (uploadingFrame) {
+      showToast('Please wait for the image upload to finish', 'error');
+      return;
+    }
+
+    setIsGenerating(true);
+    setGeneratingProgress(5);
+
+    try {
+      const serverUser = await ensureServerUser(user);
+
+      const response = await apiFetch('/api/storyboard', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          shots: shots.map(shot => ({ prompt: shot })),
+          chainFrames,
+          transition,
+          imageUrl: frames.start?.url,
+          tier: selectedTier,
+          duration: STORYBOARD_SHOT_SECONDS,
+          resolution: PRICING[selectedTier].resolution,
+          style,
+          expandPrompt,
+        }),
+      });
+
+      const result = await response.json();
+
+      if (response.status === 401) {
+        await AsyncStorage.removeItem(STORAGE_KEYS.session);
+        throw new Error('Session expired - please try again');
+      }
+
+      if (response.status === 402) {
+        setIsGenerating(false);
+        setGeneratingProgress(0);
+        showToast(result.message || 'Not enough clips left! Upgrade for more 👑', 'error');
+        setCurrentView('upgrade');
+        return;
+      }
+
+      if (response.status === 429) {
+        throw new Error(result.message || `Too many requests - try again in ${result.retryAfter || 60}s`);
+      }
+
+      if (!response.ok || !result.success || !result.generationId) {
+        // Moderation names the shot it rejected
+        const reason = result.message || result.error || 'Storyboard failed';
+        throw new Error(result.shot ? `Shot ${result.shot}: ${reason}` : reason);
+      }
+
+      if (result.freeUsed !== undefined && result.freeRemaining !== undefined) {
+        const updatedUser = { ...serverUser, freeUsed: result.freeUsed, freeRemaining: result.freeRemaining, bonusClips: result.bonusClips ?? serverUser.bonusClips };
+        setUser(updatedUser);
+        await AsyncStorage.setItem(STORAGE_KEYS.user, JSON.stringify(updatedUser));
+      }
+
+      const task = {
+        taskId: result.generationId,
+        provider: 'storyboard',
+        kind: 'storyboard',
+        prompt: shots.join(' → '),
+        tier: result.tier || selectedTier,
+        duration: (result.options?.duration ?? STORYBOARD_SHOT_SECONDS) * shots.length,
+        model: 'Storyboard',
+        maxTimeMs: STORYBOARD_MAX_POLL_MS,
+        startedAt: Date.now(),
+      };
+      await savePendingTask(task);
+
+      showToast(`🎞️ Storyboard started - ${shots.length} shots, this takes a while`, 'info');
+      setStoryboardShots(['', '']);
+      setGeneratingProgress(10);
+      trackGeneration(task);
+    } catch (error) {
+      showToast(error.message || 'Storyboard failed', 'error');
       setIsGenerating(false);
       setGeneratingProgress(0);
     }
@@ -440,6 +1168,9 @@ export default function App() {
   );
 
   // RENDER CREATE
+  const isStoryboard = storyboardMode && !extendParent;
+  const canGenerate = isStoryboard ? storyboardShots.every(shot => shot.trim()) : !!prompt.trim();
+
   const renderCreate = () => (
     <ScrollView style={styles.container} contentContainerStyle={{ padding: 16 }}>
       <View style={styles.createHeader}>
@@ -448,9 +1179,9 @@ export default function App() {
           <Text style={styles.screenSubtitle}>Describe your vision</Text>
         </View>
         <TouchableOpacity style={styles.creditsChip}>
-          <LinearGradient colors={user?.freeRemaining > 0 ? GRADIENTS.primary : ['#4B5563', '#374151']} style={styles.creditsChipGradient}>
+          <LinearGradient colors={user?.freeRemaining > 0 || user?.bonusClips > 0 ? GRADIENTS.primary : ['#4B5563', '#374151']} style={styles.creditsChipGradient}>
             <Text style={{ marginRight: 6 }}>⚡</Text>
-            <Text style={styles.creditsChipText}>{user?.freeRemaining || 0} left</Text>
+            <Text style={styles.creditsChipText}>{(user?.freeRemaining || 0) + (user?.bonusClips || 0)} left</Text>
           </LinearGradient>
         </TouchableOpacity>
       </View>
@@ -465,36 +1196,123 @@ export default function App() {
         ))}
       </View>
       
-      <View style={styles.promptContainer}>
-        <Text style={styles.inputLabel}>Describe your video</Text>
-        <View style={styles.promptInputWrapper}>
-          <TextInput style={styles.promptInput} value={prompt} onChangeText={setPrompt} placeholder="A majestic lion walking through golden savanna..." placeholderTextColor={COLORS.textDim} multiline maxLength={500} />
-          <Text style={styles.charCount}>{prompt.length}/500</Text>
+      {extendParent && (
+        <View style={styles.extendBanner}>
+          <Text style={{ flex: 1, fontSize: 13, color: COLORS.textSecondary }} numberOfLines={2}>➕ Extending: <Text style={{ color: '#fff' }}>{extendParent.prompt}</Text></Text>
+          <TouchableOpacity onPress={() => setExtendParent(null)} style={{ paddingLeft: 12 }}>
+            <Text style={{ fontSize: 16, color: COLORS.textSecondary }}>✕</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {!extendParent && (
+        <View style={[styles.expandRow, { marginTop: 0, marginBottom: 16 }]}>
+          <Text style={{ fontSize: 13, color: COLORS.textSecondary, flex: 1 }}>🎞️ Storyboard - several shots stitched into one video</Text>
+          <Switch value={storyboardMode} onValueChange={setStoryboardMode} trackColor={{ true: COLORS.primary }} />
+        </View>
+      )}
+
+      {storyboardMode && !extendParent ? renderStoryboardEditor() : (
+        <View style={styles.promptContainer}>
+          <Text style={styles.inputLabel}>{extendParent ? 'What happens next?' : 'Describe your video'}</Text>
+          <View style={styles.promptInputWrapper}>
+            <TextInput style={styles.promptInput} value={prompt} onChangeText={setPrompt} placeholder="A majestic lion walking through golden savanna..." placeholderTextColor={COLORS.textDim} multiline maxLength={500} />
+            <Text style={styles.charCount}>{prompt.length}/500</Text>
+          </View>
+        </View>
+      )}
+
+      <View style={{ marginBottom: 24 }}>
+        <Text style={styles.inputLabel}>🖼️ Animate an image (optional)</Text>
+        <View style={styles.frameRow}>
+          {[{ key: 'start', label: 'Start frame' }, { key: 'end', label: 'End frame' }].filter(({ key }) => !isStoryboard || key === 'start').map(({ key, label }) => (
+            <View key={key} style={styles.frameSlot}>
+              <TouchableOpacity onPress={() => pickFrame(key)} disabled={!!uploadingFrame} style={styles.frameButton}>
+                {frames[key] ? (
+                  <Image source={{ uri: frames[key].uri }} style={styles.framePreview} />
+                ) : uploadingFrame === key ? (
+                  <ActivityIndicator color={COLORS.primary} />
+                ) : (
+                  <Text style={{ fontSize: 13, color: COLORS.textMuted }}>+ {label}</Text>
+                )}
+              </TouchableOpacity>
+              {frames[key] && (
+                <TouchableOpacity onPress={() => setFrames(prev => ({ ...prev, [key]: null }))} style={styles.frameRemove}>
+                  <Text style={{ color: '#fff', fontSize: 12 }}>✕</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          ))}
         </View>
       </View>
       
+      {!isStoryboard && (
+        <View style={{ marginBottom: 24 }}>
+          <Text style={styles.inputLabel}>✨ Try these ideas:</Text>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={{ marginTop: 8 }}>
+            {PROMPT_IDEAS.map((idea, i) => (
+              <TouchableOpacity key={i} onPress={() => setPrompt(idea.text)} style={styles.promptIdeaChip}>
+                <Text style={{ fontSize: 16, marginRight: 6 }}>{idea.emoji}</Text>
+                <Text style={{ fontSize: 13, color: COLORS.textSecondary }} numberOfLines={1}>{idea.text.split(',')[0]}</Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+        </View>
+      )}
+
       <View style={{ marginBottom: 24 }}>
-        <Text style={styles.inputLabel}>✨ Try these ideas:</Text>
+        <Text style={styles.inputLabel}>🎨 Style</Text>
         <ScrollView horizontal showsHorizontalScrollIndicator={false} style={{ marginTop: 8 }}>
-          {PROMPT_IDEAS.map((idea, i) => (
-            <TouchableOpacity key={i} onPress={() => setPrompt(idea.text)} style={styles.promptIdeaChip}>
-              <Text style={{ fontSize: 16, marginRight: 6 }}>{idea.emoji}</Text>
-              <Text style={{ fontSize: 13, color: COLORS.textSecondary }} numberOfLines={1}>{idea.text.split(',')[0]}</Text>
+          {stylePresets.map(preset => (
+            <TouchableOpacity key={preset.id} onPress={() => setStyle(style === preset.id ? null : preset.id)} style={[styles.promptIdeaChip, style === preset.id && styles.promptIdeaChipActive]}>
+              <Text style={{ fontSize: 16, marginRight: 6 }}>{preset.emoji}</Text>
+              <Text style={{ fontSize: 13, color: style === preset.id ? COLORS.text : COLORS.textSecondary }} numberOfLines={1}>{preset.name}</Text>
             </TouchableOpacity>
           ))}
         </ScrollView>
+        <View style={styles.expandRow}>
+          <Text style={{ fontSize: 13, color: COLORS.textSecondary, flex: 1 }}>Enhance prompt (adds the style's detail, lets the model rewrite it)</Text>
+          <Switch value={expandPrompt} onValueChange={setExpandPrompt} trackColor={{ true: COLORS.primary }} />
+        </View>
+        {promptPreview?.enhancedPrompt && (
+          <View style={styles.promptPreview}>
+            <Text style={{ fontSize: 11, color: COLORS.textDim, marginBottom: 4 }}>WILL BE SENT AS</Text>
+            <Text style={{ fontSize: 13, color: COLORS.textSecondary }}>{promptPreview.enhancedPrompt}</Text>
+          </View>
+        )}
       </View>
       
-      <View style={{ marginBottom: 24 }}>
-        <Text style={styles.inputLabel}>Duration: {duration}s (max {PRICING[selectedTier].maxLength}s)</Text>
-        <View style={styles.durationSlider}>
-          {Array.from({ length: PRICING[selectedTier].maxLength - 2 }, (_, i) => i + 3).map(sec => (
-            <TouchableOpacity key={sec} onPress={() => setDuration(sec)} style={[styles.durationDot, duration >= sec && styles.durationDotActive]} />
-          ))}
+      {!isStoryboard && (
+        <View style={{ marginBottom: 24 }}>
+          <Text style={styles.inputLabel}>Duration: {duration}s (max {PRICING[selectedTier].maxLength}s)</Text>
+          <View style={styles.durationSlider}>
+            {Array.from({ length: PRICING[selectedTier].maxLength - 2 }, (_, i) => i + 3).map(sec => (
+              <TouchableOpacity key={sec} onPress={() => setDuration(sec)} style={[styles.durationDot, duration >= sec && styles.durationDotActive]} />
+            ))}
+          </View>
         </View>
-      </View>
+      )}
+
+      {!extendParent && !isStoryboard && (
+        <View style={{ marginBottom: 24 }}>
+          <Text style={styles.inputLabel}>🎞️ Takes: {takeCount}{takeCount > 1 ? ` (uses ${takeCount} clips)` : ''}</Text>
+          <View style={styles.takeRow}>
+            {Array.from({ length: PRICING[selectedTier].maxTakes }, (_, i) => i + 1).map(count => (
+              <TouchableOpacity key={count} onPress={() => setTakeCount(count)} style={[styles.takeChip, takeCount === count && styles.promptIdeaChipActive]}>
+                <Text style={{ fontSize: 14, color: takeCount === count ? COLORS.text : COLORS.textSecondary }}>{count}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          {takeCount > 1 && (
+            <View style={styles.expandRow}>
+              <Text style={{ fontSize: 13, color: COLORS.textSecondary, flex: 1 }}>Vary aspect ratio instead of seed</Text>
+              <Switch value={varyAspect} onValueChange={setVaryAspect} trackColor={{ true: COLORS.primary }} />
+            </View>
+          )}
+        </View>
+      )}
       
-      <TouchableOpacity onPress={handleGenerate} disabled={!prompt.trim() || isGenerating} style={[styles.generateButton, (!prompt.trim() || isGenerating) && { opacity: 0.5 }]}>
+      <TouchableOpacity onPress={handleGenerate} disabled={!canGenerate || isGenerating} style={[styles.generateButton, (!canGenerate || isGenerating) && { opacity: 0.5 }]}>
         <LinearGradient colors={GRADIENTS.primary} style={styles.generateButtonGradient}>
           {isGenerating ? (
             <>
@@ -503,7 +1321,7 @@ export default function App() {
             </>
           ) : (
             <>
-              <Text style={styles.generateButtonText}>Generate {duration}s Video</Text>
+              <Text style={styles.generateButtonText}>{isStoryboard ? `Generate ${storyboardShots.length}-Shot Storyboard` : `Generate ${duration}s Video`}</Text>
               <Text style={{ fontSize: 20, marginLeft: 8 }}>✨</Text>
             </>
           )}
@@ -516,11 +1334,90 @@ export default function App() {
       </TouchableOpacity>
       
       {selectedTier === 'free' && <Text style={styles.freeNotice}>Free videos include a 5s promotional end card</Text>}
+
+      {batchReview && renderBatchReview()}
       
       <View style={{ height: 100 }} />
     </ScrollView>
   );
 
+  // One prompt per shot, plus how shots connect
+  const renderStoryboardEditor = () => (
+    <View style={styles.promptContainer}>
+      <Text style={styles.inputLabel}>Shots ({STORYBOARD_SHOT_SECONDS}s each, uses {storyboardShots.length} clips)</Text>
+      {storyboardShots.map((shot, index) => (
+        <View key={index} style={styles.storyboardShot}>
+          <Text style={styles.storyboardShotNumber}>{index + 1}</Text>
+          <TextInput style={styles.storyboardShotInput} value={shot} onChangeText={text => updateStoryboardShot(index, text)} placeholder={index === 0 ? 'A fox wakes up in its den...' : 'Then...'} placeholderTextColor={COLORS.textDim} multiline maxLength={500} />
+          {storyboardShots.length > STORYBOARD_MIN_SHOTS && (
+            <TouchableOpacity onPress={() => removeStoryboardShot(index)} style={{ paddingLeft: 10 }}>
+              <Text style={{ fontSize: 16, color: COLORS.textSecondary }}>✕</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      ))}
+      {storyboardShots.length < PRICING[selectedTier].maxShots && (
+        <TouchableOpacity onPress={addStoryboardShot} style={styles.storyboardAddButton}>
+          <Text style={{ fontSize: 14, color: COLORS.primary }}>+ Add shot</Text>
+        </TouchableOpacity>
+      )}
+      <View style={styles.expandRow}>
+        <Text style={{ fontSize: 13, color: COLORS.textSecondary, flex: 1 }}>Start each shot from the last frame of the one before</Text>
+        <Switch value={chainFrames} onValueChange={setChainFrames} trackColor={{ true: COLORS.primary }} />
+      </View>
+      <Text style={[styles.inputLabel, { marginTop: 16 }]}>Transition</Text>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={{ marginTop: 8 }}>
+        {STORYBOARD_TRANSITIONS.map(option => (
+          <TouchableOpacity key={option.id} onPress={() => setTransition(option.id)} style={[styles.promptIdeaChip, transition === option.id && styles.promptIdeaChipActive]}>
+            <Text style={{ fontSize: 13, color: transition === option.id ? COLORS.text : COLORS.textSecondary }}>{option.name}</Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+    </View>
+  );
+
+  // Comparison grid for a batch: tap a finished take to play it, keep or discard each
+  const renderBatchReview = () => (
+    <View style={{ marginTop: 24 }}>
+      <Text style={styles.inputLabel}>🎞️ Compare your takes</Text>
+      <View style={styles.batchGrid}>
+        {batchReview.takes.map(take => {
+          const video = videos.find(v => v.id === take.taskId);
+          const error = batchReview.failed[take.taskId];
+          const kept = !!batchReview.kept[take.taskId];
+          return (
+            <View key={take.taskId} style={[styles.batchTake, !kept && { opacity: 0.5 }]}>
+              <TouchableOpacity
+                disabled={!video}
+                onPress={() => { setSelectedVideo(video); setShowVideoModal(true); }}
+                style={styles.batchTakeMedia}
+              >
+                {video?.thumbnailUrl ? (
+                  <Image source={{ uri: video.thumbnailUrl }} style={StyleSheet.absoluteFill} />
+                ) : (
+                  <Text style={{ fontSize: 12, color: COLORS.textMuted, textAlign: 'center' }}>
+                    {error ? `⚠️ ${error}` : video ? '▶️ Tap to play' : '⏳ Generating...'}
+                  </Text>
+                )}
+              </TouchableOpacity>
+              <View style={styles.batchTakeFooter}>
+                <Text style={{ fontSize: 12, color: COLORS.textSecondary }}>Take {take.index + 1}{take.aspectRatio ? ` · ${take.aspectRatio}` : ''}</Text>
+                {!error && (
+                  <TouchableOpacity onPress={() => setBatchReview(prev => ({ ...prev, kept: { ...prev.kept, [take.taskId]: !kept } }))}>
+                    <Text style={{ fontSize: 12, color: COLORS.text }}>{kept ? '✅ Keep' : '🗑️ Discard'}</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+            </View>
+          );
+        })}
+      </View>
+      <TouchableOpacity onPress={saveBatchSelection} style={styles.takeSaveButton}>
+        <Text style={{ fontSize: 15, fontWeight: '600', color: COLORS.text }}>Save selection</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
   // RENDER LIBRARY
   const renderLibrary = () => (
     <ScrollView style={styles.container} contentContainerStyle={{ padding: 16 }}>
@@ -542,7 +1439,9 @@ export default function App() {
           {videos.map(video => (
             <TouchableOpacity key={video.id} style={styles.videoCard} onPress={() => { setSelectedVideo(video); setShowVideoModal(true); }}>
               <LinearGradient colors={GRADIENTS.neon} style={styles.videoThumbnail}>
-                <Text style={{ fontSize: 40 }}>▶️</Text>
+                {/* Poster frame over the gradient; if it fails to load the gradient shows through */}
+                {video.thumbnailUrl && <Image source={{ uri: video.thumbnailUrl }} style={StyleSheet.absoluteFill} resizeMode="cover" />}
+                <Text style={{ fontSize: 40 }}>{video.kind === 'storyboard' ? '🎞️' : '▶️'}</Text>
                 <View style={styles.videoDurationBadge}><Text style={styles.videoDurationText}>{video.duration}s</Text></View>
               </LinearGradient>
               <View style={{ padding: 10 }}>
@@ -578,7 +1477,7 @@ export default function App() {
                 </View>
               ))}
             </View>
-            <TouchableOpacity style={[styles.pricingButton, user?.tier === tier && { backgroundColor: COLORS.glass }]} disabled={user?.tier === tier} onPress={() => Alert.alert('Upgrade', `Upgrade to ${config.name}`)}>
+            <TouchableOpacity style={[styles.pricingButton, user?.tier === tier && { backgroundColor: COLORS.glass }]} disabled={user?.tier === tier} onPress={() => handleSubscribe(tier)}>
               <Text style={styles.pricingButtonText}>{user?.tier === tier ? 'Current Plan' : tier === 'free' ? 'Start Free' : 'Upgrade'}</Text>
             </TouchableOpacity>
           </View>
@@ -601,27 +1500,38 @@ export default function App() {
             <Text style={styles.settingsUserEmail}>{user?.email || 'Guest Account'}</Text>
           </View>
         </View>
+        {user?.authProvider === 'anonymous' && (
+          <TouchableOpacity onPress={() => setCurrentView('auth')} style={[styles.settingsUpgradeButton, { marginTop: 12 }]}>
+            <Text style={{ fontSize: 14, fontWeight: '600', color: COLORS.primary }}>Sign in to keep your clips</Text>
+          </TouchableOpacity>
+        )}
       </View>
       
       <View style={styles.settingsCard}>
         <Text style={styles.settingsCardTitle}>Current Plan</Text>
         <Text style={{ fontSize: 18, fontWeight: '600', color: COLORS.primary, marginBottom: 4 }}>{PRICING[user?.tier || 'free'].icon} {PRICING[user?.tier || 'free'].name}</Text>
         <Text style={{ fontSize: 14, color: COLORS.textSecondary, marginBottom: 12 }}>{user?.freeRemaining || 0} of {PRICING[user?.tier || 'free'].gensPerMonth} generations left</Text>
-        <TouchableOpacity onPress={() => setCurrentView('upgrade')} style={styles.settingsUpgradeButton}>
+        {user?.subscriptionStatus === 'past_due' && (
+          <Text style={{ fontSize: 13, color: COLORS.warning, marginBottom: 12 }}>Your last payment failed - update your card to keep your plan</Text>
+        )}
+        <TouchableOpacity onPress={() => (user?.tier === 'free' ? setCurrentView('upgrade') : handleSubscribe(user.tier))} style={styles.settingsUpgradeButton}>
           <Text style={{ fontSize: 14, fontWeight: '600', color: COLORS.primary }}>{user?.tier === 'free' ? 'Upgrade Plan' : 'Manage Plan'}</Text>
         </TouchableOpacity>
       </View>
       
       <View style={styles.settingsCard}>
         <Text style={styles.settingsCardTitle}>🎁 Invite Friends</Text>
-        <Text style={{ fontSize: 14, color: COLORS.textSecondary, marginBottom: 12 }}>Get 1 month Pro free for every 3 friends!</Text>
+        <Text style={{ fontSize: 14, color: COLORS.textSecondary, marginBottom: 12 }}>You and each friend get {REFERRAL_BONUS_CLIPS} bonus clips when they make their first video!</Text>
+        {user?.bonusClips > 0 && (
+          <Text style={{ fontSize: 14, color: COLORS.success, marginBottom: 12 }}>🎉 {user.bonusClips} bonus clips available</Text>
+        )}
         <View style={styles.referralCodeBox}>
-          <Text style={styles.referralCode}>{user?.referralCode || 'Loading...'}</Text>
+          <Text style={styles.referralCode}>{user?.referralCode || 'Create a video to get your code'}</Text>
           <TouchableOpacity onPress={() => { Clipboard.setStringAsync(user?.referralCode || ''); showToast('Code copied!', 'success'); }}>
             <Text style={{ fontSize: 20 }}>📋</Text>
           </TouchableOpacity>
         </View>
-        <TouchableOpacity onPress={() => Share.share({ message: `Join me on NeoClip AI! Use code: ${user?.referralCode}` })} style={styles.shareReferralButton}>
+        <TouchableOpacity disabled={!user?.referralCode} onPress={() => Share.share({ message: `Join me on NeoClip AI! Use code ${user?.referralCode} for ${REFERRAL_BONUS_CLIPS} bonus clips: ${API_CONFIG.baseUrl}/?ref=${user?.referralCode}` })} style={styles.shareReferralButton}>
           <LinearGradient colors={GRADIENTS.primary} style={{ alignItems: 'center', paddingVertical: 12, borderRadius: 10 }}>
             <Text style={{ fontSize: 14, fontWeight: '600', color: '#fff' }}>Share Invite Link</Text>
           </LinearGradient>
@@ -635,7 +1545,11 @@ export default function App() {
       
       {user && (
         <TouchableOpacity onPress={async () => {
-          await AsyncStorage.multiRemove([STORAGE_KEYS.user, STORAGE_KEYS.videos]);
+          try {
+            await apiFetch('/api/auth', { method: 'DELETE' });
+            if (supabase) await supabase.auth.signOut();
+          } catch (e) { console.log('Sign-out request failed'); }
+          await AsyncStorage.multiRemove([STORAGE_KEYS.user, STORAGE_KEYS.videos, STORAGE_KEYS.session]);
           setUser(null);
           setVideos([]);
           setCurrentView('auth');
@@ -702,6 +1616,17 @@ export default function App() {
                   <Text style={{ fontSize: 24 }}>⬇️</Text>
                   <Text style={{ fontSize: 12, color: COLORS.textSecondary, marginTop: 4 }}>Download</Text>
                 </TouchableOpacity>
+                {selectedVideo.provider && selectedVideo.kind !== 'storyboard' && (
+                  <TouchableOpacity style={styles.modalActionButton} onPress={() => {
+                    setExtendParent(selectedVideo);
+                    setFrames({ start: null, end: null });
+                    setShowVideoModal(false);
+                    setCurrentView('create');
+                  }}>
+                    <Text style={{ fontSize: 24 }}>➕</Text>
+                    <Text style={{ fontSize: 12, color: COLORS.textSecondary, marginTop: 4 }}>Extend</Text>
+                  </TouchableOpacity>
+                )}
                 <TouchableOpacity style={[styles.modalActionButton, { backgroundColor: 'rgba(239,68,68,0.1)' }]} onPress={() => {
                   setVideos(videos.filter(v => v.id !== selectedVideo.id));
                   setShowVideoModal(false);
@@ -821,7 +1746,27 @@ const styles = StyleSheet.create({
   promptInputWrapper: { backgroundColor: COLORS.glass, borderWidth: 1, borderColor: COLORS.glassBorder, borderRadius: 16, overflow: 'hidden' },
   promptInput: { color: '#fff', fontSize: 16, padding: 16, minHeight: 120, textAlignVertical: 'top' },
   charCount: { fontSize: 12, color: COLORS.textDim, textAlign: 'right', paddingRight: 16, paddingBottom: 12 },
+  extendBanner: { flexDirection: 'row', alignItems: 'center', backgroundColor: 'rgba(0,217,255,0.08)', borderWidth: 1, borderColor: COLORS.primary, borderRadius: 16, padding: 12, marginBottom: 16 },
+  frameRow: { flexDirection: 'row' },
+  frameSlot: { flex: 1, marginRight: 8 },
+  frameButton: { height: 96, alignItems: 'center', justifyContent: 'center', backgroundColor: COLORS.glass, borderWidth: 1, borderStyle: 'dashed', borderColor: COLORS.glassBorder, borderRadius: 16, overflow: 'hidden' },
+  framePreview: { width: '100%', height: '100%' },
+  frameRemove: { position: 'absolute', top: 6, right: 6, width: 22, height: 22, borderRadius: 11, backgroundColor: 'rgba(0,0,0,0.6)', alignItems: 'center', justifyContent: 'center' },
   promptIdeaChip: { flexDirection: 'row', alignItems: 'center', backgroundColor: COLORS.glass, borderWidth: 1, borderColor: COLORS.glassBorder, borderRadius: 20, paddingHorizontal: 12, paddingVertical: 8, marginRight: 8 },
+  promptIdeaChipActive: { borderColor: COLORS.primary, backgroundColor: 'rgba(0, 217, 255, 0.12)' },
+  expandRow: { flexDirection: 'row', alignItems: 'center', marginTop: 12 },
+  takeRow: { flexDirection: 'row', marginTop: 8 },
+  storyboardShot: { flexDirection: 'row', alignItems: 'center', backgroundColor: COLORS.glass, borderWidth: 1, borderColor: COLORS.glassBorder, borderRadius: 16, padding: 12, marginTop: 8 },
+  storyboardShotNumber: { width: 24, fontSize: 14, fontWeight: '700', color: COLORS.primary },
+  storyboardShotInput: { flex: 1, fontSize: 15, color: COLORS.text, minHeight: 40 },
+  storyboardAddButton: { alignItems: 'center', paddingVertical: 12, marginTop: 8, borderRadius: 16, borderWidth: 1, borderStyle: 'dashed', borderColor: COLORS.glassBorder },
+  takeChip: { width: 40, height: 40, borderRadius: 20, alignItems: 'center', justifyContent: 'center', backgroundColor: COLORS.glass, borderWidth: 1, borderColor: COLORS.glassBorder, marginRight: 8 },
+  batchGrid: { flexDirection: 'row', flexWrap: 'wrap', justifyContent: 'space-between', marginTop: 8 },
+  batchTake: { width: '48%', marginBottom: 12, borderRadius: 12, overflow: 'hidden', backgroundColor: COLORS.glass, borderWidth: 1, borderColor: COLORS.glassBorder },
+  batchTakeMedia: { aspectRatio: 16 / 9, alignItems: 'center', justifyContent: 'center', padding: 8, backgroundColor: '#000' },
+  batchTakeFooter: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', padding: 8 },
+  takeSaveButton: { alignItems: 'center', paddingVertical: 14, borderRadius: 14, borderWidth: 1, borderColor: COLORS.primary },
+  promptPreview: { marginTop: 12, padding: 12, borderRadius: 12, backgroundColor: COLORS.glass, borderWidth: 1, borderColor: COLORS.glassBorder },
   durationSlider: { flexDirection: 'row', alignItems: 'center', marginTop: 12 },
   durationDot: { flex: 1, height: 4, backgroundColor: COLORS.glassBorder, marginRight: 2, borderRadius: 2 },
   durationDotActive: { backgroundColor: COLORS.primary },
@@ -17,6 +17,22 @@ const API_BASE_URL = window.location.hostname === 'localhost'
 // Polling configuration - CRITICAL: FAL takes 180-300 seconds!
 const POLL_INTERVAL_MS = 5000;      // Poll every 5 seconds
 const MAX_POLL_TIME_MS = 360000;    // Max 6 minutes (FAL takes up to 5 min)
+const MAX_STREAM_FAILURES = 3;      // SSE errors in a row before falling back to polling
+const PROMPT_PREVIEW_DELAY_MS = 600; // Typing pause before asking /api/prompt
+
+// Batch takes with "Vary aspect ratio" use these, in order
+const BATCH_ASPECT_RATIOS = ['16:9', '9:16', '1:1', '4:3'];
+
+// Storyboards (api/storyboard.js): shots per request, seconds per shot,
+// and how long to follow one - chained shots render one after another
+const STORYBOARD_MIN_SHOTS = 2;
+const STORYBOARD_MAX_SHOTS = 6;
+const STORYBOARD_SHOT_SECONDS = 5;
+const STORYBOARD_MAX_POLL_MS = 45 * 60 * 1000;
+
+// Image-to-video uploads (must match api/_lib/images.js)
+const FRAME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_FRAME_BYTES = 4 * 1024 * 1024;
 
 // State
 let currentUser = null;
@@ -24,7 +40,19 @@ let selectedTier = 'free';
 let currentVideoUrl = null;
 let generations = [];
 let pollTimer = null;
+let eventSource = null;
+let frameUrls = { start: null, end: null };  // Uploaded start/end frames
+let extendTarget = null;  // Completed generation being continued
+let selectedStyle = null;  // Style preset id (api/_lib/prompt-styles.js)
+let previewTimer = null;
+let previewRequest = 0;  // Only the latest preview may render
+let takeCount = 1;  // Takes per request; more than 1 is a batch
+let activeBatch = null;  // { groupId, needsAd, takes: [{ taskId, provider, index, aspectRatio, status, videoUrl, error, kept }] }
+let batchTimer = null;
+let storyboardMode = false;
+let storyboardShots = ['', ''];  // Shot prompts, in order
 let pollStartTime = null;
+let activeGeneration = null;  // { id, needsAd, provider, maxPollMs? } being followed
 let currentScreen = 'home';  // 'home', 'library', 'player'
 
 // Initialize
@@ -41,25 +69,69 @@ function setupEventListeners() {
             if (charCount) {
                 charCount.textContent = e.target.value.length;
             }
+            schedulePromptPreview();
+        });
+    }
+
+    const expandInput = document.getElementById('expandPromptInput');
+    if (expandInput) expandInput.addEventListener('change', schedulePromptPreview);
+
+    document.querySelectorAll('.take-chip').forEach(chip => {
+        chip.addEventListener('click', () => selectTakeCount(parseInt(chip.dataset.takes, 10)));
+    });
+
+    const storyboardInput = document.getElementById('storyboardModeInput');
+    if (storyboardInput) {
+        storyboardInput.addEventListener('change', (e) => setStoryboardMode(e.target.checked));
+    }
+
+    const shotList = document.getElementById('storyboardShots');
+    if (shotList) {
+        shotList.addEventListener('input', (e) => {
+            const row = e.target.closest('.storyboard-shot');
+            if (row) storyboardShots[parseInt(row.dataset.shot, 10)] = e.target.value;
+        });
+        shotList.addEventListener('click', (e) => {
+            const button = e.target.closest('.storyboard-remove');
+            if (button) removeStoryboardShot(parseInt(button.closest('.storyboard-shot').dataset.shot, 10));
         });
     }
+
+    const batchGrid = document.getElementById('batchGrid');
+    if (batchGrid) {
+        batchGrid.addEventListener('click', (e) => {
+            const button = e.target.closest('.batch-keep');
+            if (button) toggleTake(button.closest('.batch-take').dataset.task);
+        });
+    }
+
+    ['start', 'end'].forEach(frame => {
+        const input = document.getElementById(`${frame}FrameInput`);
+        if (input) {
+            input.addEventListener('change', (e) => {
+                const file = e.target.files && e.target.files[0];
+                e.target.value = '';
+                if (file) uploadFrame(frame, file);
+            });
+        }
+    });
 }
 
 async function initializeApp() {
-    try {
-        const deviceId = getDeviceId();
-        const response = await fetch(`${API_BASE_URL}/api/user`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ deviceId })
-        });
+    loadStylePresets();
 
-        const data = await response.json();
+    try {
+        const data = await createSession();
 
         if (data.success && data.user) {
             currentUser = data.user;
             updateUserStats();
             await loadUserGenerations();
+            await redeemReferralFromUrl();
+            handleBillingReturn();
+            if (currentUser.subscriptionStatus === 'past_due') {
+                showError('Your last payment failed - update your card to keep your plan');
+            }
         } else {
             showError('Failed to initialize. Please refresh.');
         }
@@ -78,18 +150,108 @@ function getDeviceId() {
     return deviceId;
 }
 
+// ============================================
+// SESSION
+// ============================================
+
+/**
+ * Open (or resume) this device's session. The server only trusts the
+ * session token, so it is kept next to the device ID.
+ */
+async function createSession() {
+    const response = await fetch(`${API_BASE_URL}/api/user`, {
+        method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ deviceId: getDeviceId() })
+    });
+    const data = await response.json();
+
+    // session is null when the stored token is still valid
+    if (data.session?.token) {
+        localStorage.setItem('neoclip_session', data.session.token);
+    }
+    return data;
+}
+
+function authHeaders(headers = {}) {
+    const token = localStorage.getItem('neoclip_session');
+    return token ? { ...headers, Authorization: `Bearer ${token}` } : headers;
+}
+
+/**
+ * fetch() with the session token; on 401 the session is re-created once
+ * (expired or revoked token) and the request retried
+ */
+async function apiFetch(path, options = {}) {
+    const send = () => fetch(`${API_BASE_URL}${path}`, {
+        ...options,
+        headers: authHeaders(options.headers)
+    });
+
+    const response = await send();
+    if (response.status !== 401) return response;
+
+    localStorage.removeItem('neoclip_session');
+    const data = await createSession();
+    if (!data.session?.token) return response;
+    return send();
+}
+
+/**
+ * Invite links look like /?ref=NCXXXXXX - redeem the code for this
+ * (new) account. Guest accounts cannot redeem; they are told to sign up.
+ */
+async function redeemReferralFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const code = params.get('ref');
+    if (!code) return;
+
+    params.delete('ref');
+    const query = params.toString();
+    window.history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : ''));
+
+    // Only fresh accounts can redeem; returning visitors just ignore the link
+    if (currentUser.referredBy || currentUser.totalVideosGenerated > 0) return;
+
+    if (currentUser.isAnonymous) {
+        showMessage('🎁 Sign up in the NeoClip app with this code to get your bonus clips');
+        return;
+    }
+
+    try {
+        const response = await apiFetch('/api/referral', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ code })
+        });
+        const data = await response.json();
+
+        if (response.ok && data.referral?.redeemed) {
+            currentUser.referredBy = true;
+            showMessage(`🎁 ${data.referral.message}`);
+        } else if (response.status !== 409) {
+            showError(data.error || 'Referral code not applied');
+        }
+    } catch (error) {
+        console.error('Referral error:', error);
+    }
+}
+
 function updateUserStats() {
     if (!currentUser) return;
 
-    const freeRemaining = 10 - (currentUser.free_used || 0);
-    const resetsAt = currentUser.resets_at ? new Date(currentUser.resets_at) : new Date();
+    // Usage comes from the server's own counters (public.users)
+    const freeRemaining = currentUser.freeRemaining ?? (10 - (currentUser.freeUsed || 0));
+    const resetsAt = currentUser.resetsAt ? new Date(currentUser.resetsAt) : new Date();
     const now = new Date();
-    const daysUntilReset = Math.max(0, Math.ceil((resetsAt - now) / (1000 * 60 * 60 * 24)));
+    const daysUntilReset = currentUser.daysUntilReset ??
+        Math.max(0, Math.ceil((resetsAt - now) / (1000 * 60 * 60 * 24)));
 
     const freeEl = document.getElementById('freeRemaining');
     const daysEl = document.getElementById('daysUntilReset');
 
-    if (freeEl) freeEl.textContent = Math.max(0, freeRemaining);
+    // Referral bonus clips are spent once the monthly quota runs out
+    if (freeEl) freeEl.textContent = Math.max(0, freeRemaining) + (currentUser.bonusClips || 0);
     if (daysEl) daysEl.textContent = daysUntilReset;
 }
 
@@ -103,11 +265,104 @@ function selectTier(tier) {
         }
     });
 
+    updateGenerateButtonText();
+}
+
+function updateGenerateButtonText() {
     const buttonText = document.getElementById('buttonText');
-    if (buttonText) {
-        buttonText.textContent = tier === 'free' 
-            ? '🚀 Generate 10s FREE Video' 
-            : '⭐ Generate 30s HD Video (Pro)';
+    if (!buttonText) return;
+
+    if (storyboardMode) {
+        buttonText.textContent = `🎞️ Generate ${storyboardShots.length}-shot storyboard (${storyboardShots.length} clips)`;
+        return;
+    }
+    buttonText.textContent = selectedTier === 'free' 
+        ? '🚀 Generate 10s FREE Video' 
+        : '⭐ Generate 30s HD Video (Pro)';
+}
+
+// ============================================
+// STYLE PRESETS + PROMPT PREVIEW
+// ============================================
+
+async function loadStylePresets() {
+    const container = document.getElementById('styleChips');
+    if (!container) return;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/prompt`);
+        const data = await response.json();
+        if (!response.ok || !data.styles) return;
+
+        container.innerHTML = data.styles.map(style => `
+            <button class="style-chip" data-style="${escapeHtml(style.id)}" title="${escapeHtml(style.template)}">
+                ${escapeHtml(style.emoji || '')} ${escapeHtml(style.name)}
+            </button>
+        `).join('');
+
+        container.querySelectorAll('.style-chip').forEach(chip => {
+            chip.addEventListener('click', () => selectStyle(chip.dataset.style));
+        });
+    } catch (error) {
+        // Presets are optional - generate works without them
+        console.warn('Style presets unavailable:', error.message);
+    }
+}
+
+function selectStyle(style) {
+    selectedStyle = selectedStyle === style ? null : style;
+    document.querySelectorAll('.style-chip').forEach(chip => {
+        chip.classList.toggle('active', chip.dataset.style === selectedStyle);
+    });
+    schedulePromptPreview();
+}
+
+function isExpandPromptOn() {
+    const expandInput = document.getElementById('expandPromptInput');
+    return expandInput ? expandInput.checked : true;
+}
+
+function schedulePromptPreview() {
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(updatePromptPreview, PROMPT_PREVIEW_DELAY_MS);
+}
+
+/**
+ * Show the prompt exactly as /api/generate will send it
+ */
+async function updatePromptPreview() {
+    const preview = document.getElementById('promptPreview');
+    const previewText = document.getElementById('promptPreviewText');
+    const promptInput = document.getElementById('promptInput');
+    if (!preview || !previewText || !promptInput) return;
+
+    const prompt = promptInput.value.trim();
+    const expandPrompt = isExpandPromptOn();
+    const request = ++previewRequest;
+
+    // Without a style the prompt is sent as typed
+    if (!prompt || !selectedStyle) {
+        preview.classList.add('hidden');
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/prompt`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ prompt, style: selectedStyle || undefined, expandPrompt })
+        });
+        const data = await response.json();
+        if (request !== previewRequest) return;
+        if (!response.ok || !data.enhancedPrompt) {
+            preview.classList.add('hidden');
+            return;
+        }
+
+        previewText.textContent = data.enhancedPrompt;
+        preview.classList.remove('hidden');
+    } catch (error) {
+        if (request === previewRequest) preview.classList.add('hidden');
     }
 }
 
@@ -116,6 +371,11 @@ function selectTier(tier) {
 // ============================================
 
 async function generateVideo() {
+    if (storyboardMode) {
+        await generateStoryboard();
+        return;
+    }
+
     const promptInput = document.getElementById('promptInput');
     const prompt = promptInput ? promptInput.value.trim() : '';
 
@@ -129,19 +389,44 @@ async function generateVideo() {
         return;
     }
 
+    if (extendTarget && (frameUrls.start || frameUrls.end)) {
+        showError('Remove the image frames to extend a video');
+        return;
+    }
+
+    if (frameUrls.end && !frameUrls.start) {
+        showError('Add a start frame to use an end frame');
+        return;
+    }
+
+    if (extendTarget && takeCount > 1) {
+        showError('Extensions are one take at a time');
+        return;
+    }
+
+    if (document.querySelector('.frame-slot.uploading')) {
+        showError('Please wait for the image upload to finish');
+        return;
+    }
+
     stopPolling();
     showLoadingUI('Starting video generation...');
 
     try {
         // Step 1: Create generation task
-        const response = await fetch(`${API_BASE_URL}/api/generate`, {
+        const response = await apiFetch('/api/generate', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
                 prompt,
-                userId: currentUser.id,
+                imageUrl: frameUrls.start || undefined,
+                endImageUrl: frameUrls.end || undefined,
+                parentTaskId: extendTarget ? extendTarget.generationId : undefined,
                 tier: selectedTier,
-                length: selectedTier === 'free' ? 10 : 30
+                duration: selectedTier === 'free' ? 10 : 30,
+                style: selectedStyle || undefined,
+                expandPrompt: isExpandPromptOn(),
+                batch: takeCount > 1 ? getBatchRequest() : undefined
             })
         });
 
@@ -153,28 +438,47 @@ async function generateVideo() {
                 setTimeout(() => handleUpgrade(), 2000);
                 return;
             }
+            if (response.status === 429) {
+                throw new Error(data.message || `Too many requests - try again in ${data.retryAfter || 60}s`);
+            }
+            if (response.status === 422 && data.message) {
+                // Moderation or an unsupported extension - the message says why
+                throw new Error(data.message);
+            }
             throw new Error(data.error || data.message || 'Generation failed');
         }
 
-        if (!data.success || !data.generationId) {
+        if (!data.success || !(data.generationId || data.groupId)) {
             throw new Error(data.error || 'Invalid response');
         }
 
         console.log('Generation started:', data);
+        cancelExtend();
         
         // Update stats immediately
-        if (data.remainingFree !== null) {
-            currentUser.free_used = 10 - data.remainingFree;
+        if (data.freeRemaining !== null && data.freeRemaining !== undefined) {
+            currentUser.freeUsed = data.freeUsed;
+            currentUser.freeRemaining = data.freeRemaining;
+            currentUser.bonusClips = data.bonusClips ?? currentUser.bonusClips;
             updateUserStats();
         }
 
+        if (data.groupId) {
+            startBatch(data);
+            return;
+        }
+
         // Update UI
         updateLoadingUI(`Generating with ${data.providerName || 'AI'}...`, 15);
-        showMessage('⏱️ Video generation takes 3-5 minutes. Please wait...');
+        showMessage(data.moderation?.rewritten
+            ? '🛡️ Personal details were removed from your prompt. Generation takes 3-5 minutes...'
+            : '⏱️ Video generation takes 3-5 minutes. Please wait...');
 
-        // Step 2: Start polling
+        // Step 2: Follow progress (SSE, falling back to polling)
         pollStartTime = Date.now();
-        startPolling(data.generationId, data.needsAd);
+        activeGeneration = { id: data.generationId, needsAd: data.needsAd, provider: data.provider };
+        setCancelButton(true);
+        startProgressStream(data.generationId, data.needsAd, data.provider);
 
     } catch (error) {
         console.error('Generation error:', error);
@@ -183,52 +487,141 @@ async function generateVideo() {
     }
 }
 
-function startPolling(generationId, needsAd) {
+/**
+ * Apply a progress update from /api/events or /api/poll.
+ * Returns true once the generation has reached a final state.
+ */
+async function handleProgressUpdate(data, needsAd) {
+    const elapsed = Date.now() - pollStartTime;
+    const progress = data.progress || Math.min(20 + Math.floor(elapsed / 10000) * 5, 90);
+    updateLoadingUI(data.message || `Generating... ${progress}%`, progress);
+
+    if (data.status === 'completed' && data.videoUrl) {
+        // SUCCESS!
+        stopPolling();
+        updateLoadingUI('Video ready!', 100);
+
+        currentVideoUrl = data.videoUrl;
+        displayVideo(data.videoUrl, needsAd);
+
+        // Reload library
+        await loadUserGenerations();
+        hideLoadingUI();
+        showMessage('✅ Video generated successfully!');
+        return true;
+    }
+
+    if (data.status === 'failed' || data.status === 'cancelled') {
+        stopPolling();
+        showError(data.error || 'Generation failed');
+        hideLoadingUI();
+        await loadUserGenerations();
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Follow a generation over Server-Sent Events (/api/events).
+ * Falls back to startPolling() when EventSource is unavailable or the
+ * stream keeps failing before delivering anything.
+ */
+function startProgressStream(generationId, needsAd, provider = 'luma') {
+    if (typeof EventSource === 'undefined') {
+        startPolling(generationId, needsAd, provider);
+        return;
+    }
+
+    // EventSource cannot send headers - the token goes in the query string
+    const token = localStorage.getItem('neoclip_session') || '';
+    const source = new EventSource(
+        `${API_BASE_URL}/api/events?generationId=${encodeURIComponent(generationId)}&provider=${encodeURIComponent(provider)}&access_token=${encodeURIComponent(token)}`
+    );
+    eventSource = source;
+    let failures = 0;
+
+    const onUpdate = async (event) => {
+        if (eventSource !== source) return;
+        failures = 0;
+        let data;
+        try {
+            data = JSON.parse(event.data);
+        } catch {
+            return;
+        }
+
+        const limit = pollTimeLimit();
+        if (Date.now() - pollStartTime > limit) {
+            stopPolling();
+            showTimeoutError(limit);
+            return;
+        }
+
+        await handleProgressUpdate(data, needsAd);
+    };
+
+    ['queued', 'processing', 'completed', 'failed', 'cancelled'].forEach(type => {
+        source.addEventListener(type, onUpdate);
+    });
+
+    // EventSource reconnects by itself (the server closes the stream before
+    // its time limit); only give up on it after repeated failures
+    source.onerror = () => {
+        if (eventSource !== source) return;
+        failures += 1;
+        if (source.readyState === EventSource.CLOSED || failures >= MAX_STREAM_FAILURES) {
+            console.warn('Progress stream unavailable, falling back to polling');
+            source.close();
+            eventSource = null;
+            startPolling(generationId, needsAd, provider);
+        }
+    };
+}
+
+// How long to follow the active generation (read before stopPolling())
+function pollTimeLimit() {
+    return activeGeneration?.maxPollMs || MAX_POLL_TIME_MS;
+}
+
+function showTimeoutError(limitMs) {
+    showError(`Generation timed out after ${Math.round(limitMs / 60000)} minutes. Please try again.`);
+    hideLoadingUI();
+}
+
+function startPolling(generationId, needsAd, provider = 'luma') {
     console.log(`Starting poll for ${generationId}`);
     
+    // Stopped or cancelled - a poll already in flight must not reschedule
+    const isActive = () => activeGeneration?.id === generationId;
+
     const poll = async () => {
+        if (!isActive()) return;
         const elapsed = Date.now() - pollStartTime;
         
-        // Check timeout - 6 minutes max
-        if (elapsed > MAX_POLL_TIME_MS) {
+        // Check timeout - 6 minutes max (storyboards: STORYBOARD_MAX_POLL_MS)
+        const limit = pollTimeLimit();
+        if (elapsed > limit) {
             stopPolling();
-            showError('Generation timed out after 6 minutes. Please try again.');
-            hideLoadingUI();
+            showTimeoutError(limit);
             return;
         }
 
         try {
-            const response = await fetch(`${API_BASE_URL}/api/poll?generationId=${generationId}`);
+            const response = await apiFetch(`/api/poll?generationId=${generationId}&provider=${provider}`);
             const data = await response.json();
+            if (!isActive()) return;
 
-            console.log('Poll response:', data);
-
-            // Update progress
-            const progress = data.progress || Math.min(20 + Math.floor(elapsed / 10000) * 5, 90);
-            updateLoadingUI(data.message || `Generating... ${progress}%`, progress);
-
-            if (data.status === 'completed' && data.videoUrl) {
-                // SUCCESS!
-                stopPolling();
-                updateLoadingUI('Video ready!', 100);
-                
-                currentVideoUrl = data.videoUrl;
-                displayVideo(data.videoUrl, needsAd);
-                
-                // Reload library
-                await loadUserGenerations();
-                hideLoadingUI();
-                showMessage('✅ Video generated successfully!');
+            if (response.status === 429) {
+                // Throttled - wait as long as the server asks
+                const retryAfter = parseInt(response.headers.get('Retry-After'), 10) || 10;
+                pollTimer = setTimeout(poll, Math.max(retryAfter * 1000, POLL_INTERVAL_MS));
                 return;
             }
 
-            if (data.status === 'failed') {
-                stopPolling();
-                showError(data.error || 'Generation failed');
-                hideLoadingUI();
-                await loadUserGenerations();
-                return;
-            }
+            console.log('Poll response:', data);
+
+            if (await handleProgressUpdate(data, needsAd)) return;
 
             // Still processing - schedule next poll
             pollTimer = setTimeout(poll, POLL_INTERVAL_MS);
@@ -236,7 +629,7 @@ function startPolling(generationId, needsAd) {
         } catch (error) {
             console.error('Poll error:', error);
             // Don't stop on poll errors, retry
-            pollTimer = setTimeout(poll, POLL_INTERVAL_MS);
+            if (isActive()) pollTimer = setTimeout(poll, POLL_INTERVAL_MS);
         }
     };
 
@@ -244,11 +637,455 @@ function startPolling(generationId, needsAd) {
 }
 
 function stopPolling() {
+    if (eventSource) {
+        eventSource.close();
+        eventSource = null;
+    }
     if (pollTimer) {
         clearTimeout(pollTimer);
         pollTimer = null;
     }
+    if (batchTimer) {
+        clearTimeout(batchTimer);
+        batchTimer = null;
+    }
     pollStartTime = null;
+    activeGeneration = null;
+    activeBatch = null;
+}
+
+/**
+ * Cancel the generation being followed (DELETE /api/generate/:id).
+ * Progress updates stop first so a late poll cannot reopen the UI; the
+ * server refunds the clip.
+ */
+async function cancelGeneration() {
+    const target = activeGeneration;
+    if (!target) return;
+
+    const startedAt = pollStartTime;
+    const resume = () => {
+        activeGeneration = target;
+        pollStartTime = startedAt;
+        setCancelButton(true);
+        startPolling(target.id, target.needsAd, target.provider);
+    };
+
+    const cancelButton = document.getElementById('cancelButton');
+    if (cancelButton) cancelButton.disabled = true;
+    stopPolling();
+    updateLoadingUI('Cancelling...', 0);
+
+    try {
+        const response = await apiFetch(`/api/generate/${encodeURIComponent(target.id)}`, {
+            method: 'DELETE'
+        });
+        const data = await response.json();
+
+        if (response.status === 409) {
+            // Finished in the meantime - pick up its final state
+            resume();
+            return;
+        }
+
+        if (!response.ok) {
+            throw new Error(data.error || data.message || 'Cancel failed');
+        }
+
+        hideLoadingUI();
+        showMessage(data.refunded
+            ? '🛑 Generation cancelled - your clip was refunded'
+            : '🛑 Generation cancelled');
+        await loadUserGenerations();
+
+    } catch (error) {
+        // The task is still running - keep following it
+        console.error('Cancel error:', error);
+        showError(error.message || 'Failed to cancel generation');
+        resume();
+    }
+}
+
+// ============================================
+// BATCH TAKES
+// ============================================
+
+function selectTakeCount(count) {
+    takeCount = count;
+    document.querySelectorAll('.take-chip').forEach(chip => {
+        chip.classList.toggle('active', parseInt(chip.dataset.takes, 10) === count);
+    });
+}
+
+function getBatchRequest() {
+    const varyAspect = document.getElementById('varyAspectInput');
+    return varyAspect && varyAspect.checked
+        ? { aspectRatios: BATCH_ASPECT_RATIOS.slice(0, takeCount) }
+        : { count: takeCount };
+}
+
+/**
+ * Show the comparison grid for a new batch and follow its takes.
+ * Takes that could not start arrive in data.failed (already refunded).
+ */
+function startBatch(data) {
+    activeBatch = {
+        groupId: data.groupId,
+        needsAd: data.needsAd,
+        takes: [
+            ...data.takes.map(take => ({
+                taskId: take.generationId,
+                provider: take.provider,
+                index: take.index,
+                aspectRatio: take.aspectRatio,
+                status: 'processing',
+                videoUrl: null,
+                error: null,
+                kept: true
+            })),
+            ...data.failed.map(take => ({
+                taskId: null,
+                index: take.index,
+                aspectRatio: take.aspectRatio,
+                status: 'failed',
+                error: take.error,
+                kept: false
+            }))
+        ].sort((a, b) => a.index - b.index)
+    };
+
+    const batchContainer = document.getElementById('batchContainer');
+    if (batchContainer) batchContainer.classList.remove('hidden');
+    renderBatchGrid();
+
+    showMessage(data.refunded
+        ? `⏱️ ${data.takes.length} takes started (${data.refunded} could not start and were refunded)`
+        : `⏱️ ${data.takes.length} takes started - this takes 3-5 minutes`);
+
+    pollStartTime = Date.now();
+    followBatch(activeBatch);
+}
+
+/**
+ * Poll every unfinished take until all are final
+ */
+function followBatch(batch) {
+    const poll = async () => {
+        if (activeBatch !== batch) return;
+
+        if (Date.now() - pollStartTime > MAX_POLL_TIME_MS) {
+            stopPolling();
+            showError('Some takes timed out after 6 minutes - they will appear in your library when done.');
+            hideLoadingUI();
+            return;
+        }
+
+        let changed = false;
+        for (const take of batch.takes.filter(t => t.status === 'processing')) {
+            try {
+                const response = await apiFetch(`/api/poll?generationId=${encodeURIComponent(take.taskId)}&provider=${encodeURIComponent(take.provider)}`);
+                if (response.status === 429) break;
+                const data = await response.json();
+
+                if (data.status === 'completed' && data.videoUrl) {
+                    Object.assign(take, { status: 'completed', videoUrl: data.videoUrl });
+                    changed = true;
+                } else if (data.status === 'failed' || data.status === 'cancelled') {
+                    Object.assign(take, { status: 'failed', error: data.error || 'Generation failed', kept: false });
+                    changed = true;
+                }
+            } catch (error) {
+                console.error('Batch poll error:', error);
+            }
+        }
+        if (activeBatch !== batch) return;
+        if (changed) renderBatchGrid();
+
+        const finished = batch.takes.filter(t => t.status !== 'processing').length;
+        updateLoadingUI(`${finished} of ${batch.takes.length} takes ready...`, 15 + (finished / batch.takes.length) * 85);
+
+        if (finished === batch.takes.length) {
+            hideLoadingUI();
+            showMessage('✅ Your takes are ready - keep your favorites');
+            await loadUserGenerations();
+            return;
+        }
+
+        batchTimer = setTimeout(poll, POLL_INTERVAL_MS);
+    };
+
+    poll();
+}
+
+function renderBatchGrid() {
+    const batchGrid = document.getElementById('batchGrid');
+    if (!batchGrid || !activeBatch) return;
+
+    batchGrid.innerHTML = activeBatch.takes.map(take => `
+        <div class="batch-take ${take.kept ? '' : 'discarded'}" data-task="${escapeHtml(take.taskId || '')}">
+            ${take.videoUrl
+                ? `<video src="${escapeHtml(take.videoUrl)}" muted loop playsinline autoplay></video>`
+                : `<div class="batch-take-status">${take.status === 'failed' ? `⚠️ ${escapeHtml(take.error || 'Failed')}` : '⏳ Generating...'}</div>`}
+            <div class="batch-take-footer">
+                <span>Take ${take.index + 1}${take.aspectRatio ? ` · ${escapeHtml(take.aspectRatio)}` : ''}</span>
+                ${take.status === 'failed' ? '' : `<button class="batch-keep">${take.kept ? '✅ Keep' : '🗑️ Discard'}</button>`}
+            </div>
+        </div>
+    `).join('');
+}
+
+function toggleTake(taskId) {
+    const take = activeBatch?.takes.find(t => t.taskId === taskId);
+    if (!take) return;
+    take.kept = !take.kept;
+    renderBatchGrid();
+}
+
+/**
+ * Keep the selected takes and discard the rest (PATCH /api/status)
+ */
+async function saveBatchSelection() {
+    const batch = activeBatch;
+    if (!batch) return;
+
+    const saveButton = document.getElementById('batchSaveButton');
+    if (saveButton) saveButton.disabled = true;
+
+    try {
+        const keep = batch.takes.filter(t => t.kept && t.taskId).map(t => t.taskId);
+        const response = await apiFetch('/api/status', {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ groupId: batch.groupId, keep })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || data.message || 'Could not save your selection');
+        }
+
+        showMessage(`✅ Kept ${keep.length} take${keep.length === 1 ? '' : 's'}`);
+        await loadUserGenerations();
+    } catch (error) {
+        console.error('Batch save error:', error);
+        showError(error.message || 'Could not save your selection');
+    } finally {
+        if (saveButton) saveButton.disabled = false;
+    }
+}
+
+// ============================================
+// STORYBOARD
+// ============================================
+
+/**
+ * Switch between a single prompt and the shot list. The first shot
+ * starts from whatever was typed in the prompt box.
+ */
+function setStoryboardMode(on) {
+    storyboardMode = on;
+    document.body.classList.toggle('storyboard-mode', on);
+
+    const editor = document.getElementById('storyboardEditor');
+    if (editor) editor.classList.toggle('hidden', !on);
+
+    const promptInput = document.getElementById('promptInput');
+    if (on && promptInput && promptInput.value.trim() && !storyboardShots[0]) {
+        storyboardShots[0] = promptInput.value.trim();
+    }
+    renderStoryboardShots();
+}
+
+function renderStoryboardShots() {
+    const shotList = document.getElementById('storyboardShots');
+    if (!shotList) return;
+
+    const removable = storyboardShots.length > STORYBOARD_MIN_SHOTS;
+    shotList.innerHTML = storyboardShots.map((prompt, index) => `
+        <div class="storyboard-shot" data-shot="${index}">
+            <span class="storyboard-shot-number">${index + 1}</span>
+            <textarea class="storyboard-shot-input" rows="2" maxlength="500"
+                placeholder="${index === 0 ? 'Opening shot...' : 'What happens next?'}">${escapeHtml(prompt)}</textarea>
+            ${removable ? '<button class="storyboard-remove" title="Remove shot">×</button>' : ''}
+        </div>
+    `).join('');
+
+    const addButton = document.getElementById('addShotButton');
+    if (addButton) addButton.disabled = storyboardShots.length >= STORYBOARD_MAX_SHOTS;
+
+    updateGenerateButtonText();
+}
+
+function addStoryboardShot() {
+    if (storyboardShots.length >= STORYBOARD_MAX_SHOTS) return;
+    storyboardShots.push('');
+    renderStoryboardShots();
+}
+
+function removeStoryboardShot(index) {
+    if (storyboardShots.length <= STORYBOARD_MIN_SHOTS) return;
+    storyboardShots.splice(index, 1);
+    renderStoryboardShots();
+}
+
+/**
+ * Start a storyboard (POST /api/storyboard) and follow its composite
+ * generation like a single clip - it just takes longer
+ */
+async function generateStoryboard() {
+    const shots = storyboardShots.map(prompt => prompt.trim());
+
+    if (shots.some(prompt => !prompt)) {
+        showError('Every shot needs a prompt');
+        return;
+    }
+
+    if (!currentUser) {
+        showError('Not initialized. Refresh page.');
+        return;
+    }
+
+    if (extendTarget) {
+        showError('Storyboards cannot extend a video');
+        return;
+    }
+
+    if (frameUrls.end) {
+        showError('Storyboards take a start frame only');
+        return;
+    }
+
+    if (document.querySelector('.frame-slot.uploading')) {
+        showError('Please wait for the image upload to finish');
+        return;
+    }
+
+    const chainInput = document.getElementById('chainFramesInput');
+    const transitionInput = document.getElementById('transitionInput');
+
+    stopPolling();
+    showLoadingUI('Starting storyboard...');
+
+    try {
+        const response = await apiFetch('/api/storyboard', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                shots: shots.map(prompt => ({ prompt })),
+                chainFrames: !!(chainInput && chainInput.checked),
+                transition: transitionInput ? transitionInput.value : undefined,
+                imageUrl: frameUrls.start || undefined,
+                duration: STORYBOARD_SHOT_SECONDS,
+                style: selectedStyle || undefined,
+                expandPrompt: isExpandPromptOn()
+            })
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            if (response.status === 402) {
+                showError(data.message || 'Not enough clips left. Upgrade to Pro!');
+                setTimeout(() => handleUpgrade(), 2000);
+                return;
+            }
+            if (response.status === 429) {
+                throw new Error(data.message || `Too many requests - try again in ${data.retryAfter || 60}s`);
+            }
+            if (data.shot) {
+                throw new Error(`Shot ${data.shot}: ${data.message || data.error}`);
+            }
+            throw new Error(data.message || data.error || 'Storyboard failed');
+        }
+
+        if (data.freeRemaining !== null && data.freeRemaining !== undefined) {
+            currentUser.freeUsed = data.freeUsed;
+            currentUser.freeRemaining = data.freeRemaining;
+            currentUser.bonusClips = data.bonusClips ?? currentUser.bonusClips;
+            updateUserStats();
+        }
+
+        updateLoadingUI(`Generating shot 1 of ${shots.length}...`, 10);
+        showMessage(data.chainFrames
+            ? `🎞️ ${shots.length} shots render one after another - this takes a few minutes per shot`
+            : `🎞️ ${shots.length} shots started - they are stitched together once all are done`);
+
+        pollStartTime = Date.now();
+        activeGeneration = {
+            id: data.generationId,
+            needsAd: data.needsAd,
+            provider: 'storyboard',
+            maxPollMs: STORYBOARD_MAX_POLL_MS
+        };
+        setCancelButton(true);
+        startProgressStream(data.generationId, data.needsAd, 'storyboard');
+
+    } catch (error) {
+        console.error('Storyboard error:', error);
+        showError(error.message || 'Failed to start storyboard');
+        hideLoadingUI();
+    }
+}
+
+// ============================================
+// IMAGE-TO-VIDEO FRAMES
+// ============================================
+
+async function uploadFrame(frame, file) {
+    if (!FRAME_TYPES.includes(file.type)) {
+        showError('Please choose a JPEG, PNG or WebP image');
+        return;
+    }
+    if (file.size > MAX_FRAME_BYTES) {
+        showError('Image too large (max 4 MB)');
+        return;
+    }
+    if (!currentUser) {
+        showError('Not initialized. Refresh page.');
+        return;
+    }
+
+    const slot = document.querySelector(`.frame-slot[data-frame="${frame}"]`);
+    if (slot) slot.classList.add('uploading');
+
+    try {
+        const response = await apiFetch('/api/upload', {
+            method: 'POST',
+            headers: { 'Content-Type': file.type },
+            body: file
+        });
+        const data = await response.json();
+
+        if (!response.ok || !data.imageUrl) {
+            throw new Error(data.error || data.message || 'Upload failed');
+        }
+
+        frameUrls[frame] = data.imageUrl;
+
+        const preview = document.getElementById(`${frame}FramePreview`);
+        const remove = document.getElementById(`${frame}FrameRemove`);
+        if (preview) {
+            preview.src = data.imageUrl;
+            preview.classList.remove('hidden');
+        }
+        if (remove) remove.classList.remove('hidden');
+    } catch (error) {
+        console.error('Frame upload error:', error);
+        showError(error.message || 'Upload failed');
+    } finally {
+        if (slot) slot.classList.remove('uploading');
+    }
+}
+
+function clearFrame(frame) {
+    frameUrls[frame] = null;
+
+    const preview = document.getElementById(`${frame}FramePreview`);
+    const remove = document.getElementById(`${frame}FrameRemove`);
+    if (preview) {
+        preview.removeAttribute('src');
+        preview.classList.add('hidden');
+    }
+    if (remove) remove.classList.add('hidden');
 }
 
 // ============================================
@@ -263,6 +1100,7 @@ function showLoadingUI(message) {
     const progressFill = document.getElementById('progressFill');
     const errorContainer = document.getElementById('errorContainer');
     const videoContainer = document.getElementById('videoContainer');
+    const batchContainer = document.getElementById('batchContainer');
 
     if (generateButton) generateButton.disabled = true;
     if (loadingIndicator) loadingIndicator.classList.remove('hidden');
@@ -271,6 +1109,7 @@ function showLoadingUI(message) {
     if (progressFill) progressFill.style.width = '5%';
     if (errorContainer) errorContainer.classList.add('hidden');
     if (videoContainer) videoContainer.classList.add('hidden');
+    if (batchContainer) batchContainer.classList.add('hidden');
 }
 
 function updateLoadingUI(message, progress) {
@@ -289,6 +1128,14 @@ function hideLoadingUI() {
     if (generateButton) generateButton.disabled = false;
     if (loadingIndicator) loadingIndicator.classList.add('hidden');
     if (progressBar) progressBar.classList.add('hidden');
+    setCancelButton(false);
+}
+
+function setCancelButton(visible) {
+    const cancelButton = document.getElementById('cancelButton');
+    if (!cancelButton) return;
+    cancelButton.classList.toggle('hidden', !visible);
+    cancelButton.disabled = false;
 }
 
 function displayVideo(videoUrl, showAd = false) {
@@ -323,7 +1170,7 @@ async function loadUserGenerations() {
     if (!currentUser) return;
 
     try {
-        const response = await fetch(`${API_BASE_URL}/api/status?userId=${currentUser.id}`);
+        const response = await apiFetch('/api/status?limit=50');
         const data = await response.json();
 
         if (data.success) {
@@ -332,8 +1179,7 @@ async function loadUserGenerations() {
                 displayGenerations();
             }
             if (data.user) {
-                currentUser.free_used = data.user.freeUsed;
-                currentUser.resets_at = data.user.resetsAt;
+                currentUser = { ...currentUser, ...data.user };
                 updateUserStats();
             }
         }
@@ -342,6 +1188,16 @@ async function loadUserGenerations() {
     }
 }
 
+/**
+ * Stored videos play through signed URLs that expire (videoUrlExpiresAt).
+ * Reload the list from /api/status for fresh ones when any is about to.
+ */
+async function refreshExpiredVideoUrls() {
+    const soon = Date.now() + 60 * 1000;
+    const expired = generations.some(g => g.videoUrlExpiresAt && new Date(g.videoUrlExpiresAt).getTime() < soon);
+    if (expired) await loadUserGenerations();
+}
+
 function displayGenerations() {
     const historyContainer = document.getElementById('historyContainer');
     const historyList = document.getElementById('historyList');
@@ -370,17 +1226,14 @@ function displayGenerations() {
                 <span class="history-time">${formatTime(gen.createdAt)}</span>
             </div>
         `;
-        item.addEventListener('click', () => {
-            if (gen.videoUrl) {
-                currentVideoUrl = gen.videoUrl;
-                displayVideo(gen.videoUrl, gen.tier === 'free');
-            }
-        });
+        item.addEventListener('click', () => playFromLibrary(gen.generationId));
         historyList.appendChild(item);
     });
 }
 
-function showLibrary() {
+async function showLibrary() {
+    await refreshExpiredVideoUrls();
+
     // Show all videos in an expanded view
     const completedVideos = generations.filter(g => g.status === 'completed' && g.videoUrl);
     
@@ -406,14 +1259,15 @@ function showLibrary() {
             </div>
             <div class="library-grid">
                 ${completedVideos.map(gen => `
-                    <div class="library-item" onclick="playFromLibrary('${escapeHtml(gen.videoUrl)}', '${gen.tier}')">
+                    <div class="library-item" onclick="playFromLibrary('${escapeHtml(gen.generationId)}')">
                         <div class="library-preview">
-                            <video src="${escapeHtml(gen.videoUrl)}" muted></video>
+                            ${libraryPreviewMedia(gen)}
                             <div class="play-icon">▶</div>
                         </div>
                         <div class="library-info">
-                            <p class="library-prompt">${escapeHtml(gen.prompt || 'Untitled')}</p>
+                            <p class="library-prompt">${gen.kind === 'storyboard' ? '🎞️ ' : gen.parentId ? '➕ ' : ''}${escapeHtml(gen.prompt || 'Untitled')}</p>
                             <span class="library-date">${formatTime(gen.createdAt)}</span>
+                            ${gen.kind === 'storyboard' ? '' : `<button class="library-extend" onclick="event.stopPropagation(); startExtend('${escapeHtml(gen.generationId)}')">➕ Extend</button>`}
                         </div>
                     </div>
                 `).join('')}
@@ -421,9 +1275,29 @@ function showLibrary() {
         </div>
     `;
 
+    // Animated preview while hovered, poster frame otherwise
+    library.querySelectorAll('img[data-preview]').forEach(img => {
+        const poster = img.src;
+        const tile = img.closest('.library-item');
+        tile.addEventListener('mouseenter', () => { img.src = img.dataset.preview; });
+        tile.addEventListener('mouseleave', () => { img.src = poster; });
+    });
+
     library.classList.add('visible');
 }
 
+/**
+ * Library tile media: the server-rendered poster frame when there is one,
+ * else the video itself (first frame)
+ */
+function libraryPreviewMedia(gen) {
+    if (!gen.thumbnailUrl) {
+        return `<video src="${escapeHtml(gen.videoUrl)}" muted preload="metadata"></video>`;
+    }
+    const preview = gen.previewUrl ? ` data-preview="${escapeHtml(gen.previewUrl)}"` : '';
+    return `<img src="${escapeHtml(gen.thumbnailUrl)}"${preview} alt="" loading="lazy">`;
+}
+
 function closeLibrary() {
     const library = document.getElementById('libraryOverlay');
     if (library) {
@@ -431,10 +1305,50 @@ function closeLibrary() {
     }
 }
 
-function playFromLibrary(videoUrl, tier) {
+/**
+ * Continue a completed library clip: the next generation is submitted as
+ * an extension of it (parentTaskId) with the prompt entered now
+ */
+function startExtend(generationId) {
+    const gen = generations.find(g => g.generationId === generationId);
+    if (!gen) return;
+
+    extendTarget = gen;
+    closeLibrary();
+
+    const banner = document.getElementById('extendBanner');
+    const extendPrompt = document.getElementById('extendPrompt');
+    if (extendPrompt) extendPrompt.textContent = gen.prompt || 'Untitled';
+    if (banner) banner.classList.remove('hidden');
+
+    const promptInput = document.getElementById('promptInput');
+    if (promptInput) {
+        promptInput.placeholder = 'What happens next?';
+        promptInput.focus();
+    }
+}
+
+function cancelExtend() {
+    extendTarget = null;
+
+    const banner = document.getElementById('extendBanner');
+    if (banner) banner.classList.add('hidden');
+
+    const promptInput = document.getElementById('promptInput');
+    if (promptInput) {
+        promptInput.placeholder = "Describe your video... (e.g., 'A cat surfing on a rainbow wave in space')";
+    }
+}
+
+async function playFromLibrary(generationId) {
     closeLibrary();
-    currentVideoUrl = videoUrl;
-    displayVideo(videoUrl, tier === 'free');
+    await refreshExpiredVideoUrls();
+
+    const gen = generations.find(g => g.generationId === generationId);
+    if (!gen?.videoUrl) return;
+
+    currentVideoUrl = gen.videoUrl;
+    displayVideo(gen.videoUrl, gen.tier === 'free');
 }
 
 // ============================================
@@ -508,26 +1422,71 @@ function resetUI() {
     const promptInput = document.getElementById('promptInput');
     const charCount = document.getElementById('charCount');
     const videoContainer = document.getElementById('videoContainer');
+    const batchContainer = document.getElementById('batchContainer');
     const errorContainer = document.getElementById('errorContainer');
 
     if (promptInput) promptInput.value = '';
     if (charCount) charCount.textContent = '0';
+    schedulePromptPreview();
     if (videoContainer) videoContainer.classList.add('hidden');
+    if (batchContainer) batchContainer.classList.add('hidden');
     if (errorContainer) errorContainer.classList.add('hidden');
     currentVideoUrl = null;
     stopPolling();
 }
 
-function handleUpgrade() {
-    alert(`🌟 Upgrade to Pro - Coming Soon!
+// ============================================
+// BILLING (Stripe Checkout / customer portal)
+// ============================================
+
+async function handleUpgrade(tier = 'pro') {
+    if (!currentUser) {
+        showError('Not initialized. Refresh page.');
+        return;
+    }
+
+    // Subscribers manage their plan in the Stripe portal instead
+    const subscribed = currentUser.tier !== 'free';
+    const returnUrl = window.location.origin + window.location.pathname;
+
+    try {
+        const response = await apiFetch(subscribed ? '/api/portal' : '/api/checkout', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(subscribed
+                ? { returnUrl }
+                : { tier, successUrl: `${returnUrl}?billing=success`, cancelUrl: `${returnUrl}?billing=cancelled` })
+        });
+        const data = await response.json();
 
-✅ 120 HD clips per month
-✅ 30-second max length
-✅ 1080p quality
-✅ No ads
-✅ Priority processing
+        if (!response.ok || !data.url) {
+            throw new Error(data.message || data.error || 'Billing is unavailable');
+        }
 
-Only $4.99/month`);
+        window.location.href = data.url;
+    } catch (error) {
+        console.error('Upgrade error:', error);
+        showError(error.message || 'Billing is unavailable');
+    }
+}
+
+/**
+ * Back from Stripe: the tier changes once the billing webhook lands,
+ * which is usually before the redirect but not always
+ */
+function handleBillingReturn() {
+    const params = new URLSearchParams(window.location.search);
+    const billing = params.get('billing');
+    if (!billing) return;
+
+    window.history.replaceState(null, '', window.location.pathname);
+
+    if (billing === 'success') {
+        showMessage('🎉 Thanks for subscribing! Your plan is being activated...');
+        setTimeout(loadUserGenerations, 5000);
+    } else if (billing === 'cancelled') {
+        showMessage('Checkout cancelled - no charge was made');
+    }
 }
 
 function showError(message) {
@@ -593,3 +1552,8 @@ window.showLibrary = showLibrary;
 window.closeLibrary = closeLibrary;
 window.playFromLibrary = playFromLibrary;
 window.showScreen = showScreen;
+window.clearFrame = clearFrame;
+window.startExtend = startExtend;
+window.cancelExtend = cancelExtend;
+window.cancelGeneration = cancelGeneration;
+window.addStoryboardShot = addStoryboardShot;
@@ -156,6 +156,83 @@ CREATE INDEX IF NOT EXISTS idx_generations_status ON public.generations(status);
 CREATE INDEX IF NOT EXISTS idx_generations_created_at ON public.generations(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_generations_user_status ON public.generations(user_id, status);
 
+-- Last time api/poll.js asked the provider directly (webhooks are primary)
+ALTER TABLE public.generations ADD COLUMN IF NOT EXISTS last_checked_at timestamp with time zone;
+
+-- Image-to-video start/end frames (uploaded via api/upload.js)
+ALTER TABLE public.generations ADD COLUMN IF NOT EXISTS image_url text;
+ALTER TABLE public.generations ADD COLUMN IF NOT EXISTS end_image_url text;
+
+-- Extensions: a continuation is a child of the generation it extends
+ALTER TABLE public.generations ADD COLUMN IF NOT EXISTS parent_id uuid REFERENCES public.generations(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_generations_parent_id ON public.generations(parent_id);
+
+-- Generation options actually used (duration/resolution/model have columns above)
+ALTER TABLE public.generations ADD COLUMN IF NOT EXISTS loop boolean DEFAULT false;
+ALTER TABLE public.generations ADD COLUMN IF NOT EXISTS seed integer;
+ALTER TABLE public.generations ADD COLUMN IF NOT EXISTS negative_prompt text;
+
+-- Style preset and prompt expansion (api/_lib/prompt-styles.js); prompt
+-- keeps the user's words, enhanced_prompt is what the provider got
+ALTER TABLE public.generations ADD COLUMN IF NOT EXISTS style text;
+ALTER TABLE public.generations ADD COLUMN IF NOT EXISTS expand_prompt boolean DEFAULT true;
+ALTER TABLE public.generations ADD COLUMN IF NOT EXISTS enhanced_prompt text;
+
+-- Batch takes (api/generate.js with `batch`): one row per take sharing a
+-- group_id; kept is NULL until the user keeps (true) or discards (false) it
+ALTER TABLE public.generations ADD COLUMN IF NOT EXISTS group_id uuid;
+ALTER TABLE public.generations ADD COLUMN IF NOT EXISTS group_index smallint;
+ALTER TABLE public.generations ADD COLUMN IF NOT EXISTS aspect_ratio text;
+ALTER TABLE public.generations ADD COLUMN IF NOT EXISTS kept boolean;
+CREATE INDEX IF NOT EXISTS idx_generations_group_id ON public.generations(group_id)
+    WHERE group_id IS NOT NULL;
+
+-- Storyboards (api/_lib/storyboard.js): a composite row (kind 'storyboard')
+-- whose storyboard column holds the shot list, transition and stage, plus
+-- one row per started shot pointing at it (composite_id, shot_index)
+ALTER TABLE public.generations ADD COLUMN IF NOT EXISTS kind text NOT NULL DEFAULT 'clip'
+    CHECK (kind IN ('clip', 'storyboard'));
+ALTER TABLE public.generations ADD COLUMN IF NOT EXISTS storyboard jsonb;
+ALTER TABLE public.generations ADD COLUMN IF NOT EXISTS composite_id uuid REFERENCES public.generations(id) ON DELETE CASCADE;
+ALTER TABLE public.generations ADD COLUMN IF NOT EXISTS shot_index smallint;
+CREATE INDEX IF NOT EXISTS idx_generations_composite_id ON public.generations(composite_id)
+    WHERE composite_id IS NOT NULL;
+
+-- Where the clip's quota unit came from, so a cancel refunds the right
+-- counter: 'tier' (free_used/paid_used), 'bonus' (bonus_clips), NULL (not charged)
+ALTER TABLE public.generations ADD COLUMN IF NOT EXISTS quota_source text DEFAULT 'tier';
+ALTER TABLE public.generations DROP CONSTRAINT IF EXISTS generations_quota_source_check;
+ALTER TABLE public.generations ADD CONSTRAINT generations_quota_source_check
+    CHECK (quota_source IS NULL OR quota_source IN ('tier', 'bonus'));
+ALTER TABLE public.generations ADD COLUMN IF NOT EXISTS cancelled_at timestamp with time zone;
+
+-- Our own copy of the finished video (api/_lib/video-archive.js). video_url
+-- keeps the provider's (expiring) URL; clients get signed URLs for storage_key.
+ALTER TABLE public.generations ADD COLUMN IF NOT EXISTS storage_backend text;
+ALTER TABLE public.generations ADD COLUMN IF NOT EXISTS storage_key text;
+ALTER TABLE public.generations ADD COLUMN IF NOT EXISTS storage_url text;
+ALTER TABLE public.generations ADD COLUMN IF NOT EXISTS video_bytes bigint;
+ALTER TABLE public.generations ADD COLUMN IF NOT EXISTS video_sha256 text;
+ALTER TABLE public.generations ADD COLUMN IF NOT EXISTS stored_at timestamp with time zone;
+CREATE INDEX IF NOT EXISTS idx_generations_unarchived ON public.generations(completed_at)
+    WHERE status = 'completed' AND storage_key IS NULL;
+
+-- Poster frame and animated preview (api/_lib/thumbnails.js), stored next
+-- to the video; thumbnail_url/preview_url are object URLs like storage_url
+ALTER TABLE public.generations ADD COLUMN IF NOT EXISTS thumbnail_key text;
+ALTER TABLE public.generations ADD COLUMN IF NOT EXISTS preview_key text;
+ALTER TABLE public.generations ADD COLUMN IF NOT EXISTS preview_url text;
+
+-- Free-tier copies carry a watermark and end card (api/_lib/branding.js);
+-- for those rows the stored file is the only copy we keep
+ALTER TABLE public.generations ADD COLUMN IF NOT EXISTS branded boolean NOT NULL DEFAULT false;
+
+-- Post-processing job progress (api/_lib/pipeline.js): overall status and
+-- { step: { status, attempts, error, at } } per pipeline step
+ALTER TABLE public.generations ADD COLUMN IF NOT EXISTS postprocess_status text
+    CHECK (postprocess_status IS NULL OR postprocess_status IN ('queued', 'running', 'completed', 'failed'));
+ALTER TABLE public.generations ADD COLUMN IF NOT EXISTS postprocess_steps jsonb NOT NULL DEFAULT '{}'::jsonb;
+
 -- ============================================
 -- PROVIDER KEYS TABLE
 -- ============================================
@@ -198,6 +275,16 @@ CREATE TABLE IF NOT EXISTS public.referrals (
     completed_at timestamp with time zone
 );
 
+-- One referral per referred account; reward_clips is fixed at redemption
+-- (api/_lib/referrals.js) and credited to both sides by
+-- reward_referral_on_completion() when the referred user's first video completes
+ALTER TABLE public.referrals ADD COLUMN IF NOT EXISTS reward_clips integer DEFAULT 0;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_referrals_referred_id ON public.referrals(referred_id);
+CREATE INDEX IF NOT EXISTS idx_referrals_referrer_id ON public.referrals(referrer_id, created_at DESC);
+
+-- Extra clips (referral rewards), used once the monthly quota runs out
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS bonus_clips integer DEFAULT 0 CHECK (bonus_clips >= 0);
+
 -- ============================================
 -- SUBSCRIPTIONS TABLE
 -- ============================================
@@ -217,6 +304,16 @@ CREATE TABLE IF NOT EXISTS public.subscriptions (
 
 CREATE INDEX IF NOT EXISTS idx_subscriptions_user_id ON public.subscriptions(user_id);
 
+-- Stripe statuses are stored as-is (api/_lib/subscriptions.js maps them to tiers)
+ALTER TABLE public.subscriptions DROP CONSTRAINT IF EXISTS subscriptions_status_check;
+ALTER TABLE public.subscriptions ADD CONSTRAINT subscriptions_status_check
+    CHECK (status IN ('active', 'trialing', 'past_due', 'canceled', 'unpaid', 'incomplete', 'incomplete_expired', 'paused'));
+
+-- Newest Stripe event applied; older, out-of-order events are skipped
+ALTER TABLE public.subscriptions ADD COLUMN IF NOT EXISTS last_event_at timestamp with time zone;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_stripe_customer_id ON public.users(stripe_customer_id) WHERE stripe_customer_id IS NOT NULL;
+
 -- ============================================
 -- USER SESSIONS TABLE
 -- ============================================
@@ -235,6 +332,16 @@ CREATE TABLE IF NOT EXISTS public.user_sessions (
 
 CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON public.user_sessions(user_id);
 
+-- session_token holds the SHA-256 hash of the token (api/_lib/auth.js);
+-- the raw token is only ever returned to the client
+ALTER TABLE public.user_sessions ADD COLUMN IF NOT EXISTS auth_method text DEFAULT 'anonymous';
+ALTER TABLE public.user_sessions ADD COLUMN IF NOT EXISTS revoked_at timestamp with time zone;
+
+-- Supabase Auth identity (auth.users.id) for registered accounts, and the
+-- account an anonymous device account was merged into
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_auth_provider_id ON public.users(auth_provider_id) WHERE auth_provider_id IS NOT NULL;
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS merged_into uuid REFERENCES public.users(id);
+
 -- ============================================
 -- APP EVENTS TABLE
 -- ============================================
@@ -266,6 +373,60 @@ CREATE TABLE IF NOT EXISTS public.webhook_logs (
 
 CREATE INDEX IF NOT EXISTS idx_webhook_logs_task_id ON public.webhook_logs(task_id);
 
+-- Dedupe key for replayed callbacks: "<task_id>:<status>:<timestamp>"
+ALTER TABLE public.webhook_logs ADD COLUMN IF NOT EXISTS event_id text;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_logs_event_id ON public.webhook_logs(event_id);
+
+-- ============================================
+-- RATE LIMIT TABLES
+-- ============================================
+-- Backing store for api/_lib/rate-limit.js when RATE_LIMIT_STORE=postgres.
+-- Only touched through rate_limit_hit/acquire/release below.
+CREATE TABLE IF NOT EXISTS public.rate_limit_hits (
+    id bigserial PRIMARY KEY,
+    key text NOT NULL,
+    hit_at timestamp with time zone NOT NULL DEFAULT clock_timestamp()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_hits_key ON public.rate_limit_hits(key, hit_at);
+
+CREATE TABLE IF NOT EXISTS public.rate_limit_leases (
+    key text NOT NULL,
+    token text NOT NULL,
+    expires_at timestamp with time zone NOT NULL,
+    PRIMARY KEY (key, token)
+);
+
+-- ============================================
+-- JOB QUEUE
+-- ============================================
+-- Durable queue for work that outlasts a function (api/_lib/jobs.js),
+-- run by worker/index.js. Claimed through claim_jobs() below; 'dead' rows
+-- are the dead letters - jobs that used up max_attempts.
+CREATE TABLE IF NOT EXISTS public.jobs (
+    id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+    type text NOT NULL,
+    task_id text NOT NULL,
+    payload jsonb NOT NULL DEFAULT '{}'::jsonb,
+    status text NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'dead')),
+    attempts integer NOT NULL DEFAULT 0,
+    max_attempts integer NOT NULL DEFAULT 5,
+    run_at timestamp with time zone NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_by text,
+    locked_at timestamp with time zone,
+    last_error text,
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
+    updated_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
+    completed_at timestamp with time zone
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_due ON public.jobs(run_at) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_jobs_running ON public.jobs(locked_at) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_jobs_task_id ON public.jobs(task_id);
+-- At most one live job per generation and type
+CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_live ON public.jobs(type, task_id)
+    WHERE status IN ('queued', 'running');
+
 -- ============================================
 -- ROW LEVEL SECURITY
 -- ============================================
@@ -280,6 +441,9 @@ ALTER TABLE public.subscriptions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.user_sessions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.app_events ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.webhook_logs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.rate_limit_hits ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.rate_limit_leases ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.jobs ENABLE ROW LEVEL SECURITY;
 
 -- Service role policies (for Vercel serverless)
 CREATE POLICY "Service role full access - users" ON public.users FOR ALL USING (true) WITH CHECK (true);
@@ -291,6 +455,9 @@ CREATE POLICY "Service role full access - subscriptions" ON public.subscriptions
 CREATE POLICY "Service role full access - user_sessions" ON public.user_sessions FOR ALL USING (true) WITH CHECK (true);
 CREATE POLICY "Service role full access - app_events" ON public.app_events FOR ALL USING (true) WITH CHECK (true);
 CREATE POLICY "Service role full access - webhook_logs" ON public.webhook_logs FOR ALL USING (true) WITH CHECK (true);
+CREATE POLICY "Service role full access - rate_limit_hits" ON public.rate_limit_hits FOR ALL USING (true) WITH CHECK (true);
+CREATE POLICY "Service role full access - rate_limit_leases" ON public.rate_limit_leases FOR ALL USING (true) WITH CHECK (true);
+CREATE POLICY "Service role full access - jobs" ON public.jobs FOR ALL USING (true) WITH CHECK (true);
 
 -- ============================================
 -- HELPER FUNCTIONS
@@ -318,6 +485,12 @@ CREATE TRIGGER update_generations_updated_at
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_jobs_updated_at ON public.jobs;
+CREATE TRIGGER update_jobs_updated_at
+    BEFORE UPDATE ON public.jobs
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
 -- Generate referral code
 CREATE OR REPLACE FUNCTION generate_referral_code()
 RETURNS TEXT AS $$
@@ -391,6 +564,330 @@ CREATE TRIGGER trigger_update_user_stats
     FOR EACH ROW
     EXECUTE FUNCTION update_user_stats_on_generation();
 
+-- Credit a pending referral when the referred user's first video completes.
+-- The status flip makes this happen once, however many videos follow.
+CREATE OR REPLACE FUNCTION reward_referral_on_completion()
+RETURNS TRIGGER AS $$
+DECLARE
+    r public.referrals%ROWTYPE;
+BEGIN
+    IF NEW.status = 'completed' AND (OLD.status IS NULL OR OLD.status != 'completed') THEN
+        UPDATE public.referrals
+        SET status = 'rewarded', completed_at = CURRENT_TIMESTAMP
+        WHERE referred_id = NEW.user_id AND status = 'pending'
+        RETURNING * INTO r;
+
+        IF FOUND THEN
+            UPDATE public.users
+            SET bonus_clips = COALESCE(bonus_clips, 0) + r.reward_clips
+            WHERE id IN (r.referrer_id, r.referred_id);
+
+            UPDATE public.users
+            SET referral_count = COALESCE(referral_count, 0) + 1
+            WHERE id = r.referrer_id;
+        END IF;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_reward_referral ON public.generations;
+CREATE TRIGGER trigger_reward_referral
+    AFTER INSERT OR UPDATE ON public.generations
+    FOR EACH ROW
+    EXECUTE FUNCTION reward_referral_on_completion();
+
+-- ============================================
+-- QUOTA FUNCTIONS
+-- ============================================
+
+-- Atomically consume generation quota (called by api/generate.js)
+-- Resets expired monthly counters, then increments free_used (free tier)
+-- or paid_used (paid tiers) only if the new total stays within the tier's
+-- limit. Past the limit, bonus_clips are spent instead (used_bonus).
+-- The row lock serializes concurrent requests for the same user.
+-- p_limits: {"free": 10, "basic": 120, "pro": 300}
+DROP FUNCTION IF EXISTS consume_generation_quota(uuid, jsonb, integer);
+CREATE OR REPLACE FUNCTION consume_generation_quota(p_user_id uuid, p_limits jsonb, p_amount integer DEFAULT 1)
+RETURNS TABLE (allowed boolean, user_tier text, used_free integer, used_paid integer, next_reset date, used_bonus boolean, bonus_left integer) AS $$
+DECLARE
+    u public.users%ROWTYPE;
+    tier_limit integer;
+    used integer;
+BEGIN
+    SELECT * INTO u FROM public.users WHERE id = p_user_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    IF u.resets_at IS NULL OR u.resets_at <= CURRENT_DATE THEN
+        UPDATE public.users
+        SET
+            free_used = 0,
+            paid_used = 0,
+            resets_at = ((date_trunc('month', CURRENT_TIMESTAMP) + INTERVAL '1 month'))::date,
+            last_monthly_reset = CURRENT_TIMESTAMP
+        WHERE id = p_user_id
+        RETURNING * INTO u;
+    END IF;
+
+    tier_limit := COALESCE((p_limits ->> u.tier)::integer, (p_limits ->> 'free')::integer, 0);
+    used := CASE WHEN u.tier = 'free' THEN u.free_used ELSE u.paid_used END;
+
+    IF used + p_amount > tier_limit THEN
+        IF COALESCE(u.bonus_clips, 0) < p_amount THEN
+            RETURN QUERY SELECT false, u.tier, u.free_used, u.paid_used, u.resets_at, false, COALESCE(u.bonus_clips, 0);
+            RETURN;
+        END IF;
+
+        UPDATE public.users
+        SET
+            bonus_clips = u.bonus_clips - p_amount,
+            monthly_usage_count = COALESCE(u.monthly_usage_count, 0) + p_amount,
+            last_active_at = CURRENT_TIMESTAMP
+        WHERE id = p_user_id
+        RETURNING * INTO u;
+
+        RETURN QUERY SELECT true, u.tier, u.free_used, u.paid_used, u.resets_at, true, u.bonus_clips;
+        RETURN;
+    END IF;
+
+    UPDATE public.users
+    SET
+        free_used = u.free_used + CASE WHEN u.tier = 'free' THEN p_amount ELSE 0 END,
+        paid_used = u.paid_used + CASE WHEN u.tier = 'free' THEN 0 ELSE p_amount END,
+        monthly_usage_count = COALESCE(u.monthly_usage_count, 0) + p_amount,
+        last_active_at = CURRENT_TIMESTAMP
+    WHERE id = p_user_id
+    RETURNING * INTO u;
+
+    RETURN QUERY SELECT true, u.tier, u.free_used, u.paid_used, u.resets_at, false, COALESCE(u.bonus_clips, 0);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Give back quota for a generation that never started
+-- (p_bonus: the unit came from bonus_clips, see consume_generation_quota)
+DROP FUNCTION IF EXISTS refund_generation_quota(uuid, integer);
+CREATE OR REPLACE FUNCTION refund_generation_quota(p_user_id uuid, p_amount integer DEFAULT 1, p_bonus boolean DEFAULT false)
+RETURNS void AS $$
+BEGIN
+    IF p_bonus THEN
+        UPDATE public.users
+        SET
+            bonus_clips = COALESCE(bonus_clips, 0) + p_amount,
+            monthly_usage_count = GREATEST(COALESCE(monthly_usage_count, 0) - p_amount, 0)
+        WHERE id = p_user_id;
+        RETURN;
+    END IF;
+
+    UPDATE public.users
+    SET
+        free_used = CASE WHEN tier = 'free' THEN GREATEST(free_used - p_amount, 0) ELSE free_used END,
+        paid_used = CASE WHEN tier = 'free' THEN paid_used ELSE GREATEST(paid_used - p_amount, 0) END,
+        monthly_usage_count = GREATEST(COALESCE(monthly_usage_count, 0) - p_amount, 0)
+    WHERE id = p_user_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- AUTH FUNCTIONS
+-- ============================================
+
+-- Merge an anonymous device account into a registered account
+-- (called by api/auth.js when a device signs in). Moves generations,
+-- carries over usage from the current period so signing in never resets
+-- quota, hands the device ID to the registered account and deactivates
+-- the anonymous row and its sessions.
+CREATE OR REPLACE FUNCTION merge_anonymous_user(p_anonymous_id uuid, p_target_id uuid)
+RETURNS void AS $$
+DECLARE
+    anon public.users%ROWTYPE;
+    current_usage boolean;
+BEGIN
+    IF p_anonymous_id = p_target_id THEN
+        RETURN;
+    END IF;
+
+    -- Lock both rows in a stable order to avoid deadlocks
+    PERFORM 1 FROM public.users WHERE id IN (p_anonymous_id, p_target_id) ORDER BY id FOR UPDATE;
+
+    SELECT * INTO anon FROM public.users WHERE id = p_anonymous_id;
+    IF NOT FOUND OR anon.auth_provider_id IS NOT NULL OR anon.merged_into IS NOT NULL THEN
+        RAISE EXCEPTION 'User % is not a mergeable anonymous account', p_anonymous_id;
+    END IF;
+
+    current_usage := anon.resets_at IS NOT NULL AND anon.resets_at > CURRENT_DATE;
+
+    UPDATE public.generations SET user_id = p_target_id WHERE user_id = p_anonymous_id;
+
+    -- Referrals follow the account. Drop the ones that would become
+    -- self-referrals, and the device's own referral if the target already has one.
+    DELETE FROM public.referrals
+    WHERE (referred_id = p_anonymous_id AND referrer_id = p_target_id)
+       OR (referrer_id = p_anonymous_id AND referred_id = p_target_id)
+       OR (referred_id = p_anonymous_id AND EXISTS (SELECT 1 FROM public.referrals WHERE referred_id = p_target_id));
+    UPDATE public.referrals SET referred_id = p_target_id WHERE referred_id = p_anonymous_id;
+    UPDATE public.referrals SET referrer_id = p_target_id WHERE referrer_id = p_anonymous_id;
+
+    UPDATE public.users
+    SET
+        device_id = NULL,
+        is_active = false,
+        merged_into = p_target_id,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = p_anonymous_id;
+
+    UPDATE public.users t
+    SET
+        free_used = t.free_used + CASE WHEN current_usage THEN anon.free_used ELSE 0 END,
+        paid_used = t.paid_used + CASE WHEN current_usage THEN anon.paid_used ELSE 0 END,
+        monthly_usage_count = COALESCE(t.monthly_usage_count, 0) + CASE WHEN current_usage THEN COALESCE(anon.monthly_usage_count, 0) ELSE 0 END,
+        total_videos_generated = COALESCE(t.total_videos_generated, 0) + COALESCE(anon.total_videos_generated, 0),
+        bonus_clips = COALESCE(t.bonus_clips, 0) + COALESCE(anon.bonus_clips, 0),
+        referral_count = COALESCE(t.referral_count, 0) + COALESCE(anon.referral_count, 0),
+        referred_by = NULLIF(COALESCE(t.referred_by, NULLIF(anon.referred_by, p_target_id)), p_anonymous_id),
+        device_id = COALESCE(t.device_id, anon.device_id),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE t.id = p_target_id;
+
+    UPDATE public.user_sessions
+    SET is_active = false, revoked_at = CURRENT_TIMESTAMP
+    WHERE user_id = p_anonymous_id AND is_active;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- RATE LIMIT FUNCTIONS
+-- ============================================
+
+-- Sliding-window hit for `p_key`: records the hit and returns allowed=true
+-- while fewer than p_limit hits fall inside the window, otherwise rejects
+-- without recording and says how long until the oldest hit expires.
+-- The advisory lock serialises concurrent hits on the same key.
+CREATE OR REPLACE FUNCTION rate_limit_hit(p_key text, p_window_ms integer, p_limit integer)
+RETURNS TABLE (allowed boolean, hits integer, retry_after_ms integer) AS $$
+DECLARE
+    window_start timestamp with time zone := clock_timestamp() - make_interval(secs => p_window_ms / 1000.0);
+    current_hits integer;
+    oldest_hit timestamp with time zone;
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('rate_limit:' || p_key));
+
+    DELETE FROM public.rate_limit_hits WHERE key = p_key AND hit_at <= window_start;
+    -- Keys that stop being hit are swept occasionally
+    IF random() < 0.01 THEN
+        DELETE FROM public.rate_limit_hits WHERE hit_at < clock_timestamp() - interval '1 hour';
+    END IF;
+
+    SELECT COUNT(*), MIN(hit_at) INTO current_hits, oldest_hit
+    FROM public.rate_limit_hits WHERE key = p_key;
+
+    IF current_hits >= p_limit THEN
+        RETURN QUERY SELECT
+            false,
+            current_hits,
+            GREATEST(CEIL(EXTRACT(EPOCH FROM (oldest_hit - window_start)) * 1000)::integer, 1);
+        RETURN;
+    END IF;
+
+    INSERT INTO public.rate_limit_hits (key) VALUES (p_key);
+    RETURN QUERY SELECT true, current_hits + 1, 0;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Take one of p_limit concurrent slots for `p_key`. Leases expire after
+-- p_ttl_ms so a crashed request cannot hold a slot forever.
+CREATE OR REPLACE FUNCTION rate_limit_acquire(p_key text, p_token text, p_limit integer, p_ttl_ms integer)
+RETURNS boolean AS $$
+DECLARE
+    active integer;
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('rate_limit:' || p_key));
+
+    DELETE FROM public.rate_limit_leases WHERE key = p_key AND expires_at <= clock_timestamp();
+
+    SELECT COUNT(*) INTO active FROM public.rate_limit_leases WHERE key = p_key;
+    IF active >= p_limit THEN
+        RETURN false;
+    END IF;
+
+    INSERT INTO public.rate_limit_leases (key, token, expires_at)
+    VALUES (p_key, p_token, clock_timestamp() + make_interval(secs => p_ttl_ms / 1000.0));
+    RETURN true;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION rate_limit_release(p_key text, p_token text)
+RETURNS void AS $$
+BEGIN
+    DELETE FROM public.rate_limit_leases WHERE key = p_key AND token = p_token;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Queue a job unless one is already queued or running for this
+-- (type, task_id). Returns the new job, or no row.
+CREATE OR REPLACE FUNCTION enqueue_job(p_type text, p_task_id text, p_payload jsonb DEFAULT '{}'::jsonb, p_max_attempts integer DEFAULT 5)
+RETURNS SETOF public.jobs AS $$
+    INSERT INTO public.jobs (type, task_id, payload, max_attempts)
+    VALUES (p_type, p_task_id, COALESCE(p_payload, '{}'::jsonb), p_max_attempts)
+    ON CONFLICT (type, task_id) WHERE status IN ('queued', 'running') DO NOTHING
+    RETURNING *;
+$$ LANGUAGE sql;
+
+-- Lock up to p_limit due jobs for p_worker. Jobs locked longer than
+-- p_lock_seconds belong to a crashed worker and are taken over - or
+-- dead-lettered if that was their last attempt (no worker is left to
+-- report it, so the generation's postprocess_status is failed here).
+-- SKIP LOCKED lets several workers claim without waiting on each other.
+CREATE OR REPLACE FUNCTION claim_jobs(p_worker text, p_limit integer DEFAULT 1, p_lock_seconds integer DEFAULT 600)
+RETURNS SETOF public.jobs AS $$
+    WITH expired AS (
+        UPDATE public.jobs
+        SET status = 'dead', locked_by = NULL, locked_at = NULL,
+            last_error = COALESCE(last_error, 'Worker lock expired')
+        WHERE status = 'running'
+          AND locked_at < CURRENT_TIMESTAMP - make_interval(secs => p_lock_seconds)
+          AND attempts >= max_attempts
+        RETURNING type, task_id
+    )
+    UPDATE public.generations g
+    SET postprocess_status = 'failed'
+    FROM expired
+    WHERE expired.type = 'postprocess' AND g.task_id = expired.task_id;
+
+    UPDATE public.jobs j
+    SET status = 'running',
+        attempts = j.attempts + 1,
+        locked_by = p_worker,
+        locked_at = CURRENT_TIMESTAMP
+    WHERE j.id IN (
+        SELECT id FROM public.jobs
+        WHERE (status = 'queued' AND run_at <= CURRENT_TIMESTAMP)
+           OR (status = 'running' AND locked_at < CURRENT_TIMESTAMP - make_interval(secs => p_lock_seconds))
+        ORDER BY run_at
+        LIMIT p_limit
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING j.*;
+$$ LANGUAGE sql;
+
+-- ============================================
+-- STORAGE
+-- ============================================
+-- Public bucket for image-to-video frames (api/upload.js, UPLOAD_BUCKET).
+-- Uploads go through the API with the service role key; reads are public
+-- because providers fetch the frames by URL.
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES ('uploads', 'uploads', true, 4194304, ARRAY['image/jpeg', 'image/png', 'image/webp'])
+ON CONFLICT (id) DO NOTHING;
+
+-- Private bucket for finished videos (api/_lib/storage.js, VIDEO_BUCKET).
+-- Written with the service role key; clients only get signed URLs.
+-- Also holds each video's poster frame and preview.
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES ('videos', 'videos', false, 209715200, ARRAY['video/mp4', 'video/webm', 'image/jpeg', 'image/webp', 'image/gif'])
+ON CONFLICT (id) DO UPDATE SET allowed_mime_types = EXCLUDED.allowed_mime_types;
+
 -- ============================================
 -- VIEWS
 -- ============================================
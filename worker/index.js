@@ -0,0 +1,110 @@
+/**
+ * NeoClip 340 - Job worker
+ *
+ * Runs queued jobs (api/_lib/jobs.js) outside Vercel's 60s function limit.
+ * Deploy it on any host with Node 18+, ffmpeg and the API's environment
+ * variables (Supabase, storage, FFMPEG_PATH):
+ *
+ *   npm run worker               poll forever
+ *   npm run worker -- --once     drain due jobs, then exit (cron)
+ *
+ * One job at a time per process (ffmpeg uses the whole CPU); run more
+ * processes to scale - claim_jobs() hands each job to exactly one.
+ * SIGINT/SIGTERM let the current job finish, then exit.
+ *
+ * A handler's run(job) may resolve to { deferMs } to be run again later
+ * without using up an attempt (a storyboard waiting on its shots).
+ *
+ * Env: WORKER_POLL_INTERVAL_MS (idle wait, default 5000),
+ *      WORKER_LOCK_SECONDS (after this a running job counts as crashed
+ *      and is claimed again, default 600)
+ */
+
+import { hostname } from 'node:os';
+import { isSupabaseConfigured } from '../api/_lib/supabase.js';
+import { claimJobs, completeJob, deferJob, failJob, JOB_TYPES } from '../api/_lib/jobs.js';
+import { postprocessHandler } from '../api/_lib/pipeline.js';
+import { storyboardHandler } from '../api/_lib/storyboard.js';
+
+const HANDLERS = {
+  [JOB_TYPES.postprocess]: postprocessHandler,
+  [JOB_TYPES.storyboard]: storyboardHandler
+};
+
+const POLL_INTERVAL_MS = parseInt(process.env.WORKER_POLL_INTERVAL_MS, 10) || 5000;
+const LOCK_SECONDS = parseInt(process.env.WORKER_LOCK_SECONDS, 10) || 600;
+const WORKER_ID = `${hostname()}:${process.pid}`;
+
+let stopping = false;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function runJob(job) {
+  const handler = HANDLERS[job.type];
+  const started = Date.now();
+  const label = `${job.type} ${job.task_id} (attempt ${job.attempts}/${job.max_attempts})`;
+
+  try {
+    if (!handler) throw new Error(`No handler for job type "${job.type}"`);
+    const outcome = await handler.run(job);
+    if (outcome?.deferMs) {
+      const { runAt } = await deferJob(job, outcome.deferMs);
+      console.log(`[Worker] ⏳ ${label} waiting until ${runAt}`);
+      return;
+    }
+    await completeJob(job);
+    console.log(`[Worker] ✅ ${label} done in ${Date.now() - started}ms`);
+  } catch (error) {
+    const { dead, runAt } = await failJob(job, error);
+    console.error(`[Worker] ❌ ${label} failed: ${error.message} -`, dead ? 'dead-lettered' : `retry at ${runAt}`);
+    try {
+      await handler?.failed?.(job, { dead });
+    } catch (hookError) {
+      console.error('[Worker] Failed to record job failure:', hookError.message);
+    }
+  }
+}
+
+async function main() {
+  if (!isSupabaseConfigured()) {
+    console.error('[Worker] SUPABASE_URL and SUPABASE_KEY are required');
+    process.exit(1);
+  }
+
+  const once = process.argv.includes('--once');
+  const stop = () => {
+    console.log('[Worker] Stopping after the current job...');
+    stopping = true;
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  console.log(`[Worker] ${WORKER_ID} started${once ? ' (--once)' : ''}`);
+
+  while (!stopping) {
+    let jobs = [];
+    try {
+      jobs = await claimJobs(WORKER_ID, { limit: 1, lockSeconds: LOCK_SECONDS });
+    } catch (error) {
+      console.error('[Worker] Claim failed:', error.message);
+    }
+
+    for (const job of jobs) {
+      try {
+        await runJob(job);
+      } catch (error) {
+        // failJob itself failed (database down) - the lock expires and
+        // the job is claimed again
+        console.error(`[Worker] Could not settle job ${job.id}:`, error.message);
+      }
+    }
+
+    if (jobs.length > 0) continue;
+    if (once) break;
+    await sleep(POLL_INTERVAL_MS);
+  }
+
+  console.log('[Worker] Stopped');
+}
+
+main();